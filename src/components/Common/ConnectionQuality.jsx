@@ -0,0 +1,43 @@
+// src/components/Common/ConnectionQuality.jsx - Live realtime connection quality badge
+
+import React from 'react';
+import { Wifi, WifiOff } from 'lucide-react';
+import { useWebSocket } from '../../hooks/useWebSocket';
+
+const QUALITY_LABELS = {
+  excellent: 'Excellent',
+  good: 'Good',
+  poor: 'Poor'
+};
+
+const ConnectionQuality = ({ compact = false }) => {
+  const { isConnected, isConnecting, connectionQuality } = useWebSocket();
+  const { quality, rtt, jitter, packetLoss } = connectionQuality;
+
+  if (!isConnected && !isConnecting) {
+    return (
+      <div className="connection-indicator connection-quality-poor" title="Realtime connection offline">
+        <WifiOff size={16} />
+        {!compact && <span>Offline</span>}
+      </div>
+    );
+  }
+
+  const details = rtt === null
+    ? 'Measuring connection...'
+    : `RTT ${rtt}ms · jitter ${jitter ?? 0}ms · loss ${Math.round(packetLoss * 100)}%`;
+
+  return (
+    <div
+      className={`connection-indicator ${quality ? `connection-quality-${quality}` : ''}`}
+      title={details}
+    >
+      <Wifi size={16} />
+      {!compact && (
+        <span>{isConnecting ? 'Connecting...' : QUALITY_LABELS[quality] || 'Connected'}</span>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionQuality;
@@ -0,0 +1,192 @@
+// src/components/Devtools/RealtimeInspector.jsx - Development-only socket traffic inspector
+
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { format } from 'date-fns';
+import { Activity, ArrowDownLeft, ArrowUpRight, Download, Pause, Play, RotateCcw, Trash2, Upload, X } from 'lucide-react';
+import { useSocketManager } from '../../contexts/WebSocketContext';
+import { validateEventPayload } from '../../services/realtime/eventContract';
+import './RealtimeInspector.css';
+
+const MAX_ENTRIES = 500;
+const SESSION_FORMAT = 'changex-neurix-realtime-session';
+const DIRECTIONS = ['inbound', 'outbound'];
+
+// Imported entries are replayed into live listeners, so each one must look
+// like recorded traffic and its payload must satisfy the event contract
+const validateSessionEntry = (entry, index) => {
+  const label = `Entry ${index + 1}`;
+  if (!entry || typeof entry !== 'object') return `${label} is not an object`;
+  if (typeof entry.event !== 'string' || !entry.event) return `${label} has no event name`;
+  if (!DIRECTIONS.includes(entry.direction)) return `${label} (${entry.event}) has no valid direction`;
+  if (typeof entry.timestamp !== 'number') return `${label} (${entry.event}) has no timestamp`;
+
+  const { valid, errors } = validateEventPayload(entry.event, entry.payload, entry.direction);
+  return valid ? null : `${label} (${entry.event}) breaks the event contract: ${errors[0]}`;
+};
+
+const RealtimeInspector = ({ initialIsOpen = false, position = 'bottom-left' }) => {
+  const manager = useSocketManager();
+  const fileInputRef = useRef(null);
+  const pausedRef = useRef(false);
+
+  const [isOpen, setIsOpen] = useState(initialIsOpen);
+  const [entries, setEntries] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [paused, setPaused] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Recording starts at mount so the panel has history when first opened
+  useEffect(() => manager.onTraffic((entry) => {
+    if (pausedRef.current) return;
+    setEntries(prev => [...prev, entry].slice(-MAX_ENTRIES));
+  }), [manager]);
+
+  const togglePaused = useCallback(() => {
+    pausedRef.current = !pausedRef.current;
+    setPaused(pausedRef.current);
+  }, []);
+
+  const visibleEntries = useMemo(() => {
+    const query = filter.trim().toLowerCase();
+    const matching = query
+      ? entries.filter(entry => entry.event.toLowerCase().includes(query))
+      : entries;
+    return [...matching].reverse();
+  }, [entries, filter]);
+
+  const handleExport = useCallback(() => {
+    const session = {
+      format: SESSION_FORMAT,
+      exportedAt: new Date().toISOString(),
+      entries
+    };
+    const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `realtime-session-${Date.now()}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }, [entries]);
+
+  const handleImport = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const session = JSON.parse(await file.text());
+      if (session?.format !== SESSION_FORMAT || !Array.isArray(session.entries)) {
+        throw new Error('Not a realtime session export');
+      }
+
+      const imported = session.entries.slice(-MAX_ENTRIES);
+      const problem = imported.map(validateSessionEntry).find(Boolean);
+      if (problem) {
+        throw new Error(problem);
+      }
+      setEntries(imported.map(entry => ({ ...entry, id: entry.id || crypto.randomUUID() })));
+    } catch (error) {
+      console.error('Failed to import realtime session:', error);
+      window.alert(`Import failed: ${error.message}`);
+    }
+  }, []);
+
+  const handleReplay = useCallback((entry) => {
+    console.log(`Replaying ${entry.event} into local listeners`, entry.payload);
+    manager.injectEvent(entry.event, entry.payload);
+  }, [manager]);
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        className={`realtime-inspector-toggle ${position}`}
+        onClick={() => setIsOpen(true)}
+        title="Open realtime inspector"
+      >
+        <Activity size={18} />
+      </button>
+    );
+  }
+
+  return (
+    <div className={`realtime-inspector ${position}`} role="dialog" aria-label="Realtime inspector">
+      <div className="inspector-header">
+        <h4>
+          <Activity size={16} />
+          Realtime ({manager.getRole()})
+        </h4>
+        <div className="inspector-actions">
+          <button type="button" onClick={togglePaused} title={paused ? 'Resume recording' : 'Pause recording'}>
+            {paused ? <Play size={14} /> : <Pause size={14} />}
+          </button>
+          <button type="button" onClick={() => setEntries([])} title="Clear">
+            <Trash2 size={14} />
+          </button>
+          <button type="button" onClick={handleExport} title="Export session" disabled={entries.length === 0}>
+            <Download size={14} />
+          </button>
+          <button type="button" onClick={() => fileInputRef.current?.click()} title="Import session">
+            <Upload size={14} />
+          </button>
+          <button type="button" onClick={() => setIsOpen(false)} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json"
+          hidden
+          onChange={handleImport}
+        />
+      </div>
+
+      <input
+        type="search"
+        className="inspector-filter"
+        placeholder="Filter by event name"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+      />
+
+      <ul className="inspector-entries">
+        {visibleEntries.length === 0 && (
+          <li className="inspector-empty">No events recorded</li>
+        )}
+        {visibleEntries.map((entry) => (
+          <li key={entry.id} className={`inspector-entry ${entry.direction}`}>
+            <div
+              className="entry-summary"
+              onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+            >
+              {entry.direction === 'inbound' ? <ArrowDownLeft size={12} /> : <ArrowUpRight size={12} />}
+              <span className="entry-time">{format(entry.timestamp, 'HH:mm:ss.SSS')}</span>
+              <span className="entry-event">{entry.event}</span>
+              {entry.direction === 'inbound' && (
+                <button
+                  type="button"
+                  className="entry-replay"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleReplay(entry);
+                  }}
+                  title="Replay into listeners"
+                >
+                  <RotateCcw size={12} />
+                </button>
+              )}
+            </div>
+            {expandedId === entry.id && (
+              <pre className="entry-payload">{JSON.stringify(entry.payload, null, 2)}</pre>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RealtimeInspector;
@@ -0,0 +1,34 @@
+// src/components/ImageGeneration/BeforeAfterSlider.jsx - Drag to compare two versions of an image
+
+import React, { useState } from 'react';
+import './BeforeAfterSlider.css';
+
+const BeforeAfterSlider = ({ beforeSrc, afterSrc, beforeLabel = 'Before', afterLabel = 'After' }) => {
+  const [position, setPosition] = useState(50);
+
+  return (
+    <div className="before-after">
+      <img className="before-after-image" src={afterSrc} alt={afterLabel} />
+      <img
+        className="before-after-image before-after-overlay"
+        src={beforeSrc}
+        alt={beforeLabel}
+        style={{ clipPath: `inset(0 ${100 - position}% 0 0)` }}
+      />
+      <div className="before-after-divider" style={{ left: `${position}%` }} />
+      <span className="before-after-label before">{beforeLabel}</span>
+      <span className="before-after-label after">{afterLabel}</span>
+      <input
+        type="range"
+        className="before-after-range"
+        min={0}
+        max={100}
+        value={position}
+        onChange={(e) => setPosition(Number(e.target.value))}
+        aria-label="Comparison position"
+      />
+    </div>
+  );
+};
+
+export default BeforeAfterSlider;
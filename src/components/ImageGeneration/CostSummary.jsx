@@ -0,0 +1,47 @@
+// src/components/ImageGeneration/CostSummary.jsx - Credit estimate and balance shown before generating
+
+import React from 'react';
+import { AlertTriangle, Coins } from 'lucide-react';
+import { formatCredits } from '../../services/pricing';
+import './CostSummary.css';
+
+const formatFactor = (value) => `${Number(value.toFixed(2))}×`;
+
+const CostSummary = ({ estimate, affordability, reserved }) => {
+  const { perImage, images, total, factors } = estimate;
+
+  // Only factors that actually raise or lower the price are worth listing
+  const details = [
+    factors.model !== 1 && `model ${formatFactor(factors.model)}`,
+    factors.resolution > 1 && `size ${formatFactor(factors.resolution)}`,
+    factors.steps > 1 && `steps ${formatFactor(factors.steps)}`
+  ].filter(Boolean);
+
+  return (
+    <div className={`cost-summary ${affordability.allowed ? '' : 'insufficient'}`} role="status">
+      <div className="cost-summary-total">
+        <Coins size={16} />
+        <span>
+          {images > 1 ? `${images} images × ${formatCredits(perImage)} = ` : 'Estimated cost: '}
+          <strong>{formatCredits(total)}</strong>
+        </span>
+        {affordability.available !== null && (
+          <span className="cost-summary-balance">
+            {affordability.available} available{reserved > 0 && ` (${reserved} held by queue)`}
+          </span>
+        )}
+      </div>
+      {details.length > 0 && (
+        <p className="cost-summary-details">Includes {details.join(', ')}</p>
+      )}
+      {!affordability.allowed && (
+        <p className="cost-summary-warning">
+          <AlertTriangle size={14} />
+          {affordability.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CostSummary;
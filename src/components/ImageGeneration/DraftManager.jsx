@@ -0,0 +1,114 @@
+// src/components/ImageGeneration/DraftManager.jsx - Named drafts of the generation form
+
+import React, { useState } from 'react';
+import { FileText, FolderOpen, Save, Trash2 } from 'lucide-react';
+import { useNotification } from '../../contexts/NotificationContext';
+import './GenerationDrafts.css';
+
+const DraftManager = ({ drafts, lastSavedAt, onSave, onOpen, onDelete }) => {
+  const { showNotification } = useNotification();
+  const [draftName, setDraftName] = useState(null);
+  const [showList, setShowList] = useState(false);
+
+  const handleSave = async () => {
+    try {
+      const draft = await onSave(draftName);
+      setDraftName(null);
+      showNotification('success', `Draft "${draft.name}" saved`, { icon: '📝', duration: 2000 });
+    } catch (error) {
+      showNotification('error', error.message);
+    }
+  };
+
+  const handleOpen = (draft) => {
+    onOpen(draft);
+    setShowList(false);
+    showNotification('info', `Opened draft "${draft.name}"`, { icon: '📂', duration: 2000 });
+  };
+
+  const handleDelete = async (draft) => {
+    try {
+      await onDelete(draft);
+    } catch (error) {
+      console.error('Deleting draft failed:', error);
+      showNotification('error', `Could not delete draft: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="draft-manager">
+      <div className="draft-header">
+        <FileText size={16} />
+        <h4>Drafts</h4>
+        {lastSavedAt && (
+          <span className="draft-autosaved">Autosaved {new Date(lastSavedAt).toLocaleTimeString()}</span>
+        )}
+        <div className="draft-actions">
+          <button
+            type="button"
+            className="btn-icon"
+            onClick={() => setDraftName(draftName === null ? '' : null)}
+            title="Save the form as a named draft"
+          >
+            <Save size={16} />
+          </button>
+          <button
+            type="button"
+            className={`btn-icon ${showList ? 'active' : ''}`}
+            onClick={() => setShowList(!showList)}
+            disabled={drafts.length === 0}
+            title="Open a saved draft"
+          >
+            <FolderOpen size={16} />
+            {drafts.length > 0 && <span className="badge">{drafts.length}</span>}
+          </button>
+        </div>
+      </div>
+
+      {draftName !== null && (
+        <div className="draft-save-form">
+          <input
+            type="text"
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleSave();
+              }
+            }}
+            placeholder="Draft name"
+            maxLength={40}
+            autoFocus
+          />
+          <button type="button" className="btn-primary btn-sm" onClick={handleSave}>
+            Save
+          </button>
+          <button type="button" className="btn-outline btn-sm" onClick={() => setDraftName(null)}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {showList && drafts.length > 0 && (
+        <ul className="draft-list">
+          {drafts.map(draft => (
+            <li key={draft.id}>
+              <button type="button" className="draft-open" onClick={() => handleOpen(draft)}>
+                <span className="draft-name">{draft.name}</span>
+                <span className="draft-meta truncate">
+                  {draft.values.prompt || 'No prompt'} · {new Date(draft.updatedAt).toLocaleDateString()}
+                </span>
+              </button>
+              <button type="button" className="btn-icon" onClick={() => handleDelete(draft)} title="Delete draft">
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DraftManager;
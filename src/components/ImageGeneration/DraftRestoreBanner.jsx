@@ -0,0 +1,39 @@
+// src/components/ImageGeneration/DraftRestoreBanner.jsx - Offers to restore the autosaved session
+
+import React from 'react';
+import { motion } from 'framer-motion';
+import { History, X } from 'lucide-react';
+import './GenerationDrafts.css';
+
+const DraftRestoreBanner = ({ draft, onRestore, onDismiss }) => {
+  const { prompt } = draft.values;
+  const imageCount = draft.recentImages?.length || 0;
+
+  return (
+    <motion.div
+      className="draft-restore-banner glass-card"
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      role="status"
+    >
+      <History size={18} />
+      <div className="draft-restore-text">
+        <strong>Restore your last session?</strong>
+        <span className="truncate">
+          {prompt ? `"${prompt}"` : 'Untitled prompt'}
+          {imageCount > 0 && ` · ${imageCount} recent image${imageCount !== 1 ? 's' : ''}`}
+          {' · '}saved {new Date(draft.updatedAt).toLocaleString()}
+        </span>
+      </div>
+      <button type="button" className="btn-primary btn-sm" onClick={onRestore}>
+        Restore
+      </button>
+      <button type="button" className="btn-icon" onClick={onDismiss} title="Start fresh" aria-label="Dismiss">
+        <X size={16} />
+      </button>
+    </motion.div>
+  );
+};
+
+export default DraftRestoreBanner;
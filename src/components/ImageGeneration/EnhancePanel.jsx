@@ -0,0 +1,393 @@
+// src/components/ImageGeneration/EnhancePanel.jsx - Chain upscale and restoration steps on an image
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  ArrowDown,
+  ArrowUp,
+  CheckCircle,
+  Plus,
+  RefreshCw,
+  Square,
+  Trash2,
+  Upload,
+  Wand2,
+  X,
+  Zap
+} from 'lucide-react';
+import { useSocketManager } from '../../contexts/WebSocketContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import { useJobCancellation, GENERATION_PIPELINES } from '../../hooks/useJobCancellation';
+import { SOCKET_EVENTS } from '../../services/realtime/socketEvents';
+import { formatRefundMessage } from '../../services/realtime/jobCancellation';
+import { useCreditBalance } from '../../hooks/useCreditBalance';
+import {
+  checkAffordability,
+  estimateEnhanceCost,
+  estimateEnhanceStepCost,
+  formatCredits,
+  reconcileCharge
+} from '../../services/pricing';
+import {
+  ENHANCE_STEPS,
+  ENHANCE_STEP_TYPES,
+  MAX_ENHANCE_STEPS,
+  createEnhanceStep,
+  getEnhancedSize,
+  startEnhancement,
+  validateUpload
+} from '../../services/imageEnhancement';
+import BeforeAfterSlider from './BeforeAfterSlider';
+import './EnhancePanel.css';
+
+const cdnUrl = (imageId) => `${process.env.REACT_APP_CDN_URL}/images/${imageId}.png`;
+
+const EnhancePanel = ({ reservedCredits = 0, selectedImage, onComplete }) => {
+  const manager = useSocketManager();
+  const { showNotification } = useNotification();
+  const { account, recordCharge } = useCreditBalance();
+  const fileInputRef = useRef(null);
+  const jobIdRef = useRef(null);
+  const requestIdRef = useRef(null);
+  const sourceImageRef = useRef(null);
+  const quoteRef = useRef(null);
+
+  const [upload, setUpload] = useState(null);
+  const [steps, setSteps] = useState(() => [createEnhanceStep(ENHANCE_STEP_TYPES.UPSCALE)]);
+  const [run, setRun] = useState(null);
+  const [compareIndex, setCompareIndex] = useState(null);
+
+  // An upload takes precedence over the image selected in the preview
+  const source = upload || (selectedImage && {
+    imageId: selectedImage.id,
+    previewUrl: cdnUrl(selectedImage.id),
+    width: selectedImage.width,
+    height: selectedImage.height,
+    name: selectedImage.prompt
+  });
+
+  const totalCost = estimateEnhanceCost(steps);
+  const outputSize = source?.width ? getEnhancedSize(source, steps) : null;
+  const isRunning = run?.status === 'running';
+  const affordability = checkAffordability(account, totalCost, { reserved: reservedCredits });
+
+  useEffect(() => () => {
+    if (upload?.previewUrl) URL.revokeObjectURL(upload.previewUrl);
+  }, [upload]);
+
+  // The server's job id is only known once the request is acknowledged;
+  // events sent before that are matched on our requestId
+  const isCurrentJob = useCallback((data) => {
+    if (!requestIdRef.current) return false;
+    if (data.requestId === requestIdRef.current && data.jobId) {
+      jobIdRef.current = data.jobId;
+    }
+    return data.jobId === jobIdRef.current || data.requestId === requestIdRef.current;
+  }, []);
+
+  const finishRun = useCallback((patch) => {
+    jobIdRef.current = null;
+    requestIdRef.current = null;
+    setRun(prev => (prev ? { ...prev, ...patch } : prev));
+  }, []);
+
+  const { cancelJob } = useJobCancellation(GENERATION_PIPELINES.IMAGE, {
+    onCancelled: (data) => {
+      if (!isCurrentJob(data)) return;
+      finishRun({ status: 'cancelled', progress: 0 });
+      showNotification('info', `Enhancement cancelled. ${formatRefundMessage(data.refundedCredits)}`, {
+        icon: '🛑',
+        duration: 4000
+      });
+    }
+  });
+
+  // Progress and step results arrive over the shared generation events
+  useEffect(() => {
+    const unsubscribers = [
+      manager.on(SOCKET_EVENTS.GENERATION_PROGRESS, (data) => {
+        if (!isCurrentJob(data)) return;
+        setRun(prev => ({
+          ...prev,
+          progress: data.progress,
+          stepIndex: data.stepIndex ?? prev.stepIndex
+        }));
+      }),
+      manager.on(SOCKET_EVENTS.ENHANCE_STEP_COMPLETED, (data) => {
+        if (!isCurrentJob(data)) return;
+        setRun(prev => ({
+          ...prev,
+          stepIndex: data.stepIndex + 1,
+          progress: 0,
+          outputs: [...prev.outputs, { stepIndex: data.stepIndex, step: data.step, image: data.image }]
+        }));
+        setCompareIndex(data.stepIndex);
+
+        if (data.final) {
+          const charge = reconcileCharge(quoteRef.current?.credits, data.creditsCharged);
+          recordCharge(charge.charged, quoteRef.current?.startedAt);
+          finishRun({ status: 'done', progress: 100 });
+          onComplete?.(data.image, sourceImageRef.current);
+          showNotification('success', 'Enhancement complete', { icon: '✨', duration: 3000 });
+        }
+      }),
+      manager.on(SOCKET_EVENTS.GENERATION_ERROR, (data) => {
+        if (!isCurrentJob(data)) return;
+        const message = typeof data.error === 'string' ? data.error : data.error?.message;
+        finishRun({ status: 'failed', error: message });
+        showNotification('error', `Enhancement failed: ${message}`, { icon: '⚠️', duration: 5000 });
+      })
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [manager, isCurrentJob, finishRun, recordCharge, onComplete, showNotification]);
+
+  const handleUpload = useCallback((event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const error = validateUpload(file);
+    if (error) {
+      showNotification('error', error);
+      return;
+    }
+
+    const previewUrl = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      setUpload({ file, previewUrl, width: image.naturalWidth, height: image.naturalHeight, name: file.name });
+    };
+    image.src = previewUrl;
+  }, [showNotification]);
+
+  const addStep = useCallback((type) => {
+    setSteps(prev => (prev.length < MAX_ENHANCE_STEPS ? [...prev, createEnhanceStep(type)] : prev));
+  }, []);
+
+  const updateStep = useCallback((id, options) => {
+    setSteps(prev => prev.map(step => (step.id === id ? { ...step, options: { ...step.options, ...options } } : step)));
+  }, []);
+
+  const moveStep = useCallback((index, offset) => {
+    setSteps((prev) => {
+      const next = [...prev];
+      const [step] = next.splice(index, 1);
+      next.splice(index + offset, 0, step);
+      return next;
+    });
+  }, []);
+
+  const removeStep = useCallback((id) => {
+    setSteps(prev => prev.filter(step => step.id !== id));
+  }, []);
+
+  const handleStart = useCallback(async () => {
+    if (!affordability.allowed) {
+      showNotification('error', `Insufficient credits. ${affordability.message}`);
+      return;
+    }
+
+    const requestId = crypto.randomUUID();
+    jobIdRef.current = requestId;
+    requestIdRef.current = requestId;
+    sourceImageRef.current = upload ? null : selectedImage;
+    quoteRef.current = { credits: totalCost, startedAt: Date.now() };
+    setCompareIndex(null);
+    setRun({ status: 'running', steps, stepIndex: 0, progress: 0, outputs: [], before: source.previewUrl });
+
+    try {
+      const jobId = await startEnhancement(manager, {
+        source: upload ? { file: upload.file } : { imageId: source.imageId },
+        steps,
+        requestId
+      });
+      if (requestIdRef.current === requestId) {
+        jobIdRef.current = jobId;
+      }
+    } catch (error) {
+      console.error('Enhancement request failed:', error);
+      finishRun({ status: 'failed', error: error.message });
+      showNotification('error', `Enhancement failed: ${error.message}`);
+    }
+  }, [manager, affordability, totalCost, steps, source, upload, selectedImage, finishRun, showNotification]);
+
+  const handleCancel = useCallback(async () => {
+    const jobId = jobIdRef.current;
+    if (!jobId) return;
+
+    finishRun({ status: 'cancelled', progress: 0 });
+    try {
+      const { refundedCredits } = await cancelJob(jobId);
+      showNotification('info', `Enhancement cancelled. ${formatRefundMessage(refundedCredits)}`, {
+        icon: '🛑',
+        duration: 4000
+      });
+    } catch (error) {
+      showNotification('warning', `Stopped locally, but the server did not confirm: ${error.message}`);
+    }
+  }, [cancelJob, finishRun, showNotification]);
+
+  const comparedOutput = run?.outputs.find(output => output.stepIndex === compareIndex);
+  const beforeOutput = run?.outputs.find(output => output.stepIndex === compareIndex - 1);
+
+  return (
+    <div className="enhance-panel glass-card">
+      <div className="enhance-header">
+        <Wand2 size={20} />
+        <h4>Enhance</h4>
+      </div>
+
+      <div className="enhance-source">
+        {source ? (
+          <>
+            <img src={source.previewUrl} alt={source.name} />
+            <div className="source-info">
+              <p className="truncate">{upload ? upload.name : source.name}</p>
+              {source.width && <span className="meta-item">{source.width}×{source.height}</span>}
+            </div>
+            {upload && (
+              <button type="button" className="btn-icon" onClick={() => setUpload(null)} title="Use selected image instead">
+                <X size={16} />
+              </button>
+            )}
+          </>
+        ) : (
+          <p className="enhance-hint">Select an image from your history or upload one.</p>
+        )}
+        <button
+          type="button"
+          className="btn-outline btn-sm"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isRunning}
+        >
+          <Upload size={14} />
+          Upload
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/png,image/jpeg,image/webp"
+          hidden
+          onChange={handleUpload}
+        />
+      </div>
+
+      <ol className="enhance-steps">
+        {steps.map((step, index) => {
+          const state = run?.steps === steps && (
+            index < run.outputs.length ? 'done' : index === run.stepIndex && isRunning ? 'running' : null
+          );
+
+          return (
+            <li key={step.id} className={`enhance-step ${state || ''}`}>
+              <span className="step-index">
+                {state === 'done' && <CheckCircle size={14} />}
+                {state === 'running' && <RefreshCw className="animate-spin" size={14} />}
+                {!state && index + 1}
+              </span>
+              <div className="step-info">
+                <strong>{ENHANCE_STEPS[step.type].label}</strong>
+                <span>{ENHANCE_STEPS[step.type].description}</span>
+                {state === 'running' && (
+                  <div className="progress-bar">
+                    <div className="progress-fill" style={{ width: `${run.progress}%` }} />
+                  </div>
+                )}
+              </div>
+              {step.type === ENHANCE_STEP_TYPES.UPSCALE && (
+                <select
+                  value={step.options.scale}
+                  onChange={(e) => updateStep(step.id, { scale: Number(e.target.value) })}
+                  disabled={isRunning}
+                >
+                  <option value={2}>2x</option>
+                  <option value={4}>4x</option>
+                </select>
+              )}
+              <span className="step-cost">{formatCredits(estimateEnhanceStepCost(step))}</span>
+              <div className="step-actions">
+                <button type="button" onClick={() => moveStep(index, -1)} disabled={isRunning || index === 0} title="Move up">
+                  <ArrowUp size={14} />
+                </button>
+                <button type="button" onClick={() => moveStep(index, 1)} disabled={isRunning || index === steps.length - 1} title="Move down">
+                  <ArrowDown size={14} />
+                </button>
+                <button type="button" onClick={() => removeStep(step.id)} disabled={isRunning} title="Remove step">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+
+      <div className="enhance-add">
+        {Object.entries(ENHANCE_STEPS).map(([type, definition]) => (
+          <button
+            key={type}
+            type="button"
+            className="btn-outline btn-sm"
+            onClick={() => addStep(type)}
+            disabled={isRunning || steps.length >= MAX_ENHANCE_STEPS}
+          >
+            <Plus size={14} />
+            {definition.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="enhance-summary">
+        <span>
+          <Zap size={14} />
+          {formatCredits(totalCost)}
+        </span>
+        {outputSize && <span>Output {outputSize.width}×{outputSize.height}</span>}
+      </div>
+
+      {isRunning ? (
+        <button type="button" className="btn-outline" onClick={handleCancel}>
+          <Square size={16} />
+          Cancel
+        </button>
+      ) : (
+        <button
+          type="button"
+          className="btn-primary"
+          onClick={handleStart}
+          disabled={!source || steps.length === 0 || !affordability.allowed}
+          title={affordability.message || ''}
+        >
+          <Wand2 size={16} />
+          Enhance
+        </button>
+      )}
+
+      {run?.outputs.length > 0 && (
+        <div className="enhance-compare">
+          <div className="compare-tabs">
+            {run.outputs.map(output => (
+              <button
+                key={output.stepIndex}
+                type="button"
+                className={`tab-btn ${output.stepIndex === compareIndex ? 'active' : ''}`}
+                onClick={() => setCompareIndex(output.stepIndex)}
+              >
+                {output.stepIndex + 1}. {ENHANCE_STEPS[output.step]?.label || output.step}
+              </button>
+            ))}
+          </div>
+          {comparedOutput && (
+            <BeforeAfterSlider
+              beforeSrc={beforeOutput ? cdnUrl(beforeOutput.image.id) : run.before}
+              afterSrc={cdnUrl(comparedOutput.image.id)}
+              beforeLabel={beforeOutput ? `After step ${beforeOutput.stepIndex + 1}` : 'Original'}
+              afterLabel={`After step ${comparedOutput.stepIndex + 1}`}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EnhancePanel;
@@ -0,0 +1,170 @@
+// src/components/ImageGeneration/GenerationQueuePanel.jsx - Generation queue status and controls
+
+import React from 'react';
+import {
+  ArrowDown,
+  ArrowUp,
+  Ban,
+  CheckCircle,
+  Clock,
+  ListOrdered,
+  Pause,
+  Play,
+  RefreshCw,
+  Trash2,
+  X,
+  XCircle
+} from 'lucide-react';
+import { JOB_STATUS } from '../../hooks/useGenerationQueue';
+import { formatCredits, reconcileCharge } from '../../services/pricing';
+import './GenerationQueuePanel.css';
+
+const STATUS_LABELS = {
+  [JOB_STATUS.QUEUED]: 'Queued',
+  [JOB_STATUS.RUNNING]: 'Running',
+  [JOB_STATUS.DONE]: 'Done',
+  [JOB_STATUS.FAILED]: 'Failed',
+  [JOB_STATUS.CANCELLED]: 'Cancelled'
+};
+
+const StatusIcon = ({ status }) => {
+  switch (status) {
+    case JOB_STATUS.RUNNING:
+      return <RefreshCw className="animate-spin" size={14} />;
+    case JOB_STATUS.DONE:
+      return <CheckCircle size={14} />;
+    case JOB_STATUS.FAILED:
+      return <XCircle size={14} />;
+    case JOB_STATUS.CANCELLED:
+      return <X size={14} />;
+    default:
+      return <Clock size={14} />;
+  }
+};
+
+const GenerationQueuePanel = ({
+  jobs,
+  paused,
+  concurrency,
+  onPause,
+  onResume,
+  onCancel,
+  onCancelAll,
+  onRetry,
+  onMove,
+  onClearFinished
+}) => {
+  if (jobs.length === 0) return null;
+
+  const activeCount = jobs.filter(job => job.status === JOB_STATUS.RUNNING || job.status === JOB_STATUS.QUEUED).length;
+  const hasFinished = jobs.length > activeCount;
+
+  return (
+    <div className="generation-queue glass-card">
+      <div className="queue-header">
+        <div className="header-title">
+          <ListOrdered size={18} />
+          <h4>Queue</h4>
+          <span className="badge">{activeCount}</span>
+          <span className="queue-concurrency" title="Jobs that run at the same time on your plan">
+            {concurrency} at a time
+          </span>
+        </div>
+        <div className="queue-actions">
+          <button
+            type="button"
+            className="btn-icon"
+            onClick={paused ? onResume : onPause}
+            title={paused ? 'Resume queue' : 'Pause queue'}
+          >
+            {paused ? <Play size={16} /> : <Pause size={16} />}
+          </button>
+          <button
+            type="button"
+            className="btn-icon"
+            onClick={onCancelAll}
+            disabled={activeCount === 0}
+            title="Cancel all jobs"
+          >
+            <Ban size={16} />
+          </button>
+          <button
+            type="button"
+            className="btn-icon"
+            onClick={onClearFinished}
+            disabled={!hasFinished}
+            title="Clear finished jobs"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      </div>
+
+      {paused && (
+        <p className="queue-paused-note">Queue paused. Running jobs will finish, new ones wait.</p>
+      )}
+
+      <ul className="queue-jobs">
+        {jobs.map((job, index) => (
+          <li key={job.id} className={`queue-job ${job.status}`}>
+            <span className="job-status" title={STATUS_LABELS[job.status]}>
+              <StatusIcon status={job.status} />
+            </span>
+            <div className="job-info">
+              <p className="truncate">{job.params.prompt}</p>
+              {job.status === JOB_STATUS.RUNNING && (
+                <div className="progress-bar">
+                  <div className="progress-fill" style={{ width: `${job.progress}%` }} />
+                </div>
+              )}
+              {job.status === JOB_STATUS.FAILED && (
+                <p className="job-error">{job.error}</p>
+              )}
+              {job.params.estimatedCredits > 0 && job.status !== JOB_STATUS.FAILED && job.status !== JOB_STATUS.CANCELLED && (
+                <p className="job-cost">
+                  {job.status === JOB_STATUS.DONE
+                    ? `${formatCredits(reconcileCharge(job.params.estimatedCredits, job.result?.creditsCharged).charged)} charged`
+                    : `~${formatCredits(job.params.estimatedCredits)}`}
+                </p>
+              )}
+            </div>
+            <div className="job-actions">
+              {job.status === JOB_STATUS.QUEUED && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => onMove(job.id, index - 1)}
+                    disabled={index === 0}
+                    title="Move up"
+                  >
+                    <ArrowUp size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onMove(job.id, index + 1)}
+                    disabled={index === jobs.length - 1}
+                    title="Move down"
+                  >
+                    <ArrowDown size={14} />
+                  </button>
+                </>
+              )}
+              {(job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.CANCELLED) && (
+                <button type="button" onClick={() => onRetry(job.id)} title="Retry">
+                  <RefreshCw size={14} />
+                </button>
+              )}
+              {(job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING) && (
+                <button type="button" onClick={() => onCancel(job.id)} title="Cancel">
+                  <X size={14} />
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default GenerationQueuePanel;
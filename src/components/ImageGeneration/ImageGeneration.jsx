@@ -3,12 +3,19 @@
 import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
-import * as yup from 'yup';
 import { useMutation, useQuery, useQueryClient } from 'react-query';
+import { useNavigate } from 'react-router-dom';
 import { useWebSocket } from '../../hooks/useWebSocket';
 import { useNotification } from '../../contexts/NotificationContext';
 import { useAuth } from '../../hooks/useAuth';
 import { useMediaQuery } from '../../hooks/useMediaQuery';
+import { useGenerationQueue, JOB_STATUS } from '../../hooks/useGenerationQueue';
+import { useJobCancellation, GENERATION_PIPELINES } from '../../hooks/useJobCancellation';
+import { useModerationRules } from '../../hooks/useModerationRules';
+import { useEntitlements } from '../../hooks/useEntitlements';
+import { useGenerationDrafts } from '../../hooks/useGenerationDrafts';
+import { useCreditBalance } from '../../hooks/useCreditBalance';
+import { formatRefundMessage } from '../../services/realtime/jobCancellation';
 import DashboardLayout from '../../components/Layout/DashboardLayout';
 import PromptInput from '../../components/ImageGeneration/PromptInput';
 import StyleSelector from '../../components/ImageGeneration/StyleSelector';
@@ -19,11 +26,44 @@ import BatchGeneration from '../../components/ImageGeneration/BatchGeneration';
 import AdvancedOptions from '../../components/ImageGeneration/AdvancedOptions';
 import ModelSelector from '../../components/ImageGeneration/ModelSelector';
 import PromptSuggestions from '../../components/ImageGeneration/PromptSuggestions';
+import GenerationQueuePanel from '../../components/ImageGeneration/GenerationQueuePanel';
+import PromptTemplateBatch from '../../components/ImageGeneration/PromptTemplateBatch';
+import ParameterSweep from '../../components/ImageGeneration/ParameterSweep';
+import VariationsDialog from '../../components/ImageGeneration/VariationsDialog';
+import LineageTree from '../../components/ImageGeneration/LineageTree';
+import EnhancePanel from '../../components/ImageGeneration/EnhancePanel';
+import SettingsDropOverlay from '../../components/ImageGeneration/SettingsDropOverlay';
+import PresetManager from '../../components/ImageGeneration/PresetManager';
+import ResolutionNotice from '../../components/ImageGeneration/ResolutionNotice';
+import CostSummary from '../../components/ImageGeneration/CostSummary';
+import DraftManager from '../../components/ImageGeneration/DraftManager';
+import DraftRestoreBanner from '../../components/ImageGeneration/DraftRestoreBanner';
+import PromptHistory from '../../components/ImageGeneration/PromptHistory';
+import { generationSchema } from '../../components/ImageGeneration/generationSchema';
 import LoadingState from '../../components/Common/LoadingState';
 import ErrorState from '../../components/Common/ErrorState';
 import EmptyState from '../../components/Common/EmptyState';
 import { generateImage, getImageHistory, getStyles } from '../../services/imageGeneration';
 import { saveToGallery } from '../../services/mediaService';
+import { createImageDownload, readImageParameters } from '../../services/imageMetadata';
+import {
+  checkDimension,
+  checkResolution,
+  checkSteps,
+  closestAspectRatio,
+  resolveResolution
+} from '../../utils/resolutionResolver';
+import { moderateParams } from '../../services/moderation';
+import {
+  QUALITY_OPTIONS,
+  checkAffordability,
+  estimateBatchCost,
+  estimateGenerationCost,
+  estimateImageCredits,
+  formatCredits,
+  reconcileCharge
+} from '../../services/pricing';
+import { checkEntitlements, formatDailyLimit, isQualityAllowed } from '../../services/entitlements';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Sparkles,
@@ -44,59 +84,60 @@ import {
   TrendingUp,
   ZapOff,
   Star,
-  Crown
+  Crown,
+  Square,
+  Upload,
+  Brush
 } from 'lucide-react';
 import './ImageGeneration.css';
 
-// Enhanced validation schema
-const schema = yup.object({
-  prompt: yup.string()
-    .required('Prompt is required')
-    .min(10, 'Prompt must be at least 10 characters')
-    .max(2000, 'Prompt must be less than 2000 characters')
-    .test(
-      'no-inappropriate-content',
-      'Prompt contains inappropriate content',
-      (value) => {
-        if (!value) return true;
-        const inappropriateWords = ['hate', 'violence', 'explicit'];
-        return !inappropriateWords.some(word => 
-          value.toLowerCase().includes(word)
-        );
-      }
-    ),
-  negativePrompt: yup.string().max(1000, 'Negative prompt too long'),
-  width: yup.number().min(256).max(4096).default(1024),
-  height: yup.number().min(256).max(4096).default(1024),
-  steps: yup.number().min(10).max(200).default(50),
-  guidance: yup.number().min(1).max(30).default(7.5),
-  seed: yup.number().min(0).max(9999999999),
-  style: yup.string().default('realistic'),
-  model: yup.string().default('stable-diffusion-xl'),
-  batchCount: yup.number().min(1).max(20).default(1),
-  quality: yup.string().oneOf(['standard', 'premium', 'ultra']).default('standard'),
-  aspectRatio: yup.string().oneOf(['1:1', '16:9', '9:16', '4:3', '3:4']).default('1:1'),
-});
+// REACT_APP_REALTIME_TRANSPORT=mock sends generations to the in-page mock
+// server too, so the progress flow runs with no backend
+const requestGeneration = (params) => (
+  process.env.REACT_APP_REALTIME_TRANSPORT === 'mock'
+    ? import('../../services/realtime/mockServer').then(({ getMockServer }) => getMockServer().generateImage(params))
+    : generateImage(params)
+);
+
+const DEFAULT_FORM_VALUES = {
+  prompt: '',
+  negativePrompt: '',
+  width: 1024,
+  height: 1024,
+  steps: 50,
+  guidance: 7.5,
+  seed: null,
+  style: 'realistic',
+  model: 'stable-diffusion-xl',
+  batchCount: 1,
+  quality: 'standard',
+  aspectRatio: '1:1',
+  safeMode: true,
+};
 
 const ImageGeneration = () => {
   const { user } = useAuth();
+  const { account, recordCharge } = useCreditBalance();
+  const entitlements = useEntitlements();
   const { showNotification } = useNotification();
-  const { socket, isConnected } = useWebSocket();
+  const { on, SOCKET_EVENTS } = useWebSocket();
   const queryClient = useQueryClient();
+  const navigate = useNavigate();
   const isMobile = useMediaQuery('(max-width: 768px)');
   
   const previewRef = useRef(null);
   const [generatedImages, setGeneratedImages] = useState([]);
   const [selectedImage, setSelectedImage] = useState(null);
-  const [isGenerating, setIsGenerating] = useState(false);
-  const [generationProgress, setGenerationProgress] = useState(0);
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [showBatch, setShowBatch] = useState(false);
+  const [variationSource, setVariationSource] = useState(null);
   const [showHistory, setShowHistory] = useState(!isMobile);
   const [showPromptSuggestions, setShowPromptSuggestions] = useState(true);
   const [activeTab, setActiveTab] = useState('generate');
-  const [generationTime, setGenerationTime] = useState(0);
   const [totalGenerations, setTotalGenerations] = useState(0);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [resolutionNotes, setResolutionNotes] = useState([]);
+  const settingsFileRef = useRef(null);
 
   // Form setup
   const {
@@ -104,30 +145,84 @@ const ImageGeneration = () => {
     handleSubmit,
     watch,
     setValue,
+    getValues,
+    trigger,
     reset,
     formState: { errors, isValid }
   } = useForm({
-    resolver: yupResolver(schema),
-    defaultValues: {
-      prompt: '',
-      negativePrompt: '',
-      width: 1024,
-      height: 1024,
-      steps: 50,
-      guidance: 7.5,
-      seed: null,
-      style: 'realistic',
-      model: 'stable-diffusion-xl',
-      batchCount: 1,
-      quality: 'standard',
-      aspectRatio: '1:1',
-    },
+    resolver: yupResolver(generationSchema),
+    defaultValues: DEFAULT_FORM_VALUES,
     mode: 'onChange'
   });
 
   // Watch form values
   const formValues = watch();
 
+  // Keep width, height and steps valid for the selected model and aspect
+  // ratio. `keepShape` snaps the current size as it is, ignoring the aspect
+  // ratio, for sizes restored from an image or draft
+  const snapKeyRef = useRef(null);
+  const snapResolution = useCallback(({ keepShape = false } = {}) => {
+    const values = getValues();
+    const resolved = resolveResolution(keepShape ? { ...values, aspectRatio: null } : values);
+
+    ['width', 'height', 'steps'].forEach((key) => {
+      if (resolved[key] !== values[key]) {
+        setValue(key, resolved[key], { shouldValidate: true });
+      }
+    });
+    snapKeyRef.current = `${values.model}|${values.aspectRatio}`;
+    setResolutionNotes(resolved.adjustments);
+  }, [getValues, setValue]);
+
+  // Only re-snap when the user picks another model or aspect ratio, not
+  // after a restore has already snapped for them
+  useEffect(() => {
+    if (snapKeyRef.current === `${formValues.model}|${formValues.aspectRatio}`) return;
+    snapResolution();
+  }, [formValues.model, formValues.aspectRatio, snapResolution]);
+
+  // Restored sizes win over the selected aspect ratio: pick the ratio that
+  // matches the size instead of reshaping the size to the ratio
+  const restoreSize = useCallback(() => {
+    const { width, height } = getValues();
+    setValue('aspectRatio', closestAspectRatio(width, height), { shouldValidate: true });
+    snapResolution({ keepShape: true });
+  }, [getValues, setValue, snapResolution]);
+
+  // Drafts - the form and the recent-results strip survive reloads,
+  // navigation and remounts, and can be kept under a name
+  const handleRestoreDraft = useCallback((draft) => {
+    reset({ ...DEFAULT_FORM_VALUES, ...draft.values });
+    setGeneratedImages(draft.recentImages || []);
+    setSelectedImage(draft.recentImages?.[0] || null);
+    snapResolution({ keepShape: true });
+  }, [reset, snapResolution]);
+
+  const {
+    drafts,
+    restoreOffer,
+    lastSavedAt,
+    restore: restoreLastSession,
+    dismiss: dismissLastSession,
+    saveDraft,
+    openDraft,
+    removeDraft
+  } = useGenerationDrafts({
+    userId: user?.id,
+    values: formValues,
+    recentImages: generatedImages,
+    onRestore: handleRestoreDraft
+  });
+
+  // Re-check the prompts when the policy or the admin rules change
+  const moderationRules = useModerationRules();
+  useEffect(() => {
+    if (getValues('prompt')) {
+      trigger(['prompt', 'negativePrompt']);
+    }
+  }, [moderationRules, formValues.safeMode, getValues, trigger]);
+
   // Queries
   const { data: styles, isLoading: stylesLoading } = useQuery(
     'image-styles',
@@ -153,64 +248,226 @@ const ImageGeneration = () => {
   );
 
   // Mutations
-  const generateMutation = useMutation(generateImage, {
-    onMutate: () => {
-      setIsGenerating(true);
-      setGenerationProgress(0);
-      setGenerationTime(Date.now());
+  const saveToGalleryMutation = useMutation(saveToGallery, {
+    onSuccess: () => {
+      showNotification('success', 'Saved to gallery', {
+        icon: '💾',
+        duration: 2000
+      });
     },
-    onSuccess: (data) => {
+    onError: (error) => {
+      showNotification('error', `Failed to save: ${error.message}`);
+    }
+  });
+
+  // Generation queue - the job id doubles as the request id so socket
+  // progress for a job can be matched back to it
+  const runGenerationJob = useCallback(
+    (job) => requestGeneration({ ...job.params, requestId: job.id }),
+    []
+  );
+
+  // The server may give a job its own id. Queued jobs are keyed by the
+  // requestId we sent; the first event carrying both links the two
+  const serverJobIdsRef = useRef(new Map());
+
+  const handleJobSettled = useCallback((job) => {
+    serverJobIdsRef.current.delete(job.id);
+    if (job.status === JOB_STATUS.DONE) {
+      // Keep how each image was produced: template expansion and variation parent
+      const { templateExpansion, parentImageId, variationStrength } = job.params;
+      const data = {
+        ...job.result,
+        ...(templateExpansion && { templateExpansion }),
+        ...(parentImageId && { parentImageId, variationStrength })
+      };
       setGeneratedImages(prev => [data, ...prev.slice(0, 9)]);
       setSelectedImage(data);
       queryClient.invalidateQueries(['image-history', user?.id]);
-      showNotification('success', 'Image generated successfully!', {
-        icon: '🎨',
-        duration: 3000
-      });
-      
+
+      // The server's charge is authoritative; it comes off the balance, and
+      // the user is told when it differs from the quote
+      const charge = reconcileCharge(job.params.estimatedCredits, job.result?.creditsCharged);
+      recordCharge(charge.charged, job.startedAt);
+      if (charge.difference !== 0) {
+        showNotification('info', `Image generated. Charged ${formatCredits(charge.charged)} (estimated ${formatCredits(charge.estimated)}).`, {
+          icon: '🪙',
+          duration: 4000
+        });
+      } else {
+        showNotification('success', 'Image generated successfully!', {
+          icon: '🎨',
+          duration: 3000
+        });
+      }
+
       // Auto-save to gallery for premium users
-      if (user?.subscription?.tier !== 'free') {
+      if (entitlements.tier !== 'free') {
         saveToGalleryMutation.mutate(data);
       }
-      
+
       // Track generation time
-      const timeTaken = (Date.now() - generationTime) / 1000;
+      const timeTaken = (job.finishedAt - job.startedAt) / 1000;
       console.log(`Generation completed in ${timeTaken}s`);
-    },
-    onError: (error) => {
-      showNotification('error', `Generation failed: ${error.message}`, {
+    } else if (job.status === JOB_STATUS.FAILED) {
+      showNotification('error', `Generation failed: ${job.error}. You can retry it from the queue.`, {
         icon: '❌',
         duration: 5000
       });
-    },
-    onSettled: () => {
-      setIsGenerating(false);
-      setGenerationProgress(100);
     }
+  }, [queryClient, user, recordCharge, entitlements.tier, showNotification, saveToGalleryMutation]);
+
+  const {
+    queue,
+    jobs,
+    paused,
+    concurrency,
+    runningJobs,
+    isGenerating,
+    enqueue,
+    cancel,
+    retry,
+    move,
+    pause,
+    resume,
+    clearFinished
+  } = useGenerationQueue({
+    run: runGenerationJob,
+    onSettled: handleJobSettled,
+    // Only called on unmount, by which time cancelJob and serverJobId below are defined
+    cancelRemote: (jobId) => cancelJob(serverJobId(jobId)),
+    concurrency: entitlements.concurrentJobs
   });
 
-  const saveToGalleryMutation = useMutation(saveToGallery, {
-    onSuccess: () => {
-      showNotification('success', 'Saved to gallery', {
-        icon: '💾',
-        duration: 2000
+  const findQueuedJob = useCallback((data) => {
+    if (data.requestId && queue.getJob(data.requestId)) {
+      if (data.jobId) serverJobIdsRef.current.set(data.requestId, data.jobId);
+      return queue.getJob(data.requestId);
+    }
+    if (!data.jobId) return null;
+
+    const linked = [...serverJobIdsRef.current].find(([, serverId]) => serverId === data.jobId);
+    return queue.getJob(linked ? linked[0] : data.jobId) || null;
+  }, [queue]);
+
+  const serverJobId = useCallback((id) => serverJobIdsRef.current.get(id) || id, []);
+
+  // The oldest running job drives the main progress bar
+  const generationProgress = runningJobs[0]?.progress ?? 0;
+
+  // Credits queued and running jobs are expected to cost; the server only
+  // charges them on completion, so they still count against the balance.
+  // Their images likewise count towards today's limit before history shows them
+  const { reservedCredits, pendingImages } = useMemo(() => jobs
+    .filter(job => job.status === JOB_STATUS.RUNNING || job.status === JOB_STATUS.QUEUED)
+    .reduce((totals, job) => ({
+      reservedCredits: totals.reservedCredits + (job.params.estimatedCredits || 0),
+      pendingImages: totals.pendingImages + (Number(job.params.batchCount) || 1)
+    }), { reservedCredits: 0, pendingImages: 0 }), [jobs]);
+
+  const costEstimate = estimateGenerationCost(formValues);
+  const affordability = checkAffordability(account, costEstimate.total, { reserved: reservedCredits });
+
+  const showInsufficientCredits = useCallback((message) => {
+    showNotification('error', `Insufficient credits. ${message}`, {
+      action: {
+        label: 'Buy Credits',
+        onClick: () => navigate('/billing')
+      }
+    });
+  }, [showNotification, navigate]);
+
+  // Returns false (and tells the user why) when the plan does not allow the request
+  const checkPlanLimits = useCallback((paramsList) => {
+    const { allowed, problems, message } = checkEntitlements(entitlements, paramsList, {
+      todayCount: (history?.todayCount || 0) + pendingImages
+    });
+    if (allowed) return true;
+
+    showNotification('error', problems.length > 1 ? `${message} (and ${problems.length - 1} more)` : message, {
+      action: {
+        label: 'Upgrade',
+        onClick: () => navigate('/subscription')
+      }
+    });
+    return false;
+  }, [entitlements, history, pendingImages, showNotification, navigate]);
+
+  // Cancellation - the server confirms with generation_cancelled, which also
+  // covers jobs cancelled from another tab
+  const { cancelJob } = useJobCancellation(GENERATION_PIPELINES.IMAGE, {
+    onCancelled: (data) => {
+      const job = findQueuedJob(data);
+      if (job?.status !== JOB_STATUS.RUNNING && job?.status !== JOB_STATUS.QUEUED) return;
+
+      cancel(job.id);
+      showNotification('info', `Generation cancelled. ${formatRefundMessage(data.refundedCredits)}`, {
+        icon: '🛑',
+        duration: 4000
       });
-    },
-    onError: (error) => {
-      showNotification('error', `Failed to save: ${error.message}`);
     }
   });
 
+  const handleCancel = useCallback(async (jobIds) => {
+    // Queued jobs never reached the server, only running ones need a request
+    const runningIds = jobIds.filter(id => queue.getJob(id)?.status === JOB_STATUS.RUNNING);
+    jobIds.forEach(id => cancel(id));
+
+    if (runningIds.length === 0) {
+      showNotification('info', `Removed ${jobIds.length} job${jobIds.length !== 1 ? 's' : ''} from the queue`, {
+        duration: 2000
+      });
+      return;
+    }
+
+    const results = await Promise.allSettled(runningIds.map(id => cancelJob(serverJobId(id))));
+    const failed = results.filter(result => result.status === 'rejected');
+    const refundedCredits = results
+      .filter(result => result.status === 'fulfilled')
+      .reduce((total, result) => total + result.value.refundedCredits, 0);
+
+    if (failed.length > 0) {
+      console.error('Cancel request failed:', failed[0].reason);
+      showNotification('warning', `Stopped locally, but the server did not confirm: ${failed[0].reason.message}`, {
+        icon: '⚠️',
+        duration: 5000
+      });
+      return;
+    }
+
+    showNotification('info', `Generation cancelled. ${formatRefundMessage(refundedCredits)}`, {
+      icon: '🛑',
+      duration: 4000
+    });
+  }, [queue, cancel, cancelJob, serverJobId, showNotification]);
+
+  const handleCancelAll = useCallback(() => {
+    const activeIds = jobs
+      .filter(job => job.status === JOB_STATUS.RUNNING || job.status === JOB_STATUS.QUEUED)
+      .map(job => job.id);
+    handleCancel(activeIds);
+  }, [jobs, handleCancel]);
+
   // WebSocket listeners
   useEffect(() => {
-    if (!socket || !isConnected) return;
+    // Events without any id fall back to the only running job; events for
+    // other ids belong to other pipelines (e.g. enhancement)
+    const findJob = (data) => {
+      if (data.jobId || data.requestId) return findQueuedJob(data);
+
+      const running = queue.getSnapshot().jobs.filter(item => item.status === JOB_STATUS.RUNNING);
+      return running.length === 1 ? running[0] : null;
+    };
 
     const handleGenerationProgress = (data) => {
-      setGenerationProgress(data.progress);
-      
+      const job = findJob(data);
+      if (!job) return;
+
+      queue.setProgress(job.id, data.progress);
+
       // Calculate estimated time remaining
       if (data.progress > 0) {
-        const elapsed = (Date.now() - generationTime) / 1000;
+        const elapsed = (Date.now() - job.startedAt) / 1000;
         const estimatedTotal = elapsed / (data.progress / 100);
         const remaining = estimatedTotal - elapsed;
         console.log(`Estimated time remaining: ${remaining.toFixed(1)}s`);
@@ -220,8 +477,6 @@ const ImageGeneration = () => {
     const handleImageGenerated = (data) => {
       setGeneratedImages(prev => [data, ...prev.slice(0, 9)]);
       setSelectedImage(data);
-      setIsGenerating(false);
-      setGenerationProgress(100);
       showNotification('success', 'Image ready!', {
         icon: '✨',
         duration: 2000
@@ -229,23 +484,22 @@ const ImageGeneration = () => {
     };
 
     const handleGenerationError = (data) => {
+      if ((data.jobId || data.requestId) && !findQueuedJob(data)) return;
+
       showNotification('error', `Generation error: ${data.error}`, {
         icon: '⚠️',
         duration: 5000
       });
-      setIsGenerating(false);
     };
 
-    socket.on('generation_progress', handleGenerationProgress);
-    socket.on('image_generated', handleImageGenerated);
-    socket.on('generation_error', handleGenerationError);
+    const unsubscribers = [
+      on(SOCKET_EVENTS.GENERATION_PROGRESS, handleGenerationProgress),
+      on(SOCKET_EVENTS.IMAGE_GENERATED, handleImageGenerated),
+      on(SOCKET_EVENTS.GENERATION_ERROR, handleGenerationError)
+    ];
 
-    return () => {
-      socket.off('generation_progress', handleGenerationProgress);
-      socket.off('image_generated', handleImageGenerated);
-      socket.off('generation_error', handleGenerationError);
-    };
-  }, [socket, isConnected, showNotification, generationTime]);
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [on, SOCKET_EVENTS, showNotification, queue, findQueuedJob]);
 
   // Form submission
   const onSubmit = async (data) => {
@@ -254,32 +508,23 @@ const ImageGeneration = () => {
       return;
     }
 
-    // Check subscription limits
-    if (user.subscription?.tier === 'free') {
-      const todayCount = history?.todayCount || 0;
-      if (todayCount >= 10) {
-        showNotification('error', 'Free tier limit reached. Upgrade to generate more images.', {
-          action: {
-            label: 'Upgrade',
-            onClick: () => navigate('/subscription')
-          }
-        });
-        return;
-      }
-    }
+    if (!checkPlanLimits([data])) return;
 
-    // Check credits for premium users
-    if (user.subscription?.tier === 'premium' && user.credits < 1) {
-      showNotification('error', 'Insufficient credits. Please purchase more credits.');
+    // Price the submitted values rather than the last render's
+    const estimate = estimateGenerationCost(data);
+    const { allowed, message } = checkAffordability(account, estimate.total, { reserved: reservedCredits });
+    if (!allowed) {
+      showInsufficientCredits(message);
       return;
     }
 
-    generateMutation.mutate({
+    enqueue([{
       ...data,
+      estimatedCredits: estimate.total,
       userId: user.id,
       apiKey: user.apiKey,
       timestamp: Date.now()
-    });
+    }]);
   };
 
   // Handle generation
@@ -287,26 +532,108 @@ const ImageGeneration = () => {
     handleSubmit(onSubmit)();
   }, [handleSubmit, onSubmit]);
 
-  // Handle batch generation
-  const handleBatchGenerate = useCallback((prompts) => {
-    if (!user) return;
-    
-    if (user.subscription?.tier === 'free' && prompts.length > 3) {
-      showNotification('error', 'Free users can only generate 3 images at once');
-      return;
+  // Handle batch generation - items are plain prompts or template expansions.
+  // Returns whether the items were queued
+  const handleBatchGenerate = useCallback((items) => {
+    if (!user) return false;
+
+    // Every item is a single image, whatever the form's batch count
+    const paramsList = items.map(item => ({
+      ...formValues,
+      batchCount: 1,
+      ...(typeof item === 'string' ? { prompt: item } : item)
+    }));
+
+    if (!checkPlanLimits(paramsList)) return false;
+
+    // Expanded templates, sweeps and variations never pass through the form
+    // schema, so every prompt is moderated here before anything is queued
+    const blocked = paramsList
+      .map(params => moderateParams(params))
+      .filter(result => !result.allowed);
+    if (blocked.length > 0) {
+      showNotification('error', `${blocked.length} of ${items.length} prompts were blocked. ${blocked[0].message}`, {
+        icon: '🛡️',
+        duration: 6000
+      });
+      return false;
     }
 
-    prompts.forEach((prompt, index) => {
-      setTimeout(() => {
-        generateMutation.mutate({
-          prompt,
-          ...formValues,
-          userId: user.id,
-          apiKey: user.apiKey
-        });
-      }, index * 2000); // Stagger requests
+    const { total } = estimateBatchCost(paramsList);
+    const { allowed, message } = checkAffordability(account, total, { reserved: reservedCredits });
+    if (!allowed) {
+      showInsufficientCredits(message);
+      return false;
+    }
+
+    enqueue(paramsList.map(params => ({
+      ...params,
+      estimatedCredits: estimateGenerationCost(params).total,
+      userId: user.id,
+      apiKey: user.apiKey,
+      timestamp: Date.now()
+    })), { batch: true });
+
+    showNotification('info', `${items.length} images added to the queue · ${formatCredits(total)}`, {
+      icon: '📋',
+      duration: 2000
     });
-  }, [user, formValues, generateMutation, showNotification]);
+    return true;
+  }, [user, account, formValues, reservedCredits, checkPlanLimits, enqueue, showNotification, showInsufficientCredits]);
+
+  const maxBatchSize = entitlements.batchSize;
+
+  // Handle variations - each variant reuses the parent's parameters with the
+  // next seeds so the set is reproducible
+  const handleVariate = useCallback((image) => {
+    if (!image?.id) return;
+    setVariationSource(image);
+  }, []);
+
+  // Inpainting and outpainting happen on the editor page; the image travels
+  // in navigation state so its prompt can prefill the editor
+  const handleEdit = useCallback((image) => {
+    if (!image?.id) return;
+    navigate(`/image-editor/${image.id}`, { state: { image } });
+  }, [navigate]);
+
+  const handleCreateVariations = useCallback(({ count, strength }) => {
+    const parent = variationSource;
+    const baseSeed = parent.seed ?? Math.floor(Math.random() * 9999999999);
+
+    handleBatchGenerate(Array.from({ length: count }, (_, index) => ({
+      prompt: parent.prompt,
+      negativePrompt: parent.negativePrompt || '',
+      width: parent.width,
+      height: parent.height,
+      steps: parent.steps,
+      guidance: parent.guidance,
+      style: parent.style,
+      model: parent.model,
+      seed: (baseSeed + index + 1) % 9999999999,
+      parentImageId: parent.id,
+      variationStrength: strength
+    })));
+    setVariationSource(null);
+  }, [variationSource, handleBatchGenerate]);
+
+  // Enhanced results join the recent strip as children of their source image
+  const handleEnhanceComplete = useCallback((image, sourceImage) => {
+    const { templateExpansion, variationStrength, ...sourceParams } = sourceImage || {};
+    const enhanced = { ...sourceParams, ...image, parentImageId: sourceImage?.id };
+    setGeneratedImages(prev => [enhanced, ...prev.slice(0, 9)]);
+    setSelectedImage(enhanced);
+    queryClient.invalidateQueries(['image-history', user?.id]);
+  }, [queryClient, user]);
+
+  const lineageImages = useMemo(() => {
+    const seen = new Set();
+    return [...generatedImages, ...(history?.images || [])].filter((image) => {
+      if (!image?.id || seen.has(image.id)) return false;
+      seen.add(image.id);
+      return true;
+    });
+  }, [generatedImages, history]);
 
   // Handle random seed
   const handleRandomSeed = useCallback(() => {
@@ -323,25 +650,71 @@ const ImageGeneration = () => {
   }, [isMobile]);
 
   // Handle download
-  const handleDownload = useCallback((image) => {
+  const handleDownload = useCallback(async (image) => {
     if (!image) return;
-    
-    try {
+
+    const filename = `changex-neurix-${Date.now()}.png`;
+    const save = (href) => {
       const link = document.createElement('a');
-      link.href = `${process.env.REACT_APP_CDN_URL}/images/${image.id}.png`;
-      link.download = `changex-neurix-${Date.now()}.png`;
+      link.href = href;
+      link.download = filename;
       link.click();
-      
-      showNotification('success', 'Image downloaded', {
+    };
+
+    try {
+      const blob = await createImageDownload(image);
+      const url = URL.createObjectURL(blob);
+      save(url);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      showNotification('success', 'Image downloaded with its generation settings', {
         icon: '💾',
         duration: 2000
       });
     } catch (error) {
-      console.error('Download failed:', error);
-      showNotification('error', 'Download failed');
+      // Fall back to the plain CDN file so the download itself never fails
+      console.error('Embedding generation settings failed:', error);
+      save(`${process.env.REACT_APP_CDN_URL}/images/${image.id}.png`);
+      showNotification('warning', 'Image downloaded without its generation settings');
     }
   }, [showNotification]);
 
+  // Restore settings from a PNG downloaded with embedded parameters
+  const handleParametersFile = useCallback(async (file) => {
+    if (!file) return;
+
+    try {
+      const result = await readImageParameters(file);
+      if (!result) {
+        showNotification('info', 'This image has no Changex Neurix generation settings');
+        return;
+      }
+
+      Object.entries(result.params).forEach(([key, value]) => {
+        setValue(key, value, { shouldValidate: true });
+      });
+      restoreSize();
+      setActiveTab('generate');
+
+      showNotification(
+        result.skipped.length ? 'warning' : 'success',
+        result.skipped.length
+          ? `Settings restored except ${result.skipped.join(', ')}`
+          : 'Generation settings restored from image',
+        { icon: '📥', duration: 3000 }
+      );
+    } catch (error) {
+      console.error('Reading image settings failed:', error);
+      showNotification('error', error.message);
+    }
+  }, [setValue, restoreSize, showNotification]);
+
+  const handleSettingsDrop = useCallback((event) => {
+    event.preventDefault();
+    setIsDraggingFile(false);
+    handleParametersFile(event.dataTransfer.files?.[0]);
+  }, [handleParametersFile]);
+
   // Handle share
   const handleShare = useCallback(async (image) => {
     if (!image) return;
@@ -370,96 +743,49 @@ const ImageGeneration = () => {
     }
   }, [showNotification]);
 
+  // Re-run an image with its own settings - shared by regenerate and prompt history
+  // The image's settings are used exactly as stored; ones the model no
+  // longer accepts stop the re-run instead of being snapped to something else
+  const handleRerun = useCallback((image) => {
+    const invalidEdge = [image.width, image.height].find(value => checkDimension(image.model, value));
+    const problem = checkResolution(image.model, image.width, image.height)
+      || (invalidEdge && `${invalidEdge}px: ${checkDimension(image.model, invalidEdge)}`)
+      || checkSteps(image.model, image.steps);
+    if (problem) {
+      showNotification('error', `This image can't be re-run with its original settings (${problem})`);
+      return;
+    }
+
+    const aspectRatio = closestAspectRatio(image.width, image.height);
+    setValue('prompt', image.prompt);
+    setValue('negativePrompt', image.negativePrompt || '');
+    setValue('width', image.width);
+    setValue('height', image.height);
+    setValue('steps', image.steps);
+    setValue('guidance', image.guidance);
+    setValue('seed', image.seed);
+    setValue('style', image.style);
+    setValue('model', image.model);
+    setValue('aspectRatio', aspectRatio);
+    snapKeyRef.current = `${image.model}|${aspectRatio}`;
+    setResolutionNotes([]);
+
+    handleGenerate();
+  }, [setValue, showNotification, handleGenerate]);
+
   // Handle regenerate
   const handleRegenerate = useCallback(() => {
     if (!selectedImage) return;
+    handleRerun(selectedImage);
+  }, [selectedImage, handleRerun]);
 
-    setValue('prompt', selectedImage.prompt);
-    setValue('negativePrompt', selectedImage.negativePrompt || '');
-    setValue('width', selectedImage.width);
-    setValue('height', selectedImage.height);
-    setValue('steps', selectedImage.steps);
-    setValue('guidance', selectedImage.guidance);
-    setValue('seed', selectedImage.seed);
-    setValue('style', selectedImage.style);
-    setValue('model', selectedImage.model);
-
-    handleGenerate();
-  }, [selectedImage, setValue, handleGenerate]);
-
-  // Quick presets
-  const quickPresets = useMemo(() => [
-    {
-      name: 'Portrait',
-      icon: '👤',
-      color: 'purple',
-      preset: {
-        width: 1024,
-        height: 1024,
-        steps: 60,
-        guidance: 8.0,
-        style: 'photorealistic',
-        negativePrompt: 'blurry, distorted, ugly, deformed, bad anatomy',
-        aspectRatio: '1:1'
-      }
-    },
-    {
-      name: 'Landscape',
-      icon: '🏞️',
-      color: 'green',
-      preset: {
-        width: 1920,
-        height: 1080,
-        steps: 70,
-        guidance: 7.5,
-        style: 'realistic',
-        negativePrompt: 'person, human, building, text, watermark',
-        aspectRatio: '16:9'
-      }
-    },
-    {
-      name: 'Anime',
-      icon: '🎨',
-      color: 'pink',
-      preset: {
-        width: 1024,
-        height: 1024,
-        steps: 50,
-        guidance: 8.5,
-        style: 'anime',
-        negativePrompt: 'realistic, photo, 3d, blurry',
-        aspectRatio: '1:1'
-      }
-    },
-    {
-      name: 'Abstract',
-      icon: '🟣',
-      color: 'indigo',
-      preset: {
-        width: 2048,
-        height: 2048,
-        steps: 80,
-        guidance: 9.0,
-        style: 'abstract',
-        negativePrompt: 'text, words, letters, signature',
-        aspectRatio: '1:1'
-      }
-    },
-    {
-      name: 'Product',
-      icon: '📱',
-      color: 'blue',
-      preset: {
-        width: 1080,
-        height: 1080,
-        steps: 65,
-        guidance: 8.0,
-        style: 'product',
-        negativePrompt: 'background, messy, cluttered, low quality',
-        aspectRatio: '1:1'
-      }
-    }
-  ], []);
+  // Apply a built-in or user preset to the form
+  const handleApplyPreset = useCallback((values) => {
+    Object.entries(values).forEach(([key, value]) => {
+      setValue(key, value, { shouldValidate: true });
+    });
+    snapResolution();
+  }, [setValue, snapResolution]);
 
   // Aspect ratio options
   const aspectRatios = [
@@ -470,12 +796,6 @@ const ImageGeneration = () => {
     { value: '3:4', label: 'Vertical', icon: '📐' }
   ];
 
-  // Quality options
-  const qualityOptions = [
-    { value: 'standard', label: 'Standard', icon: '⭐', credits: 1 },
-    { value: 'premium', label: 'Premium', icon: '⭐⭐', credits: 2 },
-    { value: 'ultra', label: 'Ultra', icon: '⭐⭐⭐', credits: 3 }
-  ];
 
   // Loading states
   if (stylesLoading) {
@@ -508,14 +828,14 @@ const ImageGeneration = () => {
           label: 'Upgrade',
           onClick: () => navigate('/subscription'),
           variant: 'primary',
-          visible: user?.subscription?.tier === 'free'
+          visible: entitlements.tier === 'free'
         }
       ]}
       stats={[
         {
           label: 'Today',
           value: history?.todayCount || 0,
-          max: user?.subscription?.dailyLimit || 10,
+          max: entitlements.dailyImages ?? undefined,
           icon: <Clock size={16} />
         },
         {
@@ -525,12 +845,22 @@ const ImageGeneration = () => {
         },
         {
           label: 'Credits',
-          value: user?.credits || 0,
+          value: account?.credits || 0,
           icon: <Zap size={16} />
         }
       ]}
     >
       <div className="image-generation-page">
+        <AnimatePresence>
+          {restoreOffer && (
+            <DraftRestoreBanner
+              draft={restoreOffer}
+              onRestore={restoreLastSession}
+              onDismiss={dismissLastSession}
+            />
+          )}
+        </AnimatePresence>
+
         {/* Tabs */}
         <div className="generation-tabs">
           <button
@@ -547,6 +877,13 @@ const ImageGeneration = () => {
             <Layers size={18} />
             Batch
           </button>
+          <button
+            className={`tab-btn ${activeTab === 'sweep' ? 'active' : ''}`}
+            onClick={() => setActiveTab('sweep')}
+          >
+            <Grid3x3 size={18} />
+            Sweep
+          </button>
           <button
             className={`tab-btn ${activeTab === 'enhance' ? 'active' : ''}`}
             onClick={() => setActiveTab('enhance')}
@@ -566,20 +903,68 @@ const ImageGeneration = () => {
         <div className="generation-container">
           {/* Left Panel - Controls */}
           <div className="controls-panel">
+            {activeTab === 'batch' && (
+              <PromptTemplateBatch
+                user={user}
+                safeMode={formValues.safeMode}
+                params={formValues}
+                maxBatchSize={maxBatchSize}
+                onGenerate={handleBatchGenerate}
+              />
+            )}
+
+            {activeTab === 'enhance' && (
+              <EnhancePanel
+                reservedCredits={reservedCredits}
+                selectedImage={selectedImage}
+                onComplete={handleEnhanceComplete}
+              />
+            )}
+
+            {activeTab === 'history' && (
+              <PromptHistory
+                userId={user?.id}
+                images={lineageImages}
+                selectedImage={selectedImage}
+                onSelectImage={handleSelectImage}
+                onRerun={handleRerun}
+                disabled={!user}
+              />
+            )}
+
+            {activeTab === 'sweep' && (
+              <ParameterSweep
+                formValues={formValues}
+                jobs={jobs}
+                maxBatchSize={maxBatchSize}
+                onQueue={handleBatchGenerate}
+              />
+            )}
+
             <motion.div
-              className="controls-card glass-card"
+              className={`controls-card glass-card ${isDraggingFile ? 'drop-active' : ''}`}
               initial={{ opacity: 0, x: -20 }}
               animate={{ opacity: 1, x: 0 }}
               transition={{ duration: 0.3 }}
+              onDragOver={(e) => {
+                if (!e.dataTransfer.types.includes('Files')) return;
+                e.preventDefault();
+                setIsDraggingFile(true);
+              }}
+              onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false);
+              }}
+              onDrop={handleSettingsDrop}
             >
+              {isDraggingFile && <SettingsDropOverlay />}
               <div className="controls-header">
                 <div className="header-title">
                   <Sparkles size={24} />
                   <h3>Generate Image</h3>
-                  {user?.subscription?.tier !== 'free' && (
+                  {entitlements.tier !== 'free' && (
                     <span className="premium-badge">
                       <Crown size={14} />
-                      {user.subscription.tier}
+                      {entitlements.label}
                     </span>
                   )}
                 </div>
@@ -599,6 +984,23 @@ const ImageGeneration = () => {
                   >
                     <RefreshCw size={18} />
                   </button>
+                  <button
+                    className="btn-icon"
+                    onClick={() => settingsFileRef.current?.click()}
+                    title="Load settings from image"
+                  >
+                    <Upload size={18} />
+                  </button>
+                  <input
+                    ref={settingsFileRef}
+                    type="file"
+                    accept="image/png"
+                    hidden
+                    onChange={(e) => {
+                      handleParametersFile(e.target.files?.[0]);
+                      e.target.value = '';
+                    }}
+                  />
                 </div>
               </div>
 
@@ -619,31 +1021,23 @@ const ImageGeneration = () => {
                   />
                 )}
 
-                {/* Quick Presets */}
-                <div className="quick-presets">
-                  <div className="presets-header">
-                    <h4>Quick Presets</h4>
-                    <span className="badge">{quickPresets.length}</span>
-                  </div>
-                  <div className="presets-grid">
-                    {quickPresets.map((preset, index) => (
-                      <motion.button
-                        key={index}
-                        className={`preset-btn ${preset.color}`}
-                        whileHover={{ scale: 1.05 }}
-                        whileTap={{ scale: 0.95 }}
-                        onClick={() => {
-                          Object.entries(preset.preset).forEach(([key, value]) => {
-                            setValue(key, value, { shouldValidate: true });
-                          });
-                        }}
-                      >
-                        <span className="preset-icon">{preset.icon}</span>
-                        <span className="preset-name">{preset.name}</span>
-                      </motion.button>
-                    ))}
-                  </div>
-                </div>
+                {/* Presets */}
+                <PresetManager
+                  user={user}
+                  formValues={formValues}
+                  onApply={handleApplyPreset}
+                />
+
+                {/* Drafts */}
+                {user && (
+                  <DraftManager
+                    drafts={drafts}
+                    lastSavedAt={lastSavedAt}
+                    onSave={saveDraft}
+                    onOpen={openDraft}
+                    onDelete={removeDraft}
+                  />
+                )}
 
                 {/* Style Selector */}
                 <StyleSelector
@@ -656,7 +1050,7 @@ const ImageGeneration = () => {
                 <ModelSelector
                   selected={formValues.model}
                   onSelect={(model) => setValue('model', model, { shouldValidate: true })}
-                  userTier={user?.subscription?.tier}
+                  userTier={entitlements.tier}
                 />
 
                 {/* Aspect Ratio Selector */}
@@ -675,26 +1069,39 @@ const ImageGeneration = () => {
                       </button>
                     ))}
                   </div>
+                  <ResolutionNotice
+                    width={formValues.width}
+                    height={formValues.height}
+                    adjustments={resolutionNotes}
+                    onDismiss={() => setResolutionNotes([])}
+                  />
                 </div>
 
                 {/* Quality Selector */}
                 <div className="quality-selector">
                   <h4>Quality</h4>
                   <div className="quality-grid">
-                    {qualityOptions.map((quality) => (
-                      <button
-                        key={quality.value}
-                        className={`quality-btn ${formValues.quality === quality.value ? 'active' : ''}`}
-                        onClick={() => setValue('quality', quality.value, { shouldValidate: true })}
-                        type="button"
-                        disabled={user?.credits < quality.credits}
-                        title={user?.credits < quality.credits ? 'Insufficient credits' : ''}
-                      >
-                        <span className="quality-icon">{quality.icon}</span>
-                        <span className="quality-label">{quality.label}</span>
-                        <span className="quality-credits">{quality.credits} credit{quality.credits !== 1 ? 's' : ''}</span>
-                      </button>
-                    ))}
+                    {QUALITY_OPTIONS.map((quality) => {
+                      // Priced at the current size, model and steps
+                      const credits = estimateImageCredits({ ...formValues, quality: quality.value });
+                      const included = isQualityAllowed(entitlements, quality.value);
+                      return (
+                        <button
+                          key={quality.value}
+                          className={`quality-btn ${formValues.quality === quality.value ? 'active' : ''}`}
+                          onClick={() => setValue('quality', quality.value, { shouldValidate: true })}
+                          type="button"
+                          disabled={!included || account?.credits < credits}
+                          title={!included
+                            ? `Not included in the ${entitlements.label} plan`
+                            : account?.credits < credits ? 'Insufficient credits' : ''}
+                        >
+                          <span className="quality-icon">{quality.icon}</span>
+                          <span className="quality-label">{quality.label}</span>
+                          <span className="quality-credits">{formatCredits(credits)}</span>
+                        </button>
+                      );
+                    })}
                   </div>
                 </div>
 
@@ -726,7 +1133,6 @@ const ImageGeneration = () => {
                       <input
                         type="checkbox"
                         {...register('safeMode')}
-                        defaultChecked
                       />
                       <span>Safe mode (filter inappropriate content)</span>
                     </label>
@@ -740,20 +1146,26 @@ const ImageGeneration = () => {
                   </div>
                 </div>
 
+                <CostSummary
+                  estimate={costEstimate}
+                  affordability={affordability}
+                  reserved={reservedCredits}
+                />
+
                 {/* Action Buttons */}
                 <div className="action-buttons">
                   <motion.button
                     type="button"
                     className="btn-primary btn-generate"
                     onClick={handleGenerate}
-                    disabled={isGenerating || !isValid}
+                    disabled={!isValid || !affordability.allowed}
                     whileHover={{ scale: 1.02 }}
                     whileTap={{ scale: 0.98 }}
                   >
                     {isGenerating ? (
                       <>
-                        <RefreshCw className="animate-spin" size={18} />
-                        Generating... {generationProgress}%
+                        <Layers size={18} />
+                        Add to Queue
                       </>
                     ) : (
                       <>
@@ -768,7 +1180,6 @@ const ImageGeneration = () => {
                       type="button"
                       className="btn-secondary"
                       onClick={() => setShowBatch(true)}
-                      disabled={isGenerating}
                     >
                       <Layers size={16} />
                       Batch Generate
@@ -779,12 +1190,23 @@ const ImageGeneration = () => {
                         type="button"
                         className="btn-secondary"
                         onClick={handleRegenerate}
-                        disabled={isGenerating}
                       >
                         <RefreshCw size={16} />
                         Regenerate
                       </button>
                     )}
+
+                    {selectedImage?.id && (
+                      <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={() => handleEdit(selectedImage)}
+                        title="Inpaint or outpaint this image"
+                      >
+                        <Brush size={16} />
+                        Edit
+                      </button>
+                    )}
                   </div>
                 </div>
 
@@ -792,7 +1214,10 @@ const ImageGeneration = () => {
                 {isGenerating && (
                   <div className="generation-progress">
                     <div className="progress-header">
-                      <span>Generating...</span>
+                      <span>
+                        Generating...
+                        {runningJobs.length > 1 && ` (${runningJobs.length} jobs)`}
+                      </span>
                       <span>{generationProgress}%</span>
                     </div>
                     <div className="progress-bar">
@@ -806,11 +1231,33 @@ const ImageGeneration = () => {
                       {generationProgress >= 30 && generationProgress < 70 && 'Generating image...'}
                       {generationProgress >= 70 && 'Finalizing...'}
                     </div>
+                    <button
+                      type="button"
+                      className="btn-outline btn-sm btn-cancel"
+                      onClick={() => handleCancel(runningJobs.map(job => job.id))}
+                    >
+                      <Square size={14} />
+                      {runningJobs.length > 1 ? 'Cancel Running' : 'Cancel'}
+                    </button>
                   </div>
                 )}
               </form>
             </motion.div>
 
+            {/* Generation Queue */}
+            <GenerationQueuePanel
+              jobs={jobs}
+              paused={paused}
+              concurrency={concurrency}
+              onPause={pause}
+              onResume={resume}
+              onCancel={(jobId) => handleCancel([jobId])}
+              onCancelAll={handleCancelAll}
+              onRetry={retry}
+              onMove={move}
+              onClearFinished={clearFinished}
+            />
+
             {/* Batch Generation Modal */}
             <AnimatePresence>
               {showBatch && (
@@ -821,6 +1268,19 @@ const ImageGeneration = () => {
                 />
               )}
             </AnimatePresence>
+
+            {/* Variations Modal */}
+            <AnimatePresence>
+              {variationSource && (
+                <VariationsDialog
+                  image={variationSource}
+                  maxCount={maxBatchSize}
+                  params={{ ...formValues, ...variationSource }}
+                  onConfirm={handleCreateVariations}
+                  onClose={() => setVariationSource(null)}
+                />
+              )}
+            </AnimatePresence>
           </div>
 
           {/* Right Panel - Preview & History */}
@@ -834,11 +1294,21 @@ const ImageGeneration = () => {
                 onDownload={handleDownload}
                 onShare={handleShare}
                 onRegenerate={handleRegenerate}
-                onVariate={() => {/* Handle variation generation */}}
+                onVariate={handleVariate}
+                onEdit={handleEdit}
                 user={user}
               />
             </div>
 
+            {/* Lineage of variations */}
+            {activeTab === 'history' && (
+              <LineageTree
+                images={lineageImages}
+                selectedImage={selectedImage}
+                onSelectImage={handleSelectImage}
+              />
+            )}
+
             {/* History Section */}
             <AnimatePresence>
               {showHistory && (
@@ -922,6 +1392,16 @@ const ImageGeneration = () => {
                         >
                           <Share2 size={14} />
                         </button>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleEdit(image);
+                          }}
+                          className="action-btn"
+                          title="Edit"
+                        >
+                          <Brush size={14} />
+                        </button>
                       </div>
                     </div>
                   </div>
@@ -934,6 +1414,16 @@ const ImageGeneration = () => {
                       <span className="meta-item">
                         {image.width}×{image.height}
                       </span>
+                      {image.templateExpansion && (
+                        <span
+                          className="meta-item"
+                          title={Object.entries(image.templateExpansion.choices)
+                            .map(([key, value]) => `${key} → ${value}`)
+                            .join('\n')}
+                        >
+                          Template #{image.templateExpansion.index + 1}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </motion.div>
@@ -952,20 +1442,21 @@ const ImageGeneration = () => {
               </div>
               <div className="stat-content">
                 <div className="stat-value">
-                  {history?.todayCount || 0}/{user?.subscription?.dailyLimit || 10}
-                </div>
-                <div className="progress-bar">
-                  <div
-                    className="progress-fill"
-                    style={{
-                      width: `${((history?.todayCount || 0) / (user?.subscription?.dailyLimit || 10)) * 100}%`
-                    }}
-                  />
+                  {history?.todayCount || 0}
+                  {entitlements.dailyImages !== null && `/${entitlements.dailyImages}`}
                 </div>
+                {entitlements.dailyImages !== null && (
+                  <div className="progress-bar">
+                    <div
+                      className="progress-fill"
+                      style={{
+                        width: `${Math.min(100, ((history?.todayCount || 0) / Math.max(1, entitlements.dailyImages)) * 100)}%`
+                      }}
+                    />
+                  </div>
+                )}
                 <p className="stat-note">
-                  {user?.subscription?.tier === 'free'
-                    ? 'Free tier limit: 10 images/day'
-                    : `${user.subscription.tier} tier: ${user.subscription.dailyLimit} images/day`}
+                  {entitlements.label} tier: {formatDailyLimit(entitlements)}
                 </p>
               </div>
             </div>
@@ -976,17 +1467,17 @@ const ImageGeneration = () => {
                 <h4>Available Credits</h4>
               </div>
               <div className="stat-content">
-                <div className="stat-value">{user?.credits || 0}</div>
+                <div className="stat-value">{account?.credits || 0}</div>
                 <p className="stat-note">
-                  {user?.subscription?.tier === 'free'
+                  {entitlements.tier === 'free'
                     ? 'Upgrade for more credits'
-                    : `${user.credits} credits remaining`}
+                    : `${formatCredits(account.credits)} remaining`}
                 </p>
                 <button
                   className="btn-outline btn-sm"
                   onClick={() => navigate('/billing')}
                 >
-                  {user?.subscription?.tier === 'free' ? 'Upgrade Plan' : 'Buy Credits'}
+                  {entitlements.tier === 'free' ? 'Upgrade Plan' : 'Buy Credits'}
                 </button>
               </div>
             </div>
@@ -0,0 +1,121 @@
+// src/components/ImageGeneration/LineageTree.jsx - Image history grouped by variation lineage
+
+import React, { useState, useMemo } from 'react';
+import { ChevronDown, ChevronRight, GitBranch } from 'lucide-react';
+import { buildLineageTree, countDescendants } from '../../utils/imageLineage';
+import EmptyState from '../Common/EmptyState';
+import './ImageLineage.css';
+
+const LineageNode = ({ node, selectedId, onSelect, collapsed, onToggle }) => {
+  const { image, children } = node;
+  const isCollapsed = collapsed.has(image.id);
+
+  return (
+    <li className="lineage-node">
+      <div className={`lineage-item ${selectedId === image.id ? 'selected' : ''}`}>
+        {children.length > 0 ? (
+          <button
+            type="button"
+            className="lineage-toggle"
+            onClick={() => onToggle(image.id)}
+            title={isCollapsed ? 'Expand' : 'Collapse'}
+          >
+            {isCollapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+          </button>
+        ) : (
+          <span className="lineage-toggle" />
+        )}
+        <button type="button" className="lineage-image" onClick={() => onSelect(image)}>
+          <img
+            src={`${process.env.REACT_APP_CDN_URL}/images/${image.id}.jpg`}
+            alt={image.prompt}
+            loading="lazy"
+          />
+          <span className="truncate">{image.prompt}</span>
+        </button>
+        {image.variationStrength != null && (
+          <span className="meta-item">{Math.round(image.variationStrength * 100)}%</span>
+        )}
+        {isCollapsed && (
+          <span className="badge">+{countDescendants(node)}</span>
+        )}
+      </div>
+
+      {children.length > 0 && !isCollapsed && (
+        <ul className="lineage-children">
+          {children.map(child => (
+            <LineageNode
+              key={child.image.id}
+              node={child}
+              selectedId={selectedId}
+              onSelect={onSelect}
+              collapsed={collapsed}
+              onToggle={onToggle}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const LineageTree = ({ images, selectedImage, onSelectImage }) => {
+  const [collapsed, setCollapsed] = useState(new Set());
+  const [branchedOnly, setBranchedOnly] = useState(true);
+
+  const roots = useMemo(() => buildLineageTree(images), [images]);
+  const visibleRoots = branchedOnly ? roots.filter(root => root.children.length > 0) : roots;
+
+  const handleToggle = (id) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className="lineage-tree glass-card">
+      <div className="lineage-header">
+        <h4>
+          <GitBranch size={18} />
+          Lineage
+        </h4>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={branchedOnly}
+            onChange={(e) => setBranchedOnly(e.target.checked)}
+          />
+          <span>Only images with variations</span>
+        </label>
+      </div>
+
+      {visibleRoots.length === 0 ? (
+        <EmptyState
+          title="No variations yet"
+          description="Create variations from the preview panel to see how images evolve."
+        />
+      ) : (
+        <ul className="lineage-roots">
+          {visibleRoots.map(root => (
+            <LineageNode
+              key={root.image.id}
+              node={root}
+              selectedId={selectedImage?.id}
+              onSelect={onSelectImage}
+              collapsed={collapsed}
+              onToggle={handleToggle}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LineageTree;
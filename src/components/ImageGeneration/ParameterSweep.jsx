@@ -0,0 +1,245 @@
+// src/components/ImageGeneration/ParameterSweep.jsx - X/Y/Z parameter sweep builder and result grid
+
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
+import { AlertTriangle, Download, Grid3x3, Lock, RefreshCw, Zap } from 'lucide-react';
+import { useNotification } from '../../contexts/NotificationContext';
+import { JOB_STATUS } from '../../hooks/useGenerationQueue';
+import {
+  SWEEP_AXES,
+  SWEEPABLE_PARAMETERS,
+  parseSweepValues,
+  buildSweepCells,
+  exportSweepGrid
+} from '../../utils/parameterSweep';
+import { estimateBatchCost, formatCredits } from '../../services/pricing';
+import './ParameterSweep.css';
+
+const cellKey = ({ x, y, z }) => `${x}:${y}:${z}`;
+
+const imageUrl = (image, extension = 'jpg') => (
+  image?.id ? `${process.env.REACT_APP_CDN_URL}/images/${image.id}.${extension}` : null
+);
+
+const ParameterSweep = ({ formValues, jobs, maxBatchSize, onQueue }) => {
+  const { showNotification } = useNotification();
+  const [axisInputs, setAxisInputs] = useState([
+    { key: 'steps', text: '20, 35, 50' },
+    { key: 'guidance', text: '5, 7.5, 10' },
+    { key: '', text: '' }
+  ]);
+  const [sweep, setSweep] = useState(null);
+  const [results, setResults] = useState({});
+  const [isExporting, setIsExporting] = useState(false);
+
+  const parsedAxes = useMemo(() => axisInputs.map(input => (
+    input.key ? { key: input.key, ...parseSweepValues(input.key, input.text) } : null
+  )), [axisInputs]);
+
+  const errors = parsedAxes.flatMap(axis => axis?.errors || []);
+  const selectedKeys = axisInputs.map(input => input.key).filter(Boolean);
+  const hasDuplicateKeys = new Set(selectedKeys).size !== selectedKeys.length;
+
+  // The seed stays fixed across the grid so only the swept values change
+  const seed = Number.isFinite(formValues.seed) ? formValues.seed : null;
+
+  // Counted from the axes so an oversized grid is never built
+  const cellCount = parsedAxes.reduce((count, axis) => count * (axis?.values.length || 1), 1);
+  const tooMany = cellCount > maxBatchSize;
+
+  const preview = useMemo(
+    () => (tooMany ? { cells: [] } : buildSweepCells({ base: formValues, axes: parsedAxes, seed })),
+    [tooMany, formValues, parsedAxes, seed]
+  );
+
+  // Every cell is queued as a single image
+  const estimatedCredits = estimateBatchCost(preview.cells.map(cell => ({ ...cell.params, batchCount: 1 }))).total;
+  const canSubmit = selectedKeys.length > 0 && errors.length === 0 && !hasDuplicateKeys && !tooMany;
+
+  const updateAxis = useCallback((index, patch) => {
+    setAxisInputs(prev => prev.map((input, i) => (i === index ? { ...input, ...patch } : input)));
+  }, []);
+
+  const handleSubmit = useCallback(() => {
+    const id = crypto.randomUUID();
+    const fixedSeed = seed ?? Math.floor(Math.random() * 9999999999);
+    const { cells, axes } = buildSweepCells({ base: formValues, axes: parsedAxes, seed: fixedSeed });
+
+    // The grid only appears once its jobs were actually queued
+    const queued = onQueue(cells.map(cell => ({
+      ...cell.params,
+      sweep: { id, x: cell.x, y: cell.y, z: cell.z }
+    })));
+    if (!queued) return;
+
+    setSweep({ id, cells, axes, seed: fixedSeed });
+    setResults({});
+  }, [seed, formValues, parsedAxes, onQueue]);
+
+  // Results are copied out of the queue so clearing finished jobs keeps the grid
+  useEffect(() => {
+    if (!sweep) return;
+
+    const finished = jobs.filter(job => (
+      job.params.sweep?.id === sweep.id && job.status === JOB_STATUS.DONE
+    ));
+    if (finished.every(job => results[cellKey(job.params.sweep)])) return;
+
+    setResults(prev => ({
+      ...prev,
+      ...Object.fromEntries(finished.map(job => [cellKey(job.params.sweep), job.result]))
+    }));
+  }, [jobs, sweep, results]);
+
+  const jobFor = useCallback((cell) => jobs.find(job => (
+    job.params.sweep?.id === sweep?.id && cellKey(job.params.sweep) === cellKey(cell)
+  )), [jobs, sweep]);
+
+  const handleExport = useCallback(async () => {
+    setIsExporting(true);
+    try {
+      const blob = await exportSweepGrid({
+        axes: sweep.axes,
+        cells: sweep.cells,
+        getImageUrl: cell => imageUrl(results[cellKey(cell)], 'png')
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `changex-neurix-sweep-${Date.now()}.png`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('Sweep export failed:', error);
+      showNotification('error', `Grid export failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  }, [sweep, results, showNotification]);
+
+  const renderCell = (cell) => {
+    const result = results[cellKey(cell)];
+    if (result) {
+      return <img src={imageUrl(result)} alt={result.prompt} loading="lazy" />;
+    }
+
+    const job = jobFor(cell);
+    if (job?.status === JOB_STATUS.RUNNING) {
+      return <span className="cell-status"><RefreshCw className="animate-spin" size={14} /> {job.progress}%</span>;
+    }
+    return <span className="cell-status">{job ? job.status : 'removed'}</span>;
+  };
+
+  const { x: xAxis, y: yAxis, z: zAxis } = sweep?.axes || {};
+  const completed = sweep ? Object.keys(results).length : 0;
+
+  return (
+    <div className="parameter-sweep glass-card">
+      <div className="sweep-header">
+        <Grid3x3 size={20} />
+        <h4>Parameter Sweep</h4>
+      </div>
+
+      {SWEEP_AXES.map((axis, index) => (
+        <div key={axis} className="sweep-axis">
+          <span className="axis-name">{axis.toUpperCase()}</span>
+          <select
+            value={axisInputs[index].key}
+            onChange={(e) => updateAxis(index, { key: e.target.value })}
+          >
+            <option value="">None</option>
+            {SWEEPABLE_PARAMETERS.map(param => (
+              <option key={param.key} value={param.key}>{param.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={axisInputs[index].text}
+            onChange={(e) => updateAxis(index, { text: e.target.value })}
+            placeholder="Comma separated values or 20-60:10"
+            disabled={!axisInputs[index].key}
+          />
+        </div>
+      ))}
+
+      <div className="sweep-summary">
+        <span>
+          <Grid3x3 size={14} />
+          {cellCount} image{cellCount !== 1 ? 's' : ''}
+        </span>
+        <span>
+          <Lock size={14} />
+          Seed {seed ?? 'random, shared by all cells'}
+        </span>
+        <span>
+          <Zap size={14} />
+          {formatCredits(estimatedCredits)}
+        </span>
+      </div>
+
+      {[...errors, ...(hasDuplicateKeys ? ['Each parameter can only be used on one axis'] : [])].map(error => (
+        <p key={error} className="sweep-error">
+          <AlertTriangle size={14} />
+          {error}
+        </p>
+      ))}
+      {tooMany && (
+        <p className="sweep-error">
+          <AlertTriangle size={14} />
+          Your plan allows {maxBatchSize} images per batch.
+        </p>
+      )}
+
+      <button type="button" className="btn-primary" onClick={handleSubmit} disabled={!canSubmit}>
+        <Zap size={16} />
+        Run Sweep
+      </button>
+
+      {sweep && (
+        <div className="sweep-results">
+          <div className="results-header">
+            <span>{completed}/{sweep.cells.length} done · seed {sweep.seed}</span>
+            <button
+              type="button"
+              className="btn-outline btn-sm"
+              onClick={handleExport}
+              disabled={completed === 0 || isExporting}
+            >
+              <Download size={14} />
+              {isExporting ? 'Exporting...' : 'Export Grid'}
+            </button>
+          </div>
+
+          {zAxis.values.map((zValue, z) => (
+            <div key={z} className="sweep-block">
+              {zAxis.key && <h5>{zAxis.label}: {zValue}</h5>}
+              <table className="sweep-grid">
+                {xAxis.key && (
+                  <thead>
+                    <tr>
+                      {yAxis.key && <th />}
+                      {xAxis.values.map(value => (
+                        <th key={value}>{xAxis.label}: {value}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                )}
+                <tbody>
+                  {yAxis.values.map((yValue, y) => (
+                    <tr key={y}>
+                      {yAxis.key && <th>{yAxis.label}: {yValue}</th>}
+                      {xAxis.values.map((xValue, x) => (
+                        <td key={x}>{renderCell({ x, y, z })}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParameterSweep;
@@ -0,0 +1,285 @@
+// src/components/ImageGeneration/PresetManager.jsx - Built-in and user presets with save, reorder and JSON import/export
+
+import React, { useState, useRef, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowDown,
+  ArrowUp,
+  BookmarkPlus,
+  CloudOff,
+  Download,
+  Pencil,
+  RefreshCw,
+  Trash2,
+  Upload
+} from 'lucide-react';
+import { useNotification } from '../../contexts/NotificationContext';
+import { usePresets } from '../../hooks/usePresets';
+import {
+  MAX_PRESETS,
+  createPreset,
+  exportPresetsFile,
+  parsePresetsFile,
+  presetNameSchema
+} from '../../services/presets';
+import './PresetManager.css';
+
+const PresetManager = ({ user, formValues, onApply }) => {
+  const { showNotification } = useNotification();
+  const { builtIns, presets, isSaving, isSynced, save } = usePresets(user?.id);
+
+  const fileInputRef = useRef(null);
+  const [isManaging, setIsManaging] = useState(false);
+  const [draftName, setDraftName] = useState(null);
+  const [includePrompt, setIncludePrompt] = useState(false);
+
+  const persist = useCallback(async (next, successMessage) => {
+    try {
+      const record = await save(next);
+      if (successMessage) {
+        showNotification(
+          record.dirty ? 'warning' : 'success',
+          record.dirty ? `${successMessage} on this device; it will sync when you reconnect` : successMessage,
+          { icon: '⭐', duration: 2500 }
+        );
+      }
+      return true;
+    } catch (error) {
+      console.error('Saving presets failed:', error);
+      showNotification('error', error.code === 'PRESETS_CONFLICT'
+        ? 'Presets were changed in another session. Showing the latest version; please try again.'
+        : error.message);
+      return false;
+    }
+  }, [save, showNotification]);
+
+  const handleSaveCurrent = async (e) => {
+    e.preventDefault();
+
+    if (presets.length >= MAX_PRESETS) {
+      showNotification('error', `You can keep up to ${MAX_PRESETS} presets`);
+      return;
+    }
+
+    let preset;
+    try {
+      preset = createPreset({ name: draftName, values: formValues, includePrompt });
+    } catch (error) {
+      showNotification('error', error.message);
+      return;
+    }
+
+    if (await persist([...presets, preset], `Preset "${preset.name}" saved`)) {
+      setDraftName(null);
+      setIncludePrompt(false);
+    }
+  };
+
+  const handleRename = (preset, name) => {
+    if (name === preset.name) return;
+    try {
+      const trimmed = presetNameSchema.validateSync(name);
+      persist(presets.map(item => (item.id === preset.id ? { ...item, name: trimmed } : item)));
+    } catch (error) {
+      showNotification('error', error.message);
+    }
+  };
+
+  // Overwrites a preset's values with the current form, keeping its prompt choice
+  const handleUpdateValues = (preset) => {
+    const updated = createPreset({
+      name: preset.name,
+      icon: preset.icon,
+      values: formValues,
+      includePrompt: 'prompt' in preset.values
+    });
+    persist(
+      presets.map(item => (item.id === preset.id ? { ...updated, id: preset.id } : item)),
+      `Preset "${preset.name}" updated`
+    );
+  };
+
+  const handleMove = (index, toIndex) => {
+    const next = [...presets];
+    const [moved] = next.splice(index, 1);
+    next.splice(toIndex, 0, moved);
+    persist(next);
+  };
+
+  const handleDelete = (preset) => {
+    persist(presets.filter(item => item.id !== preset.id), `Preset "${preset.name}" deleted`);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await parsePresetsFile(file, presets.map(preset => preset.name));
+      if (imported.length === 0) {
+        showNotification('info', 'The file contains no presets');
+        return;
+      }
+      persist([...presets, ...imported], `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Preset import failed:', error);
+      showNotification('error', `Import failed: ${error.message}`);
+    }
+  };
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(exportPresetsFile(presets));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `changex-neurix-presets-${Date.now()}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const renderPresetButton = (preset) => (
+    <motion.button
+      key={preset.id}
+      type="button"
+      className={`preset-btn ${preset.color || 'custom'}`}
+      whileHover={{ scale: 1.05 }}
+      whileTap={{ scale: 0.95 }}
+      onClick={() => onApply(preset.values)}
+      title={preset.builtIn ? `${preset.name} (built-in)` : preset.name}
+    >
+      <span className="preset-icon">{preset.icon}</span>
+      <span className="preset-name">{preset.name}</span>
+    </motion.button>
+  );
+
+  return (
+    <div className="quick-presets preset-manager">
+      <div className="presets-header">
+        <h4>Presets</h4>
+        <span className="badge">{builtIns.length + presets.length}</span>
+        {!isSynced && (
+          <span className="preset-sync-pending" title="Saved on this device, not yet synced to your account">
+            <CloudOff size={14} />
+          </span>
+        )}
+        <div className="preset-actions">
+          <button
+            type="button"
+            className="btn-icon"
+            onClick={() => setDraftName(draftName === null ? '' : null)}
+            disabled={!user}
+            title="Save current settings as a preset"
+          >
+            <BookmarkPlus size={16} />
+          </button>
+          <button
+            type="button"
+            className={`btn-icon ${isManaging ? 'active' : ''}`}
+            onClick={() => setIsManaging(!isManaging)}
+            disabled={presets.length === 0}
+            title="Edit, reorder and delete your presets"
+          >
+            <Pencil size={16} />
+          </button>
+          <button
+            type="button"
+            className="btn-icon"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!user || isSaving}
+            title="Import presets from JSON"
+          >
+            <Upload size={16} />
+          </button>
+          <button
+            type="button"
+            className="btn-icon"
+            onClick={handleExport}
+            disabled={presets.length === 0}
+            title="Export your presets as JSON"
+          >
+            <Download size={16} />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={handleImport}
+          />
+        </div>
+      </div>
+
+      {draftName !== null && (
+        <div className="preset-save-form">
+          <input
+            type="text"
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSaveCurrent(e)}
+            placeholder="Preset name"
+            maxLength={40}
+            autoFocus
+          />
+          <label>
+            <input
+              type="checkbox"
+              checked={includePrompt}
+              onChange={(e) => setIncludePrompt(e.target.checked)}
+            />
+            Include prompt
+          </label>
+          <button type="button" className="btn-primary btn-sm" onClick={handleSaveCurrent} disabled={isSaving}>
+            Save
+          </button>
+          <button type="button" className="btn-outline btn-sm" onClick={() => setDraftName(null)}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {isManaging && presets.length > 0 ? (
+        <ul className="preset-list">
+          {presets.map((preset, index) => (
+            <li key={preset.id}>
+              <span className="preset-icon">{preset.icon}</span>
+              <input
+                type="text"
+                key={preset.name}
+                defaultValue={preset.name}
+                onBlur={(e) => handleRename(preset, e.target.value)}
+                maxLength={40}
+                aria-label="Preset name"
+              />
+              <div className="preset-item-actions">
+                <button type="button" onClick={() => handleUpdateValues(preset)} disabled={isSaving} title="Replace with current settings">
+                  <RefreshCw size={14} />
+                </button>
+                <button type="button" onClick={() => handleMove(index, index - 1)} disabled={index === 0 || isSaving} title="Move up">
+                  <ArrowUp size={14} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, index + 1)}
+                  disabled={index === presets.length - 1 || isSaving}
+                  title="Move down"
+                >
+                  <ArrowDown size={14} />
+                </button>
+                <button type="button" onClick={() => handleDelete(preset)} disabled={isSaving} title="Delete preset">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="presets-grid">
+          {builtIns.map(renderPresetButton)}
+          {presets.map(renderPresetButton)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresetManager;
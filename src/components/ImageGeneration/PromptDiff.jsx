@@ -0,0 +1,85 @@
+// src/components/ImageGeneration/PromptDiff.jsx - Two history entries compared word by word
+
+import React, { useMemo } from 'react';
+import { GitCompare, X } from 'lucide-react';
+import { diffWords, isUnchanged } from '../../utils/wordDiff';
+import { COMPARED_PARAMETERS } from '../../services/promptHistory';
+import './PromptHistory.css';
+
+const DiffText = ({ segments }) => (
+  <p className="prompt-diff-text">
+    {segments.map((segment, index) => {
+      const Tag = segment.type === 'removed' ? 'del' : segment.type === 'added' ? 'ins' : 'span';
+      return (
+        <React.Fragment key={index}>
+          {segment.leading}
+          <Tag>{segment.text}</Tag>
+        </React.Fragment>
+      );
+    })}
+  </p>
+);
+
+const PromptDiff = ({ before, after, onClose }) => {
+  const promptDiff = useMemo(() => diffWords(before.prompt, after.prompt), [before, after]);
+  const negativeDiff = useMemo(
+    () => diffWords(before.negativePrompt, after.negativePrompt),
+    [before, after]
+  );
+  const changedParameters = COMPARED_PARAMETERS.filter(([key]) => before[key] !== after[key]);
+
+  return (
+    <div className="prompt-diff">
+      <div className="prompt-diff-header">
+        <h4>
+          <GitCompare size={16} />
+          Compare prompts
+        </h4>
+        <button type="button" className="btn-icon" onClick={onClose} title="Close comparison">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="prompt-diff-images">
+        {[before, after].map(image => (
+          <img
+            key={image.id}
+            src={`${process.env.REACT_APP_CDN_URL}/images/${image.id}.jpg`}
+            alt={image.prompt}
+            loading="lazy"
+          />
+        ))}
+      </div>
+
+      <div className="prompt-diff-section">
+        <span className="prompt-diff-label">Prompt</span>
+        {isUnchanged(promptDiff) ? <p className="prompt-diff-same">Same prompt</p> : <DiffText segments={promptDiff} />}
+      </div>
+
+      {(before.negativePrompt || after.negativePrompt) && (
+        <div className="prompt-diff-section">
+          <span className="prompt-diff-label">Negative prompt</span>
+          {isUnchanged(negativeDiff)
+            ? <p className="prompt-diff-same">Same negative prompt</p>
+            : <DiffText segments={negativeDiff} />}
+        </div>
+      )}
+
+      {changedParameters.length > 0 && (
+        <table className="prompt-diff-params">
+          <tbody>
+            {changedParameters.map(([key, label]) => (
+              <tr key={key}>
+                <th>{label}</th>
+                <td><del>{before[key] ?? '—'}</del></td>
+                <td><ins>{after[key] ?? '—'}</ins></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default PromptDiff;
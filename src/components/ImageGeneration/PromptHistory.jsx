@@ -0,0 +1,223 @@
+// src/components/ImageGeneration/PromptHistory.jsx - Searchable prompt history with favourites, diffs and re-run
+
+import React, { useState, useMemo } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { GitCompare, RotateCcw, Search, Star } from 'lucide-react';
+import { useNotification } from '../../contexts/NotificationContext';
+import {
+  DATE_RANGES,
+  collectOptions,
+  getImageTimestamp,
+  listFavouritePrompts,
+  promptKey,
+  searchHistory,
+  toggleFavouritePrompt
+} from '../../services/promptHistory';
+import PromptDiff from './PromptDiff';
+import EmptyState from '../Common/EmptyState';
+import './PromptHistory.css';
+
+const INITIAL_FILTERS = {
+  query: '',
+  model: '',
+  style: '',
+  range: 'all',
+  minRating: 0,
+  favouritesOnly: false
+};
+
+const PromptHistory = ({ userId, images, selectedImage, onSelectImage, onRerun, disabled }) => {
+  const { showNotification } = useNotification();
+  const queryClient = useQueryClient();
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [compareIds, setCompareIds] = useState([]);
+
+  const { data: favourites = new Set() } = useQuery(
+    ['prompt-favourites', userId],
+    async () => new Set((await listFavouritePrompts(userId)).map(record => record.key)),
+    { enabled: !!userId, staleTime: Infinity }
+  );
+
+  const models = useMemo(() => collectOptions(images, 'model'), [images]);
+  const styles = useMemo(() => collectOptions(images, 'style'), [images]);
+  const results = useMemo(
+    () => searchHistory(images, filters, favourites),
+    [images, filters, favourites]
+  );
+
+  // Older entry on the left, so the diff reads as "what changed since"
+  const compared = compareIds
+    .map(id => images.find(image => image.id === id))
+    .filter(Boolean)
+    .sort((a, b) => (getImageTimestamp(a) || 0) - (getImageTimestamp(b) || 0));
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const handleToggleFavourite = async (image) => {
+    try {
+      const starred = await toggleFavouritePrompt(userId, image.prompt);
+      queryClient.invalidateQueries(['prompt-favourites', userId]);
+      showNotification('success', starred ? 'Prompt added to favourites' : 'Prompt removed from favourites', {
+        icon: '⭐',
+        duration: 2000
+      });
+    } catch (error) {
+      console.error('Updating favourite prompts failed:', error);
+      showNotification('error', `Could not update favourites: ${error.message}`);
+    }
+  };
+
+  // Keep at most two entries; picking a third replaces the oldest pick
+  const handleToggleCompare = (image) => {
+    setCompareIds(prev => (
+      prev.includes(image.id)
+        ? prev.filter(id => id !== image.id)
+        : [...prev, image.id].slice(-2)
+    ));
+  };
+
+  const isFiltered = JSON.stringify(filters) !== JSON.stringify(INITIAL_FILTERS);
+
+  return (
+    <div className="prompt-history glass-card">
+      <div className="prompt-history-header">
+        <h4>
+          <Search size={16} />
+          Prompt history
+        </h4>
+        <span className="prompt-history-count">
+          {results.length} of {images.length}
+        </span>
+      </div>
+
+      <div className="prompt-history-filters">
+        <input
+          type="search"
+          value={filters.query}
+          onChange={(e) => updateFilter('query', e.target.value)}
+          placeholder='Search prompts, e.g. castle "golden hour"'
+          aria-label="Search prompts"
+        />
+        <select value={filters.model} onChange={(e) => updateFilter('model', e.target.value)} aria-label="Model">
+          <option value="">All models</option>
+          {models.map(model => <option key={model} value={model}>{model}</option>)}
+        </select>
+        <select value={filters.style} onChange={(e) => updateFilter('style', e.target.value)} aria-label="Style">
+          <option value="">All styles</option>
+          {styles.map(style => <option key={style} value={style}>{style}</option>)}
+        </select>
+        <select value={filters.range} onChange={(e) => updateFilter('range', e.target.value)} aria-label="Date">
+          {Object.entries(DATE_RANGES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={filters.minRating}
+          onChange={(e) => updateFilter('minRating', Number(e.target.value))}
+          aria-label="Minimum rating"
+        >
+          <option value={0}>Any rating</option>
+          {[5, 4, 3, 2, 1].map(rating => (
+            <option key={rating} value={rating}>{'★'.repeat(rating)}{rating < 5 ? ' & up' : ''}</option>
+          ))}
+        </select>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={filters.favouritesOnly}
+            onChange={(e) => updateFilter('favouritesOnly', e.target.checked)}
+            disabled={!userId}
+          />
+          <span>Favourites only</span>
+        </label>
+        {isFiltered && (
+          <button type="button" className="btn-text" onClick={() => setFilters(INITIAL_FILTERS)}>
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {compared.length === 2 && (
+        <PromptDiff before={compared[0]} after={compared[1]} onClose={() => setCompareIds([])} />
+      )}
+
+      {results.length === 0 ? (
+        <EmptyState
+          title={images.length === 0 ? 'No history yet' : 'No matching prompts'}
+          description={images.length === 0
+            ? 'Images you generate will be searchable here.'
+            : 'Try a different search or clear the filters.'}
+        />
+      ) : (
+        <ul className="prompt-history-list">
+          {results.map((image) => {
+            const isFavourite = favourites.has(promptKey(image.prompt));
+            const isCompared = compareIds.includes(image.id);
+            const timestamp = getImageTimestamp(image);
+
+            return (
+              <li
+                key={image.id}
+                className={`prompt-history-item ${selectedImage?.id === image.id ? 'selected' : ''}`}
+              >
+                <button type="button" className="prompt-history-image" onClick={() => onSelectImage(image)}>
+                  <img
+                    src={`${process.env.REACT_APP_CDN_URL}/images/${image.id}.jpg`}
+                    alt={image.prompt}
+                    loading="lazy"
+                  />
+                </button>
+                <div className="prompt-history-text">
+                  <p className="prompt-history-prompt">{image.prompt}</p>
+                  {image.negativePrompt && (
+                    <p className="prompt-history-negative truncate">Without: {image.negativePrompt}</p>
+                  )}
+                  <span className="prompt-history-meta">
+                    {[
+                      image.model,
+                      image.style,
+                      image.rating ? '★'.repeat(image.rating) : null,
+                      timestamp ? new Date(timestamp).toLocaleDateString() : null
+                    ].filter(Boolean).join(' · ')}
+                  </span>
+                </div>
+                <div className="prompt-history-actions">
+                  <button
+                    type="button"
+                    className={`btn-icon ${isFavourite ? 'active' : ''}`}
+                    onClick={() => handleToggleFavourite(image)}
+                    disabled={!userId}
+                    title={isFavourite ? 'Remove from favourites' : 'Add to favourites'}
+                    aria-pressed={isFavourite}
+                  >
+                    <Star size={14} fill={isFavourite ? 'currentColor' : 'none'} />
+                  </button>
+                  <button
+                    type="button"
+                    className={`btn-icon ${isCompared ? 'active' : ''}`}
+                    onClick={() => handleToggleCompare(image)}
+                    title="Compare with another prompt"
+                    aria-pressed={isCompared}
+                  >
+                    <GitCompare size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-icon"
+                    onClick={() => onRerun(image)}
+                    disabled={disabled}
+                    title="Re-run with these settings"
+                  >
+                    <RotateCcw size={14} />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PromptHistory;
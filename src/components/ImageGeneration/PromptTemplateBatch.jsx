@@ -0,0 +1,223 @@
+// src/components/ImageGeneration/PromptTemplateBatch.jsx - Expand prompt templates into a batch
+
+import React, { useState, useMemo, useRef, useCallback } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import { AlertTriangle, Braces, FileText, Layers, Trash2, Upload, Zap } from 'lucide-react';
+import { useNotification } from '../../contexts/NotificationContext';
+import { expandTemplate, parseVariables } from '../../utils/promptTemplate';
+import { listWildcards, importWildcardFile, deleteWildcard } from '../../services/wildcards';
+import { estimateGenerationCost, formatCredits } from '../../services/pricing';
+import { promptSchema } from './generationSchema';
+import './PromptTemplateBatch.css';
+
+const PREVIEW_LIMIT = 8;
+
+const validatePrompt = (prompt, safeMode) => {
+  try {
+    promptSchema.validateSync(prompt, { context: { safeMode } });
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const PromptTemplateBatch = ({ user, safeMode, params, maxBatchSize, onGenerate }) => {
+  const { showNotification } = useNotification();
+  const queryClient = useQueryClient();
+  const fileInputRef = useRef(null);
+
+  const [template, setTemplate] = useState('');
+  const [variablesText, setVariablesText] = useState('');
+
+  const wildcardsKey = ['prompt-wildcards', user?.id];
+  const { data: wildcardFiles = [] } = useQuery(
+    wildcardsKey,
+    () => listWildcards(user.id),
+    { enabled: !!user?.id }
+  );
+
+  const importMutation = useMutation((file) => importWildcardFile(user.id, file), {
+    onSuccess: (record) => {
+      queryClient.invalidateQueries(wildcardsKey);
+      showNotification('success', `Wildcard __${record.name}__ saved (${record.values.length} values)`, {
+        icon: '📄',
+        duration: 2000
+      });
+    },
+    onError: (error) => {
+      showNotification('error', `Failed to import wildcard: ${error.message}`);
+    }
+  });
+
+  const deleteMutation = useMutation((name) => deleteWildcard(user.id, name), {
+    onSuccess: () => queryClient.invalidateQueries(wildcardsKey)
+  });
+
+  const wildcards = useMemo(
+    () => Object.fromEntries(wildcardFiles.map(file => [file.name, file.values])),
+    [wildcardFiles]
+  );
+
+  const variables = useMemo(() => parseVariables(variablesText), [variablesText]);
+
+  // Only the first maxBatchSize expansions are built; count covers them all
+  const { count, expansions, missing } = useMemo(
+    () => expandTemplate(template, { variables, wildcards, limit: maxBatchSize }),
+    [template, variables, wildcards, maxBatchSize]
+  );
+
+  const invalid = useMemo(
+    () => expansions
+      .map(expansion => ({ ...expansion, error: validatePrompt(expansion.prompt, safeMode) }))
+      .filter(expansion => expansion.error),
+    [expansions, safeMode]
+  );
+
+  // Expansions only differ in prompt, so they all cost the same
+  const totalCost = estimateGenerationCost({ ...params, batchCount: count }).total;
+  const tooMany = count > maxBatchSize;
+  const canGenerate = template.trim() && count > 0 && !tooMany && missing.length === 0 && invalid.length === 0;
+
+  const handleImport = useCallback((event) => {
+    const files = [...(event.target.files || [])];
+    event.target.value = '';
+    files.forEach(file => importMutation.mutate(file));
+  }, [importMutation]);
+
+  const handleGenerate = useCallback(() => {
+    onGenerate(expansions.map(expansion => ({
+      prompt: expansion.prompt,
+      templateExpansion: {
+        template,
+        index: expansion.index,
+        choices: expansion.choices
+      }
+    })));
+  }, [expansions, template, onGenerate]);
+
+  return (
+    <div className="prompt-template-batch glass-card">
+      <div className="template-header">
+        <Braces size={20} />
+        <h4>Prompt Template</h4>
+      </div>
+
+      <textarea
+        className="template-input"
+        rows={3}
+        value={template}
+        onChange={(e) => setTemplate(e.target.value)}
+        placeholder="A {red|blue|green} car in {$place}, __weather__"
+      />
+      <p className="template-hint">
+        <code>{'{a|b}'}</code> alternation · <code>{'{$name}'}</code> variable · <code>__name__</code> wildcard list
+      </p>
+
+      <label className="template-label" htmlFor="template-variables">Variables</label>
+      <textarea
+        id="template-variables"
+        className="template-input"
+        rows={2}
+        value={variablesText}
+        onChange={(e) => setVariablesText(e.target.value)}
+        placeholder="place = a city street | a forest road"
+      />
+
+      <div className="template-wildcards">
+        <div className="wildcards-header">
+          <span className="template-label">Wildcards</span>
+          <button
+            type="button"
+            className="btn-icon"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!user || importMutation.isLoading}
+            title="Import .txt wildcard files, one value per line"
+          >
+            <Upload size={16} />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".txt,text/plain"
+            multiple
+            hidden
+            onChange={handleImport}
+          />
+        </div>
+        {wildcardFiles.length === 0 ? (
+          <p className="template-hint">No wildcard files yet. Import a .txt file to use it as __filename__.</p>
+        ) : (
+          <ul className="wildcard-list">
+            {wildcardFiles.map(file => (
+              <li key={file.id}>
+                <FileText size={14} />
+                <code>__{file.name}__</code>
+                <span className="wildcard-count">{file.values.length}</span>
+                <button type="button" onClick={() => deleteMutation.mutate(file.name)} title="Delete wildcard">
+                  <Trash2 size={14} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {template.trim() && (
+        <div className="template-preview">
+          <div className="preview-summary">
+            <span>
+              <Layers size={14} />
+              {count} combination{count !== 1 ? 's' : ''}
+            </span>
+            <span>
+              <Zap size={14} />
+              {formatCredits(totalCost)}
+            </span>
+          </div>
+
+          {missing.length > 0 && (
+            <p className="template-error">
+              <AlertTriangle size={14} />
+              Undefined: {missing.join(', ')}
+            </p>
+          )}
+          {tooMany && (
+            <p className="template-error">
+              <AlertTriangle size={14} />
+              Your plan allows {maxBatchSize} images per batch. Remove some options to continue.
+            </p>
+          )}
+          {invalid.length > 0 && (
+            <p className="template-error">
+              <AlertTriangle size={14} />
+              {invalid.length} expansion{invalid.length !== 1 ? 's' : ''} failed validation: {invalid[0].error}
+            </p>
+          )}
+
+          <ol className="expansion-list">
+            {expansions.slice(0, PREVIEW_LIMIT).map(expansion => (
+              <li key={expansion.index} className={validatePrompt(expansion.prompt, safeMode) ? 'invalid' : ''}>
+                {expansion.prompt}
+              </li>
+            ))}
+          </ol>
+          {count > PREVIEW_LIMIT && (
+            <p className="template-hint">and {count - PREVIEW_LIMIT} more</p>
+          )}
+        </div>
+      )}
+
+      <button
+        type="button"
+        className="btn-primary"
+        onClick={handleGenerate}
+        disabled={!canGenerate}
+      >
+        <Zap size={16} />
+        Queue {count || ''} Image{count !== 1 ? 's' : ''}
+      </button>
+    </div>
+  );
+};
+
+export default PromptTemplateBatch;
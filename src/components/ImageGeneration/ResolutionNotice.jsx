@@ -0,0 +1,26 @@
+// src/components/ImageGeneration/ResolutionNotice.jsx - Explains size and step changes made for the selected model
+
+import React from 'react';
+import { Info, X } from 'lucide-react';
+import './ResolutionNotice.css';
+
+const ResolutionNotice = ({ width, height, adjustments, onDismiss }) => (
+  <div className="resolution-notice" role="status">
+    <div className="resolution-notice-header">
+      <Info size={16} />
+      <span>Output size {width}×{height}</span>
+      {adjustments.length > 0 && (
+        <button type="button" onClick={onDismiss} title="Dismiss" aria-label="Dismiss size changes">
+          <X size={14} />
+        </button>
+      )}
+    </div>
+    {adjustments.length > 0 && (
+      <ul>
+        {adjustments.map(message => <li key={message}>{message}</li>)}
+      </ul>
+    )}
+  </div>
+);
+
+export default ResolutionNotice;
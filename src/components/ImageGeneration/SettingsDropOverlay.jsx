@@ -0,0 +1,14 @@
+// src/components/ImageGeneration/SettingsDropOverlay.jsx - Drop target shown while dragging an image over the form
+
+import React from 'react';
+import { Upload } from 'lucide-react';
+import './SettingsDropOverlay.css';
+
+const SettingsDropOverlay = () => (
+  <div className="settings-drop-overlay" aria-hidden="true">
+    <Upload size={32} />
+    <span>Drop a downloaded image to restore its settings</span>
+  </div>
+);
+
+export default SettingsDropOverlay;
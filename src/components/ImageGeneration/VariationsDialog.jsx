@@ -0,0 +1,93 @@
+// src/components/ImageGeneration/VariationsDialog.jsx - Configure variations of a generated image
+
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Copy, X, Zap } from 'lucide-react';
+import { estimateGenerationCost, formatCredits } from '../../services/pricing';
+import './ImageLineage.css';
+
+const MAX_VARIATIONS = 8;
+
+const VariationsDialog = ({ image, params, maxCount, onConfirm, onClose }) => {
+  const limit = Math.min(MAX_VARIATIONS, maxCount);
+  const [count, setCount] = useState(Math.min(4, limit));
+  const [strength, setStrength] = useState(0.35);
+
+  const totalCost = estimateGenerationCost({ ...params, batchCount: count }).total;
+
+  return (
+    <motion.div
+      className="modal-overlay"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="variations-dialog glass-card"
+        initial={{ scale: 0.95, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.95, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Create variations"
+      >
+        <div className="dialog-header">
+          <h3>
+            <Copy size={20} />
+            Variations
+          </h3>
+          <button type="button" className="btn-icon" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="variation-source">
+          <img src={`${process.env.REACT_APP_CDN_URL}/images/${image.id}.jpg`} alt={image.prompt} />
+          <div>
+            <p className="truncate">{image.prompt}</p>
+            <span className="meta-item">Seed {image.seed ?? 'unknown'}</span>
+          </div>
+        </div>
+
+        <label className="variation-field">
+          <span>Variants: {count}</span>
+          <input
+            type="range"
+            min={1}
+            max={limit}
+            value={count}
+            onChange={(e) => setCount(Number(e.target.value))}
+          />
+        </label>
+
+        <label className="variation-field">
+          <span>Strength: {Math.round(strength * 100)}%</span>
+          <input
+            type="range"
+            min={0.05}
+            max={1}
+            step={0.05}
+            value={strength}
+            onChange={(e) => setStrength(Number(e.target.value))}
+          />
+          <span className="range-hints">
+            <span>Subtle</span>
+            <span>Reimagined</span>
+          </span>
+        </label>
+
+        <button
+          type="button"
+          className="btn-primary"
+          onClick={() => onConfirm({ count, strength })}
+        >
+          <Zap size={16} />
+          Create {count} Variant{count !== 1 ? 's' : ''} · {formatCredits(totalCost)}
+        </button>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default VariationsDialog;
@@ -0,0 +1,55 @@
+// src/components/ImageGeneration/generationSchema.js - Validation schema for the image generation form
+
+import * as yup from 'yup';
+import { ASPECT_RATIOS, checkDimension, checkResolution, checkSteps } from '../../utils/resolutionResolver';
+import { moderateText, policyForSafeMode } from '../../services/moderation';
+
+export const MAX_BATCH_SIZE = 20;
+
+// Runs a resolver check against the selected model; fields validated on
+// their own (e.g. with validateSyncAt) fall back to the default limits
+const modelRule = (check) => function (value) {
+  const message = check(this.parent?.model, value, this.parent);
+  return message ? this.createError({ message }) : true;
+};
+
+// Checks a text field against the active moderation rules. The policy
+// follows the form's safe mode, or `context.safeMode` when a field is
+// validated on its own (e.g. template expansions)
+const moderationRule = (field) => function (value) {
+  const safeMode = this.parent?.safeMode ?? this.options.context?.safeMode;
+  const { message } = moderateText(value, { field, policy: policyForSafeMode(safeMode) });
+  return message ? this.createError({ message }) : true;
+};
+
+// Enhanced validation schema
+export const generationSchema = yup.object({
+  prompt: yup.string()
+    .required('Prompt is required')
+    .min(10, 'Prompt must be at least 10 characters')
+    .max(2000, 'Prompt must be less than 2000 characters')
+    .test('moderation', moderationRule('prompt')),
+  negativePrompt: yup.string()
+    .max(1000, 'Negative prompt too long')
+    .test('moderation', moderationRule('negativePrompt')),
+  safeMode: yup.boolean().default(true),
+  width: yup.number().min(256).max(4096).default(1024)
+    .test('model-width', modelRule(checkDimension)),
+  height: yup.number().min(256).max(4096).default(1024)
+    .test('model-height', modelRule(checkDimension))
+    .test('model-resolution', modelRule((model, height, { width } = {}) => (
+      typeof width === 'number' && typeof height === 'number' ? checkResolution(model, width, height) : null
+    ))),
+  steps: yup.number().min(10).max(200).default(50)
+    .test('model-steps', modelRule(checkSteps)),
+  guidance: yup.number().min(1).max(30).default(7.5),
+  seed: yup.number().min(0).max(9999999999),
+  style: yup.string().default('realistic'),
+  model: yup.string().default('stable-diffusion-xl'),
+  batchCount: yup.number().min(1).max(MAX_BATCH_SIZE).default(1),
+  quality: yup.string().oneOf(['standard', 'premium', 'ultra']).default('standard'),
+  aspectRatio: yup.string().oneOf(ASPECT_RATIOS).default('1:1'),
+});
+
+// Rules every single prompt must satisfy, including expanded templates
+export const promptSchema = generationSchema.fields.prompt;
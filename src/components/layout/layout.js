@@ -16,6 +16,7 @@ import SearchBar from '../Common/SearchBar';
 import Toasts from '../Common/Toasts';
 import LoadingBar from '../Common/LoadingBar';
 import CommandPalette from '../Common/CommandPalette';
+import ConnectionQuality from '../Common/ConnectionQuality';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Bell, Zap, Rocket, Sparkles, Search, Menu, X } from 'lucide-react';
 import './Layout.css';
@@ -178,6 +179,8 @@ const Layout = ({ children }) => {
 
       <Footer />
 
+      {user && <ConnectionQuality compact={isMobile} />}
+
       {/* Overlays and Modals */}
       <QuickActions
         isOpen={showQuickActions}
@@ -0,0 +1,245 @@
+// src/contexts/WebSocketContext.jsx - Owns the tab's single realtime connection
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { io } from 'socket.io-client';
+import { useAuth } from '../hooks/useAuth';
+import { useNotification } from './NotificationContext';
+import { usePerformance } from './PerformanceContext';
+import { createSocketManager } from '../services/realtime/socketManager';
+import { SOCKET_EVENTS } from '../services/realtime/socketEvents';
+import { createLeaderElection } from '../services/realtime/leaderElection';
+import { createRelayHost, createRelaySocket } from '../services/realtime/tabRelay';
+
+const WebSocketContext = createContext(null);
+
+// WebSocket configuration
+const socketOptions = {
+  transports: ['websocket', 'polling'],
+  reconnection: true,
+  reconnectionAttempts: 10,
+  reconnectionDelay: 1000,
+  reconnectionDelayMax: 10000,
+  timeout: 30000,
+  query: {
+    clientType: 'web',
+    version: process.env.REACT_APP_VERSION || '2.0.0',
+    platform: navigator.platform,
+    language: navigator.language
+  }
+};
+
+// REACT_APP_REALTIME_TRANSPORT=mock runs against the in-page mock server,
+// so the app works with no backend at ws://localhost:3001. It is loaded on
+// demand so production bundles never include it.
+const loadDirectTransport = () => (
+  process.env.REACT_APP_REALTIME_TRANSPORT === 'mock'
+    ? import('../services/realtime/mockServer').then(({ getMockServer }) => getMockServer().transport)
+    : Promise.resolve(io)
+);
+
+// Get WebSocket URL
+const getWebSocketUrl = () => {
+  if (process.env.NODE_ENV === 'development') {
+    return 'ws://localhost:3001';
+  }
+  return process.env.REACT_APP_WS_URL || 'wss://api.changexneurix.com';
+};
+
+export const WebSocketProvider = ({ children }) => {
+  const { user, token, refreshToken, refreshSession } = useAuth();
+  const { showNotification } = useNotification();
+  const { trackEvent } = usePerformance();
+  const navigate = useNavigate();
+
+  // Tabs start as followers of whichever tab holds the connection until
+  // the election says otherwise
+  const manager = useMemo(() => {
+    const socketManager = createSocketManager({
+      url: getWebSocketUrl(),
+      options: socketOptions,
+      role: 'follower',
+      transport: () => createRelaySocket({
+        onSettled: (requestId, response) => socketManager.settleRemote(requestId, response)
+      })
+    });
+    return socketManager;
+  }, []);
+
+  // Only connection notifications for the tab the user is looking at
+  const notify = useCallback((...args) => {
+    if (document.visibilityState === 'visible') {
+      showNotification(...args);
+    }
+  }, [showNotification]);
+
+  // Keep credentials in sync with the auth layer
+  useEffect(() => {
+    manager.setAuth(user && token ? { token, userId: user.id, refreshToken } : null);
+  }, [manager, user, token, refreshToken]);
+
+  // Expired tokens are refreshed by the auth layer, so HTTP calls get the
+  // new session too; it resolves with the new { token, refreshToken }, which
+  // the effect above then passes on unchanged. Failing that, sign in again
+  useEffect(() => {
+    manager.setAuthHandlers({
+      refresh: async () => {
+        const session = await refreshSession();
+        trackEvent('websocket_token_refreshed');
+        return session;
+      },
+      onFailure: () => {
+        trackEvent('websocket_auth_failed');
+        showNotification('error', 'Your session has expired. Please log in again.', {
+          icon: '🔒',
+          duration: 5000
+        });
+        navigate('/login', { replace: true, state: { from: window.location.pathname } });
+      }
+    });
+  }, [manager, refreshSession, navigate, showNotification, trackEvent]);
+
+  // The leader tab holds the socket for every tab and relays it to the rest
+  useEffect(() => {
+    const followerTransport = () => createRelaySocket({ onSettled: manager.settleRemote });
+    let host = null;
+    let holding = false;
+    let election = null;
+    let stopped = false;
+
+    const startElection = (directTransport) => createLeaderElection({
+      channelName: 'changex-neurix-realtime-leader',
+      onChange: (isLeader) => {
+        host?.stop();
+        host = null;
+
+        if (isLeader) {
+          console.log('This tab now holds the realtime connection');
+          manager.setTransport(directTransport, 'leader');
+          host = createRelayHost(manager);
+          if (!holding) {
+            holding = true;
+            manager.retain();
+          }
+        } else {
+          manager.setTransport(followerTransport, 'follower');
+          if (holding) {
+            holding = false;
+            manager.release();
+          }
+        }
+      }
+    });
+
+    loadDirectTransport()
+      .then((directTransport) => {
+        if (!stopped) election = startElection(directTransport);
+      })
+      .catch((error) => console.error('Failed to load the realtime transport:', error));
+
+    return () => {
+      stopped = true;
+      host?.stop();
+      election?.stop();
+      if (holding) {
+        manager.release();
+      }
+    };
+  }, [manager]);
+
+  useEffect(() => () => manager.disconnect(), [manager]);
+
+  // Connection notifications are shown once, not once per consumer or per tab
+  useEffect(() => {
+    const unsubscribers = [
+      manager.on(SOCKET_EVENTS.CONNECT, () => {
+        trackEvent('websocket_connected');
+        notify('success', 'Connected to Changex Neurix servers', {
+          icon: '🔗',
+          duration: 2000
+        });
+      }),
+
+      manager.on(SOCKET_EVENTS.DISCONNECT, (reason) => {
+        if (reason === 'io server disconnect') {
+          notify('warning', 'Disconnected from server', {
+            icon: '⚠️',
+            duration: 3000
+          });
+        }
+      }),
+
+      manager.on(SOCKET_EVENTS.CONNECT_ERROR, (error, attempt) => {
+        if (attempt <= 3) {
+          notify('warning', `Connection attempt ${attempt} failed. Retrying...`, {
+            icon: '🔄',
+            duration: 3000
+          });
+        } else {
+          notify('error', 'Connection failed. Please check your network.', {
+            icon: '❌',
+            duration: 5000
+          });
+        }
+      }),
+
+      manager.on(SOCKET_EVENTS.RECONNECT, (attemptNumber) => {
+        notify('success', 'Reconnected successfully', {
+          icon: '✅',
+          duration: 2000
+        });
+        trackEvent('websocket_reconnected', { attempts: attemptNumber });
+      }),
+
+      manager.on(SOCKET_EVENTS.RECONNECT_FAILED, () => {
+        notify('error', 'Failed to reconnect. Please refresh the page.', {
+          icon: '🔄',
+          duration: 5000,
+          action: {
+            label: 'Refresh',
+            onClick: () => window.location.reload()
+          }
+        });
+        trackEvent('websocket_reconnect_failed');
+      })
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [manager, notify, trackEvent]);
+
+  // Auto-reconnect on visibility change
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      const { isConnected, isConnecting } = manager.getState();
+      if (
+        document.visibilityState === 'visible' &&
+        user &&
+        manager.getRefCount() > 0 &&
+        !isConnected &&
+        !isConnecting
+      ) {
+        console.log('Reconnecting due to visibility change');
+        manager.connect();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [manager, user]);
+
+  return (
+    <WebSocketContext.Provider value={manager}>
+      {children}
+    </WebSocketContext.Provider>
+  );
+};
+
+export const useSocketManager = () => {
+  const manager = useContext(WebSocketContext);
+  if (!manager) {
+    throw new Error('useSocketManager must be used within a WebSocketProvider');
+  }
+  return manager;
+};
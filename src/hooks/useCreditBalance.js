@@ -0,0 +1,69 @@
+// src/hooks/useCreditBalance.js - The signed-in user's credit balance, kept live between auth refreshes
+
+import { useCallback, useEffect, useMemo } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { useAuth } from './useAuth';
+import { useSocketManager } from '../contexts/WebSocketContext';
+import { SOCKET_EVENTS } from '../services/realtime/socketEvents';
+
+export const CREDIT_BALANCE_KEY = 'credit-balance';
+
+/**
+ * The auth user's `credits` is a snapshot from sign-in. The balance kept
+ * here starts from it, is replaced by the server's figure on every
+ * `user_updated`, and has charges deducted through `recordCharge` in
+ * between. `account` is the auth user with the live balance, for
+ * `checkAffordability` and credit displays. The balance lives in the query
+ * cache so every page sees the same figure.
+ */
+export const useCreditBalance = () => {
+  const { user } = useAuth();
+  const manager = useSocketManager();
+  const queryClient = useQueryClient();
+
+  const { data: balance } = useQuery(
+    [CREDIT_BALANCE_KEY, user?.id],
+    () => queryClient.getQueryData([CREDIT_BALANCE_KEY, user?.id]),
+    { enabled: false, staleTime: Infinity, cacheTime: Infinity }
+  );
+
+  // Seed from the auth user, and again whenever a refreshed user reports a
+  // different balance; remounts with the same auth user keep what we have
+  useEffect(() => {
+    if (!user?.id || typeof user.credits !== 'number') return;
+    queryClient.setQueryData([CREDIT_BALANCE_KEY, user.id], prev => (
+      prev?.seededFrom === user.credits
+        ? prev
+        : { credits: user.credits, seededFrom: user.credits, syncedAt: Date.now() }
+    ));
+  }, [queryClient, user?.id, user?.credits]);
+
+  useEffect(() => {
+    if (!user?.id) return undefined;
+
+    return manager.on(SOCKET_EVENTS.USER_UPDATED, (update) => {
+      if (update.id !== user.id || typeof update.credits !== 'number') return;
+      queryClient.setQueryData([CREDIT_BALANCE_KEY, user.id], prev => ({
+        ...prev,
+        credits: update.credits,
+        syncedAt: Date.now()
+      }));
+    });
+  }, [manager, queryClient, user?.id]);
+
+  // Deducts what a finished job was charged. A `user_updated` received
+  // after the job started is taken to include the charge already
+  const recordCharge = useCallback((amount, startedAt) => {
+    if (!user?.id || !(amount > 0)) return;
+    queryClient.setQueryData([CREDIT_BALANCE_KEY, user.id], (prev) => {
+      if (!prev || prev.syncedAt >= startedAt) return prev;
+      return { ...prev, credits: Math.max(0, prev.credits - amount) };
+    });
+  }, [queryClient, user?.id]);
+
+  const account = useMemo(() => (
+    user && typeof balance?.credits === 'number' ? { ...user, credits: balance.credits } : user
+  ), [user, balance]);
+
+  return { credits: account?.credits, account, recordCharge };
+};
@@ -0,0 +1,56 @@
+// src/hooks/useEntitlements.js - The current user's tier limits, kept live from the server
+
+import { useEffect, useMemo, useState } from 'react';
+import { useQuery } from 'react-query';
+import { useAuth } from './useAuth';
+import { useSocketManager } from '../contexts/WebSocketContext';
+import { SOCKET_EVENTS } from '../services/realtime/socketEvents';
+import {
+  DEFAULT_TIER_LIMITS,
+  fetchTierLimits,
+  resolveEntitlements
+} from '../services/entitlements';
+
+export const ENTITLEMENTS_KEY = 'entitlement-tiers';
+
+/**
+ * Resolves the signed-in user's limits from the server's tier table.
+ * Plan changes, per-account overrides and new daily limits arrive through
+ * `user_updated` and apply straight away, before the auth user refreshes.
+ */
+export const useEntitlements = () => {
+  const { user } = useAuth();
+  const manager = useSocketManager();
+  const [liveUpdate, setLiveUpdate] = useState(null);
+
+  const { data: tiers = DEFAULT_TIER_LIMITS } = useQuery(
+    ENTITLEMENTS_KEY,
+    () => fetchTierLimits(manager),
+    { staleTime: 30 * 60 * 1000 }
+  );
+
+  // A fresh auth user already includes everything received so far
+  useEffect(() => {
+    setLiveUpdate(null);
+  }, [user]);
+
+  useEffect(() => {
+    if (!user?.id) return undefined;
+
+    return manager.on(SOCKET_EVENTS.USER_UPDATED, (update) => {
+      if (update.id !== user.id) return;
+      setLiveUpdate(prev => ({
+        ...prev,
+        ...update,
+        subscription: { ...prev?.subscription, ...update.subscription }
+      }));
+    });
+  }, [manager, user?.id]);
+
+  return useMemo(() => {
+    const current = liveUpdate
+      ? { ...user, ...liveUpdate, subscription: { ...user?.subscription, ...liveUpdate.subscription } }
+      : user;
+    return resolveEntitlements(tiers, current);
+  }, [tiers, user, liveUpdate]);
+};
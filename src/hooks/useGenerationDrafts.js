@@ -0,0 +1,184 @@
+// src/hooks/useGenerationDrafts.js - Autosave, restore and named drafts for the generation form
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import {
+  clearPendingSession,
+  createDraftSnapshot,
+  deleteDraft,
+  isDraftEmpty,
+  listDrafts,
+  loadAutosave,
+  loadPendingSession,
+  saveAutosave,
+  savePendingSession,
+  saveNamedDraft,
+  subscribeToDrafts
+} from '../services/drafts';
+
+const AUTOSAVE_DELAY = 800;
+
+/**
+ * `values` and `recentImages` are the live form state; `onRestore(snapshot)`
+ * puts a saved snapshot back. On mount the last session is offered through
+ * `restoreOffer` rather than applied. Until the user restores or dismisses
+ * it, autosave writes to a separate pending slot so the offer is never
+ * overwritten; a reload in that state brings back both the offer and the
+ * form as they were.
+ *
+ * Other tabs see named drafts immediately. The autosave follows the tab the
+ * user is working in: hidden tabs take it over, the visible tab keeps its own.
+ */
+export const useGenerationDrafts = ({ userId, values, recentImages, onRestore }) => {
+  const queryClient = useQueryClient();
+  const queryKey = ['generation-drafts', userId];
+
+  const [restoreOffer, setRestoreOffer] = useState(null);
+  const [isReady, setIsReady] = useState(false);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+  const lastSavedRef = useRef(null);
+  const pendingRef = useRef(null);
+
+  const serialized = JSON.stringify(createDraftSnapshot({ values, recentImages }));
+  const serializedRef = useRef(serialized);
+  serializedRef.current = serialized;
+
+  const { data: drafts = [] } = useQuery(queryKey, () => listDrafts(userId), { enabled: Boolean(userId) });
+
+  // Offer the last session once per user
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    let active = true;
+    setIsReady(false);
+    setRestoreOffer(null);
+
+    Promise.all([loadAutosave(userId), loadPendingSession(userId)])
+      .then(([saved, unanswered]) => {
+        if (!active) return;
+        if (unanswered) {
+          lastSavedRef.current = JSON.stringify(createDraftSnapshot(unanswered));
+          onRestoreRef.current(unanswered);
+        }
+        const live = unanswered ? lastSavedRef.current : serializedRef.current;
+        if (saved && !isDraftEmpty(saved) && JSON.stringify(createDraftSnapshot(saved)) !== live) {
+          setRestoreOffer(saved);
+        } else {
+          // Nothing left to offer: the pending form becomes the session
+          if (unanswered) {
+            lastSavedRef.current = null;
+            clearPendingSession(userId).catch(error => console.error('Clearing the pending session failed:', error));
+          }
+          setIsReady(true);
+        }
+      })
+      .catch((error) => {
+        console.error('Loading the last session failed:', error);
+        if (active) setIsReady(true);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [userId]);
+
+  const flush = useCallback(() => {
+    const pending = pendingRef.current;
+    if (!pending) return;
+
+    pendingRef.current = null;
+    lastSavedRef.current = pending.serialized;
+    const save = pending.offerOpen ? savePendingSession : saveAutosave;
+    save(pending.userId, JSON.parse(pending.serialized))
+      .then(record => setLastSavedAt(record.updatedAt))
+      .catch(error => console.error('Autosaving the draft failed:', error));
+  }, []);
+
+  // Debounced on content, so progress re-renders do not restart the timer.
+  // Nothing is saved before the last session has been checked for
+  useEffect(() => {
+    const offerOpen = Boolean(restoreOffer);
+    if (!userId || (!isReady && !offerOpen) || serialized === lastSavedRef.current) return undefined;
+
+    pendingRef.current = { userId, serialized, offerOpen };
+    const timer = setTimeout(flush, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [userId, isReady, restoreOffer, serialized, flush]);
+
+  // Once the offer is answered the live form autosaves normally again
+  const answerOffer = useCallback(() => {
+    pendingRef.current = null;
+    lastSavedRef.current = null;
+    setRestoreOffer(null);
+    setIsReady(true);
+    clearPendingSession(userId).catch(error => console.error('Clearing the pending session failed:', error));
+  }, [userId]);
+
+  // Leaving the page or closing the tab must not lose the last edits
+  useEffect(() => {
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, [flush]);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    return subscribeToDrafts(userId, async ({ type }) => {
+      if (type === 'drafts_changed') {
+        queryClient.invalidateQueries(['generation-drafts', userId]);
+        return;
+      }
+
+      if (type === 'autosaved' && document.hidden && isReady && !pendingRef.current) {
+        const saved = await loadAutosave(userId);
+        if (!saved) return;
+        // Already saved by the other tab; only our own later edits need saving
+        lastSavedRef.current = JSON.stringify(createDraftSnapshot(saved));
+        onRestoreRef.current(saved);
+      }
+    });
+  }, [userId, isReady, queryClient]);
+
+  const restore = useCallback(() => {
+    if (restoreOffer) onRestoreRef.current(restoreOffer);
+    answerOffer();
+  }, [restoreOffer, answerOffer]);
+
+  const dismiss = answerOffer;
+
+  const saveDraft = useCallback(async (name) => {
+    const record = await saveNamedDraft(userId, name, JSON.parse(serialized));
+    queryClient.invalidateQueries(['generation-drafts', userId]);
+    return record;
+  }, [userId, serialized, queryClient]);
+
+  // An opened draft replaces whatever the last session offered
+  const openDraft = useCallback((draft) => {
+    onRestoreRef.current(draft);
+    if (restoreOffer) {
+      answerOffer();
+    }
+  }, [restoreOffer, answerOffer]);
+
+  const removeDraft = useCallback(async (draft) => {
+    await deleteDraft(userId, draft.id);
+    queryClient.invalidateQueries(['generation-drafts', userId]);
+  }, [userId, queryClient]);
+
+  return {
+    drafts,
+    restoreOffer,
+    lastSavedAt,
+    restore,
+    dismiss,
+    saveDraft,
+    openDraft,
+    removeDraft
+  };
+};
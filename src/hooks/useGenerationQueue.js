@@ -0,0 +1,71 @@
+// src/hooks/useGenerationQueue.js - React binding for the generation job queue
+
+import { useState, useEffect, useRef, useMemo, useSyncExternalStore } from 'react';
+import { createGenerationQueue, JOB_STATUS } from '../services/generationQueue';
+
+// `concurrency` is how many jobs the user's plan may run at once.
+// `cancelRemote(jobId)` asks the server to stop a running job and refund it
+export const useGenerationQueue = ({ run, onSettled, cancelRemote, concurrency = 1 }) => {
+  const runRef = useRef(run);
+  const onSettledRef = useRef(onSettled);
+  const cancelRemoteRef = useRef(cancelRemote);
+  runRef.current = run;
+  onSettledRef.current = onSettled;
+  cancelRemoteRef.current = cancelRemote;
+
+  const [queue] = useState(() => createGenerationQueue({
+    run: (job, context) => runRef.current(job, context),
+    onSettled: (job) => onSettledRef.current?.(job),
+    concurrency
+  }));
+
+  useEffect(() => {
+    queue.setConcurrency(concurrency);
+  }, [queue, concurrency]);
+
+  // Nothing is left running once the page goes away. Running jobs are
+  // cancelled on the server too, otherwise it keeps generating and charging
+  // for results nobody will see
+  useEffect(() => () => {
+    queue.getSnapshot().jobs
+      .filter(job => job.status === JOB_STATUS.RUNNING)
+      .forEach((job) => {
+        Promise.resolve(cancelRemoteRef.current?.(job.id)).catch((error) => {
+          console.error(`Failed to cancel job ${job.id} on the server:`, error);
+        });
+      });
+    queue.cancelAll();
+  }, [queue]);
+
+  const snapshot = useSyncExternalStore(queue.subscribe, queue.getSnapshot);
+  const { jobs, paused } = snapshot;
+
+  const runningJobs = useMemo(
+    () => jobs.filter(job => job.status === JOB_STATUS.RUNNING),
+    [jobs]
+  );
+
+  const queuedCount = useMemo(
+    () => jobs.filter(job => job.status === JOB_STATUS.QUEUED).length,
+    [jobs]
+  );
+
+  return {
+    queue,
+    jobs,
+    paused,
+    concurrency: snapshot.concurrency,
+    runningJobs,
+    queuedCount,
+    isGenerating: runningJobs.length > 0,
+    enqueue: queue.add,
+    cancel: queue.cancel,
+    retry: queue.retry,
+    move: queue.move,
+    pause: queue.pause,
+    resume: queue.resume,
+    clearFinished: queue.clearFinished
+  };
+};
+
+export { JOB_STATUS };
@@ -0,0 +1,33 @@
+// src/hooks/useJobCancellation.js - Cancel generation jobs from image, video and audio pages
+
+import { useCallback, useEffect, useRef } from 'react';
+import { useSocketManager } from '../contexts/WebSocketContext';
+import {
+  cancelGenerationJob,
+  onGenerationCancelled,
+  GENERATION_PIPELINES
+} from '../services/realtime/jobCancellation';
+
+/**
+ * `cancelJob(jobId)` sends the cancel request for this pipeline and
+ * resolves with the refund details. `onCancelled` is called for every
+ * `generation_cancelled` event of the pipeline, including cancellations
+ * made from another tab or by the server.
+ */
+export const useJobCancellation = (pipeline = GENERATION_PIPELINES.IMAGE, { onCancelled } = {}) => {
+  const manager = useSocketManager();
+  const onCancelledRef = useRef(onCancelled);
+  onCancelledRef.current = onCancelled;
+
+  useEffect(() => (
+    onGenerationCancelled(manager, pipeline, (payload) => onCancelledRef.current?.(payload))
+  ), [manager, pipeline]);
+
+  const cancelJob = useCallback((jobId) => (
+    cancelGenerationJob(manager, { jobId, pipeline })
+  ), [manager, pipeline]);
+
+  return { cancelJob };
+};
+
+export { GENERATION_PIPELINES };
@@ -0,0 +1,46 @@
+// src/hooks/useModerationRules.js - Keeps the active moderation rule set in sync with the server
+
+import { useEffect } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { useSocketManager } from '../contexts/WebSocketContext';
+import { SOCKET_EVENTS } from '../services/realtime/socketEvents';
+import {
+  fetchModerationRules,
+  getActiveRuleSet,
+  ruleSetSchema,
+  setActiveRuleSet
+} from '../services/moderation';
+
+export const MODERATION_RULES_KEY = 'moderation-rules';
+
+/**
+ * Loads the admin-maintained rules and makes them the set every prompt
+ * check uses, including the form schema. Admin edits arrive live through
+ * `moderation_rules_updated`. Returns the rule set in use.
+ */
+export const useModerationRules = () => {
+  const manager = useSocketManager();
+  const queryClient = useQueryClient();
+
+  const { data: ruleSet = getActiveRuleSet() } = useQuery(
+    MODERATION_RULES_KEY,
+    () => fetchModerationRules(manager),
+    { staleTime: 10 * 60 * 1000 }
+  );
+
+  useEffect(() => {
+    setActiveRuleSet(ruleSet);
+  }, [ruleSet]);
+
+  useEffect(() => (
+    manager.on(SOCKET_EVENTS.MODERATION_RULES_UPDATED, ({ ruleSet: update }) => {
+      try {
+        queryClient.setQueryData(MODERATION_RULES_KEY, ruleSetSchema.validateSync(update));
+      } catch (error) {
+        console.error('Ignoring invalid moderation rules update:', error.message);
+      }
+    })
+  ), [manager, queryClient]);
+
+  return ruleSet;
+};
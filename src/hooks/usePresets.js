@@ -0,0 +1,83 @@
+// src/hooks/usePresets.js - Account-synced generation presets for the current user
+
+import { useCallback, useEffect, useMemo } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import { useSocketManager } from '../contexts/WebSocketContext';
+import { SOCKET_EVENTS } from '../services/realtime/socketEvents';
+import {
+  BUILT_IN_PRESETS,
+  applyRemotePresets,
+  loadPresets,
+  savePresets
+} from '../services/presets';
+
+/**
+ * `presets` are the user's own presets in display order; `builtIns` are
+ * the read-only defaults. `save(list)` replaces the whole list, so edits,
+ * reordering and deletes all go through it. Changes made in other tabs or
+ * on other devices arrive through `presets_updated`.
+ */
+export const usePresets = (userId) => {
+  const manager = useSocketManager();
+  const queryClient = useQueryClient();
+  const queryKey = useMemo(() => ['generation-presets', userId], [userId]);
+
+  const { data, isLoading } = useQuery(
+    queryKey,
+    () => loadPresets(manager, userId),
+    { enabled: Boolean(userId), staleTime: Infinity }
+  );
+
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    return manager.on(SOCKET_EVENTS.PRESETS_UPDATED, async (update) => {
+      const next = await applyRemotePresets(userId, queryClient.getQueryData(queryKey), update);
+      queryClient.setQueryData(queryKey, next);
+    });
+  }, [manager, queryClient, queryKey, userId]);
+
+  // Push edits made while offline once the connection is back
+  useEffect(() => {
+    let wasConnected = manager.getState().isConnected;
+
+    return manager.subscribe(() => {
+      const { isConnected } = manager.getState();
+      if (isConnected && !wasConnected && queryClient.getQueryData(queryKey)?.dirty) {
+        queryClient.invalidateQueries(queryKey);
+      }
+      wasConnected = isConnected;
+    });
+  }, [manager, queryClient, queryKey]);
+
+  const mutation = useMutation(
+    (presets) => savePresets(manager, userId, presets, queryClient.getQueryData(queryKey)?.revision ?? 0),
+    {
+      onMutate: (presets) => {
+        const previous = queryClient.getQueryData(queryKey);
+        queryClient.setQueryData(queryKey, { ...previous, presets, dirty: true });
+        return { previous };
+      },
+      onSuccess: (record) => {
+        queryClient.setQueryData(queryKey, record);
+      },
+      onError: (error, presets, context) => {
+        queryClient.setQueryData(
+          queryKey,
+          error.code === 'PRESETS_CONFLICT' ? { ...error.details, dirty: false } : context.previous
+        );
+      }
+    }
+  );
+
+  const save = useCallback((presets) => mutation.mutateAsync(presets), [mutation]);
+
+  return {
+    builtIns: BUILT_IN_PRESETS,
+    presets: data?.presets || [],
+    isLoading,
+    isSaving: mutation.isLoading,
+    isSynced: !data?.dirty,
+    save
+  };
+};
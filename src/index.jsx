@@ -1,6 +1,6 @@
 // src/index.js - Enhanced entry point
 
-import React from 'react';
+import React, { Suspense, lazy } from 'react';
 import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from 'react-query';
@@ -26,6 +26,11 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
+// Realtime devtools are only bundled into development builds
+const RealtimeInspector = process.env.NODE_ENV === 'development'
+  ? lazy(() => import('./components/Devtools/RealtimeInspector'))
+  : null;
+
 // Initialize query client with enhanced options
 const queryClient = new QueryClient({
   defaultOptions: {
@@ -94,13 +99,21 @@ root.render(
             <PerformanceProvider>
               <ThemeProvider>
                 <AuthProvider>
-                  <WebSocketProvider>
-                    <NotificationProvider>
+                  <NotificationProvider>
+                    <WebSocketProvider>
                       <AnalyticsProvider>
                         <App />
                       </AnalyticsProvider>
-                    </NotificationProvider>
-                  </WebSocketProvider>
+                      {RealtimeInspector && (
+                        <Suspense fallback={null}>
+                          <RealtimeInspector
+                            initialIsOpen={false}
+                            position="bottom-left"
+                          />
+                        </Suspense>
+                      )}
+                    </WebSocketProvider>
+                  </NotificationProvider>
                 </AuthProvider>
               </ThemeProvider>
             </PerformanceProvider>
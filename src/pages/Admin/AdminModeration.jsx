@@ -0,0 +1,188 @@
+// src/pages/Admin/AdminModeration.jsx - Edit and test the prompt moderation rule set
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { RotateCcw, Save, Shield, TestTube } from 'lucide-react';
+import { useSocketManager } from '../../contexts/WebSocketContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import { useModerationRules, MODERATION_RULES_KEY } from '../../hooks/useModerationRules';
+import DashboardLayout from '../../components/Layout/DashboardLayout';
+import {
+  DEFAULT_RULE_SET,
+  MODERATED_FIELDS,
+  MODERATION_CATEGORIES,
+  MODERATION_POLICIES,
+  moderateText,
+  ruleSetSchema,
+  saveModerationRules
+} from '../../services/moderation';
+import './AdminModeration.css';
+
+const toJson = ({ rules }) => JSON.stringify(rules, null, 2);
+
+// Parses the editor contents; returns { ruleSet } or { errors }
+const parseDraft = (text, version) => {
+  try {
+    const rules = JSON.parse(text);
+    return { ruleSet: ruleSetSchema.validateSync({ version, rules }, { abortEarly: false }) };
+  } catch (error) {
+    return { errors: error.errors || [error.message] };
+  }
+};
+
+const AdminModeration = () => {
+  const manager = useSocketManager();
+  const queryClient = useQueryClient();
+  const { showNotification } = useNotification();
+  const ruleSet = useModerationRules();
+
+  const [draft, setDraft] = useState(() => toJson(ruleSet));
+  const [sample, setSample] = useState('');
+  const [sampleField, setSampleField] = useState('prompt');
+
+  // Follow the live rule set until the admin starts editing
+  const [isDirty, setIsDirty] = useState(false);
+  useEffect(() => {
+    if (!isDirty) setDraft(toJson(ruleSet));
+  }, [ruleSet, isDirty]);
+
+  const nextVersion = ruleSet.version + 1;
+  const parsed = useMemo(() => parseDraft(draft, nextVersion), [draft, nextVersion]);
+
+  const saveMutation = useMutation(() => saveModerationRules(manager, parsed.ruleSet), {
+    onSuccess: (saved) => {
+      queryClient.setQueryData(MODERATION_RULES_KEY, saved);
+      setIsDirty(false);
+      showNotification('success', `Moderation rules v${saved.version} published`, { icon: '🛡️' });
+    },
+    onError: (error) => {
+      console.error('Saving moderation rules failed:', error);
+      showNotification('error', `Could not publish rules: ${error.message}`);
+    }
+  });
+
+  const testResults = useMemo(() => {
+    if (!sample.trim() || !parsed.ruleSet) return [];
+    return Object.entries(MODERATION_POLICIES).map(([policy, { label }]) => ({
+      policy,
+      label,
+      ...moderateText(sample, { field: sampleField, policy, ruleSet: parsed.ruleSet })
+    }));
+  }, [sample, sampleField, parsed.ruleSet]);
+
+  return (
+    <DashboardLayout
+      title="Moderation Rules"
+      subtitle={`Version ${ruleSet.version}${ruleSet.updatedAt ? ` · updated ${new Date(ruleSet.updatedAt).toLocaleString()}` : ' · built-in defaults'}`}
+    >
+      <div className="admin-moderation">
+        <section className="moderation-editor glass-card">
+          <div className="section-header">
+            <h3><Shield size={18} /> Rules</h3>
+            <div className="section-actions">
+              <button
+                type="button"
+                className="btn-outline btn-sm"
+                onClick={() => {
+                  setDraft(toJson(DEFAULT_RULE_SET));
+                  setIsDirty(true);
+                }}
+              >
+                <RotateCcw size={14} />
+                Load Defaults
+              </button>
+              <button
+                type="button"
+                className="btn-primary btn-sm"
+                onClick={() => saveMutation.mutate()}
+                disabled={!parsed.ruleSet || !isDirty || saveMutation.isLoading}
+              >
+                <Save size={14} />
+                Publish v{nextVersion}
+              </button>
+            </div>
+          </div>
+
+          <p className="moderation-hint">
+            Each rule has an <code>id</code>, a <code>category</code> ({Object.keys(MODERATION_CATEGORIES).join(', ')}),
+            a <code>severity</code> (low, medium, high, critical) and <code>terms</code>. Terms match whole words in any
+            language, ignoring case and accents; end a term with <code>*</code> to match word endings. Use
+            {' '}<code>"match": "substring"</code> for languages written without spaces. <code>scope</code> limits a rule
+            to the prompt or negative prompt; <code>reason</code> overrides the message users see.
+          </p>
+
+          <textarea
+            className="rules-json"
+            value={draft}
+            onChange={(e) => {
+              setDraft(e.target.value);
+              setIsDirty(true);
+            }}
+            spellCheck={false}
+            rows={20}
+            aria-label="Moderation rules JSON"
+          />
+
+          {parsed.errors ? (
+            <ul className="rules-errors">
+              {parsed.errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          ) : (
+            <table className="rules-summary">
+              <thead>
+                <tr>
+                  <th>Rule</th>
+                  <th>Category</th>
+                  <th>Severity</th>
+                  <th>Terms</th>
+                  <th>Checks</th>
+                </tr>
+              </thead>
+              <tbody>
+                {parsed.ruleSet.rules.map(rule => (
+                  <tr key={rule.id}>
+                    <td>{rule.id}</td>
+                    <td>{MODERATION_CATEGORIES[rule.category]}</td>
+                    <td><span className={`severity-badge ${rule.severity}`}>{rule.severity}</span></td>
+                    <td>{rule.terms.length}{rule.languages.length > 0 && ` (${rule.languages.join(', ')})`}</td>
+                    <td>{rule.scope.map(field => MODERATED_FIELDS[field]).join(', ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        <section className="moderation-tester glass-card">
+          <div className="section-header">
+            <h3><TestTube size={18} /> Test the draft</h3>
+            <select value={sampleField} onChange={(e) => setSampleField(e.target.value)} aria-label="Field to test">
+              {Object.entries(MODERATED_FIELDS).map(([field, label]) => (
+                <option key={field} value={field}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={sample}
+            onChange={(e) => setSample(e.target.value)}
+            placeholder="Type a prompt to see how each policy treats it"
+            rows={4}
+          />
+          {testResults.map(result => (
+            <div key={result.policy} className={`test-result ${result.allowed ? 'allowed' : 'blocked'}`}>
+              <strong>{result.label}:</strong>{' '}
+              {result.allowed ? 'Allowed' : result.message}
+              {result.warnings.length > 0 && (
+                <span className="test-warnings">
+                  {' '}(let through: {result.warnings.map(warning => `"${warning.match}"`).join(', ')})
+                </span>
+              )}
+            </div>
+          ))}
+        </section>
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default AdminModeration;
@@ -0,0 +1,739 @@
+// src/pages/ImageGeneration/ImageEditor.jsx - Mask-based inpainting and outpainting editor
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+import { useQueryClient } from 'react-query';
+import {
+  ArrowLeft,
+  Ban,
+  Brush,
+  Eraser,
+  Expand,
+  Image as ImageIcon,
+  Keyboard,
+  Plus,
+  RefreshCw,
+  Trash2,
+  Undo2,
+  Wand2,
+  X
+} from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { useWebSocket } from '../../hooks/useWebSocket';
+import { useJobCancellation, GENERATION_PIPELINES } from '../../hooks/useJobCancellation';
+import { useModerationRules } from '../../hooks/useModerationRules';
+import { useEntitlements } from '../../hooks/useEntitlements';
+import { useCreditBalance } from '../../hooks/useCreditBalance';
+import { useSocketManager } from '../../contexts/WebSocketContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import DashboardLayout from '../../components/Layout/DashboardLayout';
+import EmptyState from '../../components/Common/EmptyState';
+import BeforeAfterSlider from '../../components/ImageGeneration/BeforeAfterSlider';
+import { promptSchema } from '../../components/ImageGeneration/generationSchema';
+import { formatRefundMessage } from '../../services/realtime/jobCancellation';
+import { moderateText } from '../../services/moderation';
+import { checkEntitlements } from '../../services/entitlements';
+import { checkAffordability, estimateEditCost, reconcileCharge } from '../../services/pricing';
+import {
+  clearMaskLayer,
+  createMaskLayer,
+  drawStroke,
+  drawTintedMask,
+  exportMaskPng,
+  hasMaskContent,
+  resizeMaskLayer,
+  restoreMaskLayer,
+  snapshotMaskLayer
+} from '../../utils/maskCanvas';
+import {
+  EMPTY_EXTEND,
+  EXTEND_STEP,
+  MAX_EXTEND,
+  MAX_REGIONS,
+  REGION_COLORS,
+  hasExtension,
+  submitImageEdit
+} from '../../services/imageEditing';
+import './ImageEditor.css';
+
+const MIN_BRUSH = 8;
+const MAX_BRUSH = 256;
+const CURSOR_STEP = 16;
+const UNDO_LIMIT = 20;
+
+const imageUrl = (imageId, extension = 'png') => `${process.env.REACT_APP_CDN_URL}/images/${imageId}.${extension}`;
+
+const createRegion = (index, prompt = '') => ({
+  id: crypto.randomUUID(),
+  prompt,
+  color: REGION_COLORS[index % REGION_COLORS.length]
+});
+
+const SHORTCUTS = [
+  ['B', 'Brush'],
+  ['E', 'Eraser'],
+  ['[ / ]', 'Brush size'],
+  ['1-6', 'Select region'],
+  ['Arrows', 'Move cursor (Shift paints)'],
+  ['Space', 'Paint at cursor'],
+  ['Delete', 'Clear region mask'],
+  ['Ctrl+Z', 'Undo']
+];
+
+const InpaintWorkspace = ({ image }) => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const { account, recordCharge } = useCreditBalance();
+  const entitlements = useEntitlements();
+  const { on, SOCKET_EVENTS } = useWebSocket();
+  const manager = useSocketManager();
+  const { showNotification } = useNotification();
+  useModerationRules();
+
+  const canvasRef = useRef(null);
+  const sourceRef = useRef(null);
+  const masksRef = useRef(new Map());
+  const undoRef = useRef([]);
+  const strokeRef = useRef(null);
+  const frameRef = useRef(null);
+  const jobIdRef = useRef(null);
+  const requestIdRef = useRef(null);
+  const quoteRef = useRef(null);
+
+  const [loadState, setLoadState] = useState('loading');
+  const [extend, setExtend] = useState(EMPTY_EXTEND);
+  const [regions, setRegions] = useState(() => [createRegion(0)]);
+  const [activeRegionId, setActiveRegionId] = useState(() => regions[0].id);
+  const [tool, setTool] = useState('brush');
+  const [brushSize, setBrushSize] = useState(48);
+  const [prompt, setPrompt] = useState(image.prompt || '');
+  const [negativePrompt, setNegativePrompt] = useState(image.negativePrompt || '');
+  const [strength, setStrength] = useState(0.75);
+  const [cursor, setCursor] = useState(null);
+  const [canUndo, setCanUndo] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [job, setJob] = useState(null);
+
+  const source = sourceRef.current;
+  const canvasWidth = source ? source.naturalWidth + extend.left + extend.right : 0;
+  const canvasHeight = source ? source.naturalHeight + extend.top + extend.bottom : 0;
+
+  const getMask = useCallback((regionId) => {
+    if (!masksRef.current.has(regionId)) {
+      masksRef.current.set(regionId, createMaskLayer(canvasWidth, canvasHeight));
+    }
+    return masksRef.current.get(regionId);
+  }, [canvasWidth, canvasHeight]);
+
+  // Load the source pixels; CORS is required so masks and exports can read them
+  useEffect(() => {
+    const element = new Image();
+    element.crossOrigin = 'anonymous';
+    element.onload = () => {
+      sourceRef.current = element;
+      setLoadState('ready');
+    };
+    element.onerror = () => setLoadState('error');
+    element.src = imageUrl(image.id);
+  }, [image.id]);
+
+  const redraw = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !source) return;
+
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    if (hasExtension(extend)) {
+      context.fillStyle = '#e5e7eb';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(source, extend.left, extend.top);
+
+    if (hasExtension(extend)) {
+      context.save();
+      context.setLineDash([12, 8]);
+      context.lineWidth = 2;
+      context.strokeStyle = '#6366f1';
+      context.strokeRect(extend.left, extend.top, source.naturalWidth, source.naturalHeight);
+      context.restore();
+    }
+
+    regions.forEach((region) => {
+      drawTintedMask(context, getMask(region.id), region.color, region.id === activeRegionId ? 0.5 : 0.3);
+    });
+
+    if (cursor) {
+      context.save();
+      context.lineWidth = 2;
+      context.strokeStyle = tool === 'eraser' ? '#111827' : '#ffffff';
+      context.beginPath();
+      context.arc(cursor.x, cursor.y, brushSize / 2, 0, Math.PI * 2);
+      context.stroke();
+      context.restore();
+    }
+  }, [source, extend, regions, activeRegionId, cursor, tool, brushSize, getMask]);
+
+  const scheduleRedraw = useCallback(() => {
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      redraw();
+    });
+  }, [redraw]);
+
+  useEffect(() => {
+    redraw();
+  }, [redraw, canvasWidth, canvasHeight]);
+
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  const pushUndo = useCallback((regionId) => {
+    undoRef.current = [...undoRef.current, { regionId, data: snapshotMaskLayer(getMask(regionId)) }].slice(-UNDO_LIMIT);
+    setCanUndo(true);
+  }, [getMask]);
+
+  const handleUndo = useCallback(() => {
+    const entry = undoRef.current.pop();
+    if (!entry) return;
+
+    const mask = masksRef.current.get(entry.regionId);
+    if (mask) restoreMaskLayer(mask, entry.data);
+    setCanUndo(undoRef.current.length > 0);
+    scheduleRedraw();
+  }, [scheduleRedraw]);
+
+  const paint = useCallback((from, to) => {
+    drawStroke(getMask(activeRegionId), from, to, brushSize, tool === 'eraser');
+    scheduleRedraw();
+  }, [getMask, activeRegionId, brushSize, tool, scheduleRedraw]);
+
+  const clearActiveMask = useCallback(() => {
+    pushUndo(activeRegionId);
+    clearMaskLayer(getMask(activeRegionId));
+    scheduleRedraw();
+  }, [pushUndo, activeRegionId, getMask, scheduleRedraw]);
+
+  // Masks are resized with the canvas so painted areas stay over the same pixels
+  const changeExtend = useCallback((side, delta) => {
+    const next = { ...extend, [side]: Math.min(MAX_EXTEND, Math.max(0, extend[side] + delta)) };
+    if (next[side] === extend[side]) return;
+
+    const width = source.naturalWidth + next.left + next.right;
+    const height = source.naturalHeight + next.top + next.bottom;
+    masksRef.current.forEach((mask, regionId) => {
+      masksRef.current.set(regionId, resizeMaskLayer(mask, width, height, next.left - extend.left, next.top - extend.top));
+    });
+    undoRef.current = [];
+    setCanUndo(false);
+    setExtend(next);
+  }, [extend, source]);
+
+  const toCanvasPoint = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((event.clientY - rect.top) * canvas.height) / rect.height
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (job?.status === 'running') return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = toCanvasPoint(event);
+    pushUndo(activeRegionId);
+    strokeRef.current = point;
+    paint(point, point);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!strokeRef.current) return;
+    const point = toCanvasPoint(event);
+    paint(strokeRef.current, point);
+    strokeRef.current = point;
+  };
+
+  const handlePointerUp = () => {
+    strokeRef.current = null;
+  };
+
+  const handleKeyDown = (event) => {
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+    const key = event.key.toLowerCase();
+    let handled = true;
+
+    if ((event.ctrlKey || event.metaKey) && key === 'z') {
+      handleUndo();
+    } else if (key === 'b') {
+      setTool('brush');
+    } else if (key === 'e') {
+      setTool('eraser');
+    } else if (key === '[') {
+      setBrushSize(size => Math.max(MIN_BRUSH, size - 8));
+    } else if (key === ']') {
+      setBrushSize(size => Math.min(MAX_BRUSH, size + 8));
+    } else if (/^[1-6]$/.test(key) && regions[Number(key) - 1]) {
+      setActiveRegionId(regions[Number(key) - 1].id);
+    } else if (key === 'delete' || key === 'backspace') {
+      clearActiveMask();
+    } else if (key.startsWith('arrow')) {
+      const offsets = { arrowup: [0, -1], arrowdown: [0, 1], arrowleft: [-1, 0], arrowright: [1, 0] };
+      const [dx, dy] = offsets[key];
+      const from = cursor || { x: canvasWidth / 2, y: canvasHeight / 2 };
+      const to = {
+        x: Math.min(canvasWidth, Math.max(0, from.x + dx * CURSOR_STEP)),
+        y: Math.min(canvasHeight, Math.max(0, from.y + dy * CURSOR_STEP))
+      };
+      if (event.shiftKey) {
+        if (!event.repeat) pushUndo(activeRegionId);
+        paint(from, to);
+      }
+      setCursor(to);
+    } else if ((key === ' ' || key === 'enter') && event.target === canvasRef.current) {
+      const point = cursor || { x: canvasWidth / 2, y: canvasHeight / 2 };
+      pushUndo(activeRegionId);
+      paint(point, point);
+      setCursor(point);
+    } else {
+      handled = false;
+    }
+
+    if (handled) event.preventDefault();
+  };
+
+  const addRegion = () => {
+    if (regions.length >= MAX_REGIONS) return;
+    const region = createRegion(regions.length);
+    setRegions(prev => [...prev, region]);
+    setActiveRegionId(region.id);
+  };
+
+  const removeRegion = (regionId) => {
+    if (regions.length === 1) return;
+    masksRef.current.delete(regionId);
+    undoRef.current = undoRef.current.filter(entry => entry.regionId !== regionId);
+    setCanUndo(undoRef.current.length > 0);
+    const remaining = regions.filter(region => region.id !== regionId);
+    setRegions(remaining);
+    if (activeRegionId === regionId) setActiveRegionId(remaining[0].id);
+  };
+
+  const updateRegionPrompt = (regionId, value) => {
+    setRegions(prev => prev.map(region => (region.id === regionId ? { ...region, prompt: value } : region)));
+  };
+
+  // The server's job id is only known once the edit is acknowledged;
+  // events sent before that are matched on our requestId
+  const isCurrentJob = useCallback((data) => {
+    if (!requestIdRef.current) return false;
+    if (data.requestId === requestIdRef.current && data.jobId) {
+      jobIdRef.current = data.jobId;
+    }
+    return data.jobId === jobIdRef.current || data.requestId === requestIdRef.current;
+  }, []);
+
+  const clearJob = useCallback(() => {
+    jobIdRef.current = null;
+    requestIdRef.current = null;
+  }, []);
+
+  const { cancelJob } = useJobCancellation(GENERATION_PIPELINES.IMAGE, {
+    onCancelled: (data) => {
+      if (!isCurrentJob(data)) return;
+      clearJob();
+      setJob({ status: 'cancelled', progress: 0 });
+      showNotification('info', `Edit cancelled. ${formatRefundMessage(data.refundedCredits)}`, {
+        icon: '🛑',
+        duration: 4000
+      });
+    }
+  });
+
+  const handleCancel = async () => {
+    const jobId = jobIdRef.current;
+    if (!jobId) return;
+
+    clearJob();
+    setJob({ status: 'cancelled', progress: 0 });
+    try {
+      const { refundedCredits } = await cancelJob(jobId);
+      showNotification('info', `Edit cancelled. ${formatRefundMessage(refundedCredits)}`, {
+        icon: '🛑',
+        duration: 4000
+      });
+    } catch (error) {
+      showNotification('warning', `Stopped locally, but the server did not confirm: ${error.message}`);
+    }
+  };
+
+  // Results come back over the shared generation events, matched by job id
+  useEffect(() => {
+    const unsubscribers = [
+      on(SOCKET_EVENTS.GENERATION_PROGRESS, (data) => {
+        if (!isCurrentJob(data)) return;
+        setJob(prev => ({ ...prev, progress: data.progress }));
+      }),
+      on(SOCKET_EVENTS.IMAGE_GENERATED, (data) => {
+        if (!isCurrentJob(data)) return;
+        clearJob();
+        recordCharge(reconcileCharge(quoteRef.current?.credits, data.creditsCharged).charged, quoteRef.current?.startedAt);
+        setJob({ status: 'done', progress: 100, result: { ...data, parentImageId: image.id } });
+        queryClient.invalidateQueries(['image-history', user?.id]);
+        showNotification('success', 'Edit saved to history', { icon: '🖌️', duration: 3000 });
+      }),
+      on(SOCKET_EVENTS.GENERATION_ERROR, (data) => {
+        if (!isCurrentJob(data)) return;
+        clearJob();
+        setJob({ status: 'failed', progress: 0 });
+        showNotification('error', `Edit failed: ${typeof data.error === 'string' ? data.error : data.error?.message}`);
+      })
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [on, SOCKET_EVENTS, isCurrentJob, clearJob, recordCharge, image.id, queryClient, user, showNotification]);
+
+  const handleSubmit = async () => {
+    try {
+      promptSchema.validateSync(prompt);
+    } catch (error) {
+      showNotification('error', error.message);
+      return;
+    }
+
+    const blocked = [
+      moderateText(negativePrompt, { field: 'negativePrompt' }),
+      ...regions.map(region => moderateText(region.prompt))
+    ].find(result => !result.allowed);
+    if (blocked) {
+      showNotification('error', blocked.message, { icon: '🛡️', duration: 6000 });
+      return;
+    }
+
+    const painted = regions.filter(region => hasMaskContent(getMask(region.id)));
+    if (painted.length === 0 && !hasExtension(extend)) {
+      showNotification('error', 'Paint a mask or extend the canvas first');
+      return;
+    }
+
+    // An edit is one image towards today's limit; outpainting grows the output
+    const plan = checkEntitlements(entitlements, [{ width: canvasWidth, height: canvasHeight }], {
+      todayCount: queryClient.getQueryData(['image-history', user?.id])?.todayCount || 0
+    });
+    if (!plan.allowed) {
+      showNotification('error', plan.message, {
+        action: {
+          label: 'Upgrade',
+          onClick: () => navigate('/subscription')
+        }
+      });
+      return;
+    }
+
+    const credits = estimateEditCost({
+      model: image.model,
+      steps: image.steps,
+      width: canvasWidth,
+      height: canvasHeight,
+      passes: painted.length + (hasExtension(extend) ? 1 : 0)
+    });
+    const affordability = checkAffordability(account, credits);
+    if (!affordability.allowed) {
+      showNotification('error', `Insufficient credits. ${affordability.message}`, {
+        action: {
+          label: 'Buy Credits',
+          onClick: () => navigate('/billing')
+        }
+      });
+      return;
+    }
+
+    try {
+      const exported = await Promise.all(painted.map(async region => ({
+        prompt: region.prompt.trim() || prompt,
+        mask: await exportMaskPng(getMask(region.id))
+      })));
+
+      // The outpainting margins are filled from the main prompt
+      if (hasExtension(extend)) {
+        const margins = [
+          { x: 0, y: 0, width: canvasWidth, height: extend.top },
+          { x: 0, y: canvasHeight - extend.bottom, width: canvasWidth, height: extend.bottom },
+          { x: 0, y: 0, width: extend.left, height: canvasHeight },
+          { x: canvasWidth - extend.right, y: 0, width: extend.right, height: canvasHeight }
+        ].filter(area => area.width > 0 && area.height > 0);
+        exported.push({ prompt, mask: await exportMaskPng(createMaskLayer(canvasWidth, canvasHeight), margins) });
+      }
+
+      const requestId = crypto.randomUUID();
+      jobIdRef.current = requestId;
+      requestIdRef.current = requestId;
+      quoteRef.current = { credits, startedAt: Date.now() };
+      setJob({ status: 'running', progress: 0 });
+
+      const jobId = await submitImageEdit(manager, {
+        sourceImageId: image.id,
+        prompt,
+        negativePrompt,
+        strength,
+        extend,
+        regions: exported,
+        requestId
+      });
+      if (requestIdRef.current === requestId) jobIdRef.current = jobId;
+    } catch (error) {
+      console.error('Image edit failed:', error);
+      clearJob();
+      setJob({ status: 'failed', progress: 0 });
+      showNotification('error', `Edit failed: ${error.message}`);
+    }
+  };
+
+  if (loadState === 'loading') {
+    return <div className="image-editor-loading"><RefreshCw className="animate-spin" size={24} /> Loading image...</div>;
+  }
+
+  if (loadState === 'error') {
+    return (
+      <EmptyState
+        title="Image could not be loaded"
+        description="The source image is missing or not accessible from the editor."
+      />
+    );
+  }
+
+  const isRunning = job?.status === 'running';
+
+  return (
+    <div className="image-editor" onKeyDown={handleKeyDown}>
+      <div className="editor-toolbar" role="toolbar" aria-label="Mask tools">
+        <button
+          type="button"
+          className={`btn-icon touch-target ${tool === 'brush' ? 'active' : ''}`}
+          onClick={() => setTool('brush')}
+          title="Brush (B)"
+          aria-pressed={tool === 'brush'}
+        >
+          <Brush size={18} />
+        </button>
+        <button
+          type="button"
+          className={`btn-icon touch-target ${tool === 'eraser' ? 'active' : ''}`}
+          onClick={() => setTool('eraser')}
+          title="Eraser (E)"
+          aria-pressed={tool === 'eraser'}
+        >
+          <Eraser size={18} />
+        </button>
+        <label className="brush-size">
+          <span>{brushSize}px</span>
+          <input
+            type="range"
+            min={MIN_BRUSH}
+            max={MAX_BRUSH}
+            step={4}
+            value={brushSize}
+            onChange={(e) => setBrushSize(Number(e.target.value))}
+            aria-label="Brush size"
+          />
+        </label>
+        <button type="button" className="btn-icon touch-target" onClick={handleUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+          <Undo2 size={18} />
+        </button>
+        <button type="button" className="btn-icon touch-target" onClick={clearActiveMask} title="Clear region mask (Delete)">
+          <Trash2 size={18} />
+        </button>
+        <button
+          type="button"
+          className="btn-icon touch-target"
+          onClick={() => setShowShortcuts(!showShortcuts)}
+          title="Keyboard shortcuts"
+          aria-expanded={showShortcuts}
+        >
+          <Keyboard size={18} />
+        </button>
+      </div>
+
+      {showShortcuts && (
+        <dl className="editor-shortcuts">
+          {SHORTCUTS.map(([keys, action]) => (
+            <React.Fragment key={keys}>
+              <dt><kbd>{keys}</kbd></dt>
+              <dd>{action}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+
+      <div className="editor-body">
+        <div className="editor-stage">
+          <canvas
+            ref={canvasRef}
+            className="editor-canvas"
+            width={canvasWidth}
+            height={canvasHeight}
+            tabIndex={0}
+            aria-label="Mask canvas. Use arrow keys to move the brush and Space to paint."
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onBlur={() => setCursor(null)}
+          />
+          {isRunning && (
+            <div className="editor-progress">
+              <div className="progress-bar">
+                <div className="progress-fill" style={{ width: `${job.progress}%` }} />
+              </div>
+              <span>Editing... {job.progress}%</span>
+              <button type="button" className="btn-outline btn-sm touch-target" onClick={handleCancel}>
+                <Ban size={14} />
+                Cancel
+              </button>
+            </div>
+          )}
+        </div>
+
+        <aside className="editor-sidebar">
+          <section className="editor-section">
+            <h4><Expand size={16} /> Outpaint</h4>
+            <div className="extend-grid">
+              {['top', 'left', 'right', 'bottom'].map(side => (
+                <div key={side} className={`extend-control ${side}`}>
+                  <span>{side}</span>
+                  <button type="button" className="touch-target" onClick={() => changeExtend(side, -EXTEND_STEP)} disabled={extend[side] === 0} aria-label={`Shrink ${side}`}>−</button>
+                  <span className="extend-value">{extend[side]}</span>
+                  <button type="button" className="touch-target" onClick={() => changeExtend(side, EXTEND_STEP)} disabled={extend[side] >= MAX_EXTEND} aria-label={`Extend ${side}`}>+</button>
+                </div>
+              ))}
+            </div>
+            <p className="editor-hint">Canvas {canvasWidth}×{canvasHeight}</p>
+          </section>
+
+          <section className="editor-section">
+            <h4>
+              <Brush size={16} /> Regions
+              <button type="button" className="btn-icon" onClick={addRegion} disabled={regions.length >= MAX_REGIONS} title="Add region">
+                <Plus size={16} />
+              </button>
+            </h4>
+            <ul className="region-list">
+              {regions.map((region, index) => (
+                <li key={region.id} className={region.id === activeRegionId ? 'active' : ''}>
+                  <button
+                    type="button"
+                    className="region-swatch touch-target"
+                    style={{ background: region.color }}
+                    onClick={() => setActiveRegionId(region.id)}
+                    aria-label={`Select region ${index + 1}`}
+                    aria-pressed={region.id === activeRegionId}
+                  >
+                    {index + 1}
+                  </button>
+                  <input
+                    type="text"
+                    value={region.prompt}
+                    onChange={(e) => updateRegionPrompt(region.id, e.target.value)}
+                    onFocus={() => setActiveRegionId(region.id)}
+                    placeholder="Region prompt (defaults to main prompt)"
+                    maxLength={500}
+                  />
+                  {regions.length > 1 && (
+                    <button type="button" className="btn-icon" onClick={() => removeRegion(region.id)} title="Remove region">
+                      <X size={14} />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          <section className="editor-section">
+            <label htmlFor="editor-prompt">Main prompt</label>
+            <textarea id="editor-prompt" rows={3} value={prompt} onChange={(e) => setPrompt(e.target.value)} />
+            <label htmlFor="editor-negative">Negative prompt</label>
+            <textarea id="editor-negative" rows={2} value={negativePrompt} onChange={(e) => setNegativePrompt(e.target.value)} />
+            <label htmlFor="editor-strength">Strength: {Math.round(strength * 100)}%</label>
+            <input
+              id="editor-strength"
+              type="range"
+              min={0.1}
+              max={1}
+              step={0.05}
+              value={strength}
+              onChange={(e) => setStrength(Number(e.target.value))}
+            />
+          </section>
+
+          <button type="button" className="btn-primary" onClick={handleSubmit} disabled={isRunning}>
+            {isRunning ? <RefreshCw className="animate-spin" size={16} /> : <Wand2 size={16} />}
+            {isRunning ? 'Editing...' : 'Apply Edit'}
+          </button>
+        </aside>
+      </div>
+
+      {job?.status === 'done' && (
+        <div className="editor-result glass-card">
+          <BeforeAfterSlider
+            beforeSrc={imageUrl(image.id)}
+            afterSrc={imageUrl(job.result.id)}
+            beforeLabel="Source"
+            afterLabel="Edited"
+          />
+          <div className="result-actions">
+            <button
+              type="button"
+              className="btn-outline"
+              onClick={() => navigate(`/image-editor/${job.result.id}`, { state: { image: job.result } })}
+            >
+              <Brush size={16} />
+              Keep Editing Result
+            </button>
+            <button type="button" className="btn-outline" onClick={() => navigate('/image-generation')}>
+              <ImageIcon size={16} />
+              Back to Generator
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ImageEditor = () => {
+  const { id } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // The generation page hands the full image over in navigation state;
+  // a bare id (e.g. a shared link) still works, without prompt defaults
+  const image = location.state?.image?.id === id ? location.state.image : id && { id };
+
+  return (
+    <DashboardLayout
+      title="Image Editor"
+      subtitle="Inpaint masked regions or extend the canvas"
+      actions={[
+        {
+          icon: <ArrowLeft size={20} />,
+          label: 'Generator',
+          onClick: () => navigate('/image-generation'),
+          variant: 'outline'
+        }
+      ]}
+    >
+      {image ? (
+        <InpaintWorkspace key={image.id} image={image} />
+      ) : (
+        <EmptyState
+          title="No image selected"
+          description="Open an image from the generator or your gallery to edit it."
+        />
+      )}
+    </DashboardLayout>
+  );
+};
+
+export default ImageEditor;
@@ -0,0 +1,149 @@
+// src/services/drafts.js - Per-user generation form drafts in IndexedDB, shared across tabs
+
+import * as yup from 'yup';
+import { createObjectStore } from '../utils/indexedDb';
+
+export const MAX_NAMED_DRAFTS = 20;
+export const MAX_DRAFT_IMAGES = 10;
+
+// Everything the generation form holds; other keys are not persisted
+export const DRAFT_FIELDS = [
+  'prompt',
+  'negativePrompt',
+  'width',
+  'height',
+  'steps',
+  'guidance',
+  'seed',
+  'style',
+  'model',
+  'batchCount',
+  'quality',
+  'aspectRatio',
+  'safeMode'
+];
+
+const AUTOSAVE_NAME = null;
+const CHANNEL_NAME = 'changex-neurix-drafts';
+
+export const draftNameSchema = yup.string()
+  .trim()
+  .required('Draft name is required')
+  .max(40, 'Draft name must be 40 characters or less');
+
+const store = createObjectStore({
+  dbName: 'changex-neurix-drafts',
+  storeName: 'drafts',
+  keyPath: 'id'
+});
+
+const autosaveId = (userId) => `${userId}:autosave`;
+const pendingId = (userId) => `${userId}:pending`;
+
+// Lets other tabs tell their own saves apart from ours
+const tabId = crypto.randomUUID();
+
+/**
+ * Plain, cloneable copy of the form values and the recent-results strip.
+ * The JSON round trip drops anything IndexedDB cannot store.
+ */
+export const createDraftSnapshot = ({ values, recentImages }) => JSON.parse(JSON.stringify({
+  values: Object.fromEntries(DRAFT_FIELDS
+    .filter(field => values?.[field] !== undefined)
+    .map(field => [field, values[field]])),
+  recentImages: (recentImages || []).slice(0, MAX_DRAFT_IMAGES)
+}));
+
+// Nothing worth offering back: no prompt and no results
+export const isDraftEmpty = (snapshot) => (
+  !snapshot?.values?.prompt?.trim() && !snapshot?.values?.negativePrompt?.trim() && !snapshot?.recentImages?.length
+);
+
+const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL_NAME);
+
+const announce = (userId, type, id) => {
+  channel?.postMessage({ type, userId, id, tabId });
+};
+
+/**
+ * Calls `onChange({ type, id })` when another tab saves or deletes one of
+ * `userId`'s drafts. `type` is 'autosaved' or 'drafts_changed'. Returns an
+ * unsubscribe function.
+ */
+export const subscribeToDrafts = (userId, onChange) => {
+  if (!channel) return () => {};
+
+  const handleMessage = ({ data }) => {
+    if (data?.userId !== userId || data.tabId === tabId) return;
+    onChange({ type: data.type, id: data.id });
+  };
+  channel.addEventListener('message', handleMessage);
+  return () => channel.removeEventListener('message', handleMessage);
+};
+
+export const loadAutosave = (userId) => store.get(autosaveId(userId));
+
+export const saveAutosave = async (userId, snapshot) => {
+  const record = {
+    ...snapshot,
+    id: autosaveId(userId),
+    userId,
+    name: AUTOSAVE_NAME,
+    updatedAt: Date.now()
+  };
+  await store.put(record);
+  announce(userId, 'autosaved', record.id);
+  return record;
+};
+
+// The live form while the last session is still on offer; kept apart so
+// the offered session is not overwritten before the user answers
+export const loadPendingSession = (userId) => store.get(pendingId(userId));
+
+export const savePendingSession = async (userId, snapshot) => {
+  const record = {
+    ...snapshot,
+    id: pendingId(userId),
+    userId,
+    name: AUTOSAVE_NAME,
+    updatedAt: Date.now()
+  };
+  await store.put(record);
+  return record;
+};
+
+export const clearPendingSession = (userId) => store.delete(pendingId(userId));
+
+export const listDrafts = async (userId) => {
+  const records = await store.getAll();
+  return records
+    .filter(record => record.userId === userId && record.name !== AUTOSAVE_NAME)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// Saving under an existing name replaces that draft
+export const saveNamedDraft = async (userId, name, snapshot) => {
+  const trimmed = draftNameSchema.validateSync(name);
+  const drafts = await listDrafts(userId);
+  const existing = drafts.find(draft => draft.name.toLowerCase() === trimmed.toLowerCase());
+
+  if (!existing && drafts.length >= MAX_NAMED_DRAFTS) {
+    throw new Error(`You can keep up to ${MAX_NAMED_DRAFTS} drafts`);
+  }
+
+  const record = {
+    ...snapshot,
+    id: existing?.id || `${userId}:${crypto.randomUUID()}`,
+    userId,
+    name: trimmed,
+    updatedAt: Date.now()
+  };
+  await store.put(record);
+  announce(userId, 'drafts_changed', record.id);
+  return record;
+};
+
+export const deleteDraft = async (userId, id) => {
+  await store.delete(id);
+  announce(userId, 'drafts_changed', id);
+};
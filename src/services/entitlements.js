@@ -0,0 +1,154 @@
+// src/services/entitlements.js - Subscription tier limits and the checks generator pages run against them
+
+import * as yup from 'yup';
+import { SOCKET_EVENTS } from './realtime/socketEvents';
+import { QUALITY_OPTIONS } from './pricing';
+import { MODEL_CAPABILITIES } from '../utils/resolutionResolver';
+
+/**
+ * Shipped tier table, used until the server's configuration has loaded.
+ * `null` means unlimited (or, for `models` and `qualities`, everything).
+ */
+export const DEFAULT_TIER_LIMITS = {
+  free: {
+    label: 'Free',
+    dailyImages: 10,
+    batchSize: 3,
+    concurrentJobs: 1,
+    models: ['stable-diffusion-xl', 'stable-diffusion-1.5'],
+    maxPixels: 1536 * 1024,
+    qualities: ['standard']
+  },
+  basic: {
+    label: 'Basic',
+    dailyImages: 100,
+    batchSize: 10,
+    concurrentJobs: 2,
+    models: null,
+    maxPixels: 2048 * 2048,
+    qualities: ['standard', 'premium']
+  },
+  premium: {
+    label: 'Premium',
+    dailyImages: 500,
+    batchSize: 20,
+    concurrentJobs: 3,
+    models: null,
+    maxPixels: 4096 * 4096,
+    qualities: null
+  },
+  enterprise: {
+    label: 'Enterprise',
+    dailyImages: null,
+    batchSize: 20,
+    concurrentJobs: 5,
+    models: null,
+    maxPixels: 4096 * 4096,
+    qualities: null
+  }
+};
+
+const DEFAULT_TIER = 'free';
+
+const tierLimitsSchema = yup.object({
+  label: yup.string().required(),
+  dailyImages: yup.number().integer().min(0).nullable().defined(),
+  batchSize: yup.number().integer().min(1).required(),
+  concurrentJobs: yup.number().integer().min(1).required(),
+  models: yup.array(yup.string()).nullable().defined(),
+  maxPixels: yup.number().integer().positive().required(),
+  qualities: yup.array(yup.string()).nullable().defined()
+});
+
+// Server tiers replace shipped tiers of the same name; a missing `free` tier
+// keeps the shipped one so every user resolves to something
+export const tierTableSchema = yup.lazy(tiers => yup.object(
+  Object.fromEntries(Object.keys(tiers || {}).map(tier => [tier, tierLimitsSchema]))
+));
+
+/**
+ * Limits for `user`: their tier's row, then the account's `dailyLimit`,
+ * then any per-account `limits` overrides. Unknown tiers get the free row.
+ */
+export const resolveEntitlements = (tiers, user) => {
+  const subscription = user?.subscription || {};
+  const tier = tiers[subscription.tier] ? subscription.tier : DEFAULT_TIER;
+
+  return {
+    tier,
+    ...tiers[tier],
+    ...(typeof subscription.dailyLimit === 'number' && { dailyImages: subscription.dailyLimit }),
+    ...subscription.limits
+  };
+};
+
+export const isModelAllowed = (entitlements, model) => !entitlements.models || entitlements.models.includes(model);
+
+export const isQualityAllowed = (entitlements, quality) => (
+  !entitlements.qualities || entitlements.qualities.includes(quality)
+);
+
+export const formatDailyLimit = ({ dailyImages }) => (
+  dailyImages === null ? 'Unlimited images' : `${dailyImages} images/day`
+);
+
+export const formatMegapixels = (pixels) => `${Number((pixels / 1e6).toFixed(1))} MP`;
+
+/**
+ * Checks a request (one entry per queued job) against the limits.
+ * `todayCount` is what the user has already generated today. Returns
+ * `{ allowed, problems, message }`; each problem names the `limit` it
+ * breaks so callers can offer an upgrade.
+ */
+export const checkEntitlements = (entitlements, paramsList, { todayCount = 0 } = {}) => {
+  const { label, dailyImages, batchSize, maxPixels } = entitlements;
+  const images = paramsList.reduce((total, params) => total + (Number(params.batchCount) || 1), 0);
+  const problems = [];
+  const add = (limit, message) => {
+    if (!problems.some(problem => problem.message === message)) problems.push({ limit, message });
+  };
+
+  if (dailyImages !== null && todayCount + images > dailyImages) {
+    const remaining = Math.max(0, dailyImages - todayCount);
+    add('dailyImages', remaining === 0
+      ? `${label} plan limit reached (${formatDailyLimit(entitlements)}). Upgrade to generate more images.`
+      : `Only ${remaining} of your ${formatDailyLimit(entitlements)} left today.`);
+  }
+
+  if (images > batchSize) {
+    add('batchSize', `${label} plan users can generate ${batchSize} images at once`);
+  }
+
+  paramsList.forEach((params) => {
+    if (params.model && !isModelAllowed(entitlements, params.model)) {
+      add('models', `${MODEL_CAPABILITIES[params.model]?.label || params.model} is not included in the ${label} plan`);
+    }
+    if (params.quality && !isQualityAllowed(entitlements, params.quality)) {
+      const quality = QUALITY_OPTIONS.find(option => option.value === params.quality)?.label || params.quality;
+      add('qualities', `${quality} quality is not included in the ${label} plan`);
+    }
+    if (params.width * params.height > maxPixels) {
+      add('maxPixels', `${params.width}×${params.height} exceeds the ${label} plan limit of ${formatMegapixels(maxPixels)}`);
+    }
+  });
+
+  return {
+    allowed: problems.length === 0,
+    problems,
+    message: problems[0]?.message || null
+  };
+};
+
+/**
+ * Loads the tier table from the server. Falls back to the shipped table
+ * when the server has none, sends an invalid one or cannot be reached.
+ */
+export const fetchTierLimits = async (manager) => {
+  try {
+    const { tiers } = await manager.request(SOCKET_EVENTS.GET_ENTITLEMENTS, {});
+    return tiers ? { ...DEFAULT_TIER_LIMITS, ...tierTableSchema.validateSync(tiers) } : DEFAULT_TIER_LIMITS;
+  } catch (error) {
+    console.warn('Using built-in tier limits:', error.message);
+    return DEFAULT_TIER_LIMITS;
+  }
+};
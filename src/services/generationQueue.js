@@ -0,0 +1,175 @@
+// src/services/generationQueue.js - Client-side job queue for generation requests
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED = new Set([JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+
+/**
+ * Runs queued jobs through `run(job, { signal })` with at most
+ * `concurrency` in flight. Jobs can be paused as a whole, cancelled,
+ * reordered while queued and retried after failing. `onSettled(job)` fires
+ * whenever a job reaches done, failed or cancelled.
+ */
+export const createGenerationQueue = ({ run, concurrency = 1, onSettled }) => {
+  let jobs = [];
+  let limit = concurrency;
+  let paused = false;
+  let snapshot = { jobs, paused, concurrency: limit };
+
+  const controllers = new Map();
+  const listeners = new Set();
+
+  const publish = () => {
+    snapshot = { jobs, paused, concurrency: limit };
+    listeners.forEach(listener => listener());
+  };
+
+  const update = (id, patch) => {
+    jobs = jobs.map(job => (job.id === id ? { ...job, ...patch } : job));
+  };
+
+  const find = (id) => jobs.find(job => job.id === id);
+
+  const settle = (id, patch) => {
+    controllers.delete(id);
+    update(id, { ...patch, finishedAt: Date.now() });
+    publish();
+    onSettled?.(find(id));
+    pump();
+  };
+
+  const start = (job) => {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    update(job.id, { status: JOB_STATUS.RUNNING, startedAt: Date.now(), progress: 0, attempts: job.attempts + 1 });
+
+    Promise.resolve()
+      .then(() => run(find(job.id), { signal: controller.signal }))
+      .then((result) => {
+        if (find(job.id)?.status !== JOB_STATUS.RUNNING) return;
+        settle(job.id, { status: JOB_STATUS.DONE, progress: 100, result, error: null });
+      })
+      .catch((error) => {
+        if (find(job.id)?.status !== JOB_STATUS.RUNNING) return;
+        settle(job.id, { status: JOB_STATUS.FAILED, error: error?.message || 'Generation failed' });
+      });
+  };
+
+  // Start queued jobs in list order until the concurrency limit is reached
+  const pump = () => {
+    if (!paused) {
+      let running = jobs.filter(job => job.status === JOB_STATUS.RUNNING).length;
+      const startable = jobs.filter(job => job.status === JOB_STATUS.QUEUED);
+
+      for (const job of startable) {
+        if (running >= limit) break;
+        start(job);
+        running += 1;
+      }
+    }
+    publish();
+  };
+
+  const add = (paramsList, meta = {}) => {
+    const created = paramsList.map(params => ({
+      id: crypto.randomUUID(),
+      params,
+      meta,
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      attempts: 0,
+      result: null,
+      error: null,
+      createdAt: Date.now()
+    }));
+
+    jobs = [...jobs, ...created];
+    pump();
+    return created.map(job => job.id);
+  };
+
+  const cancel = (id) => {
+    const job = find(id);
+    if (!job || FINISHED.has(job.status)) return;
+
+    controllers.get(id)?.abort();
+    settle(id, { status: JOB_STATUS.CANCELLED, progress: 0 });
+  };
+
+  const cancelAll = () => {
+    jobs.filter(job => !FINISHED.has(job.status)).forEach(job => cancel(job.id));
+  };
+
+  const retry = (id) => {
+    const job = find(id);
+    if (!job || (job.status !== JOB_STATUS.FAILED && job.status !== JOB_STATUS.CANCELLED)) return;
+
+    update(id, { status: JOB_STATUS.QUEUED, progress: 0, error: null, finishedAt: null });
+    pump();
+  };
+
+  // Moves a queued job to a new position among all jobs
+  const move = (id, toIndex) => {
+    const from = jobs.findIndex(job => job.id === id);
+    if (from === -1 || jobs[from].status !== JOB_STATUS.QUEUED) return;
+
+    const next = [...jobs];
+    const [job] = next.splice(from, 1);
+    next.splice(Math.max(0, Math.min(toIndex, next.length)), 0, job);
+    jobs = next;
+    publish();
+  };
+
+  const setProgress = (id, progress) => {
+    const job = find(id);
+    if (!job || job.status !== JOB_STATUS.RUNNING || job.progress === progress) return;
+
+    update(id, { progress });
+    publish();
+  };
+
+  const setConcurrency = (value) => {
+    limit = Math.max(1, value);
+    pump();
+  };
+
+  const pause = () => {
+    paused = true;
+    publish();
+  };
+
+  const resume = () => {
+    paused = false;
+    pump();
+  };
+
+  const clearFinished = () => {
+    jobs = jobs.filter(job => !FINISHED.has(job.status));
+    publish();
+  };
+
+  return {
+    add,
+    cancel,
+    cancelAll,
+    retry,
+    move,
+    setProgress,
+    setConcurrency,
+    pause,
+    resume,
+    clearFinished,
+    getJob: find,
+    getSnapshot: () => snapshot,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
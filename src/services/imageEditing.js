@@ -0,0 +1,48 @@
+// src/services/imageEditing.js - Inpainting and outpainting requests over the realtime socket
+
+import { SOCKET_EVENTS } from './realtime/socketEvents';
+
+export const EXTEND_STEP = 64;
+export const MAX_EXTEND = 512;
+export const MAX_REGIONS = 6;
+
+// Distinct overlay colours so regions can be told apart on the canvas
+export const REGION_COLORS = ['#ef4444', '#3b82f6', '#22c55e', '#eab308', '#a855f7', '#f97316'];
+
+export const EMPTY_EXTEND = { top: 0, right: 0, bottom: 0, left: 0 };
+
+export const hasExtension = (extend) => Object.values(extend).some(value => value > 0);
+
+/**
+ * Sends an edit job. Each region carries its own prompt and a PNG mask
+ * (white = regenerate) sized to the extended canvas. The result arrives as
+ * IMAGE_GENERATED with the returned job id and `parentImageId` set to the
+ * source, which is how history links the edit back to it.
+ */
+export const submitImageEdit = async (manager, {
+  sourceImageId,
+  prompt,
+  negativePrompt,
+  strength,
+  extend,
+  regions,
+  requestId
+}) => {
+  const encodedRegions = await Promise.all(regions.map(async region => ({
+    prompt: region.prompt,
+    mask: await region.mask.arrayBuffer()
+  })));
+
+  const response = await manager.request(SOCKET_EVENTS.EDIT_IMAGE, {
+    requestId,
+    sourceImageId,
+    parentImageId: sourceImageId,
+    prompt,
+    negativePrompt,
+    strength,
+    extend,
+    regions: encodedRegions
+  });
+
+  return response?.jobId || requestId;
+};
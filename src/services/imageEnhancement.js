@@ -0,0 +1,82 @@
+// src/services/imageEnhancement.js - Chainable upscale and restoration steps over the realtime socket
+
+import { SOCKET_EVENTS } from './realtime/socketEvents';
+
+export const ENHANCE_STEP_TYPES = {
+  UPSCALE: 'upscale',
+  FACE_RESTORE: 'face_restore',
+  DENOISE: 'denoise',
+  REMOVE_BACKGROUND: 'remove_background'
+};
+
+// Step prices live in services/pricing.js
+export const ENHANCE_STEPS = {
+  [ENHANCE_STEP_TYPES.UPSCALE]: {
+    label: 'Upscale',
+    description: 'Increase resolution 2x or 4x',
+    defaultOptions: { scale: 2 }
+  },
+  [ENHANCE_STEP_TYPES.FACE_RESTORE]: {
+    label: 'Face restoration',
+    description: 'Repair distorted faces and eyes',
+    defaultOptions: {}
+  },
+  [ENHANCE_STEP_TYPES.DENOISE]: {
+    label: 'Denoise',
+    description: 'Remove grain and compression artifacts',
+    defaultOptions: {}
+  },
+  [ENHANCE_STEP_TYPES.REMOVE_BACKGROUND]: {
+    label: 'Remove background',
+    description: 'Cut out the subject on a transparent background',
+    defaultOptions: {}
+  }
+};
+
+export const MAX_ENHANCE_STEPS = 6;
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const UPLOAD_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+export const createEnhanceStep = (type) => ({
+  id: crypto.randomUUID(),
+  type,
+  options: { ...ENHANCE_STEPS[type].defaultOptions }
+});
+
+// Output size after the chain; only upscaling changes dimensions
+export const getEnhancedSize = ({ width, height }, steps) => steps.reduce(
+  (size, step) => (step.type === ENHANCE_STEP_TYPES.UPSCALE
+    ? { width: size.width * step.options.scale, height: size.height * step.options.scale }
+    : size),
+  { width, height }
+);
+
+export const validateUpload = (file) => {
+  if (!UPLOAD_TYPES.includes(file.type)) {
+    return 'Only PNG, JPEG and WebP images can be enhanced';
+  }
+  if (file.size > MAX_UPLOAD_BYTES) {
+    return `Images must be smaller than ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB`;
+  }
+  return null;
+};
+
+/**
+ * Starts an enhancement job. `source` is `{ imageId }` for an existing image
+ * or `{ file }` for an upload, sent as binary. Resolves with the server job id;
+ * progress then arrives as GENERATION_PROGRESS and each finished step as
+ * ENHANCE_STEP_COMPLETED, both carrying that job id.
+ */
+export const startEnhancement = async (manager, { source, steps, requestId, signal }) => {
+  const upload = source.file
+    ? { name: source.file.name, type: source.file.type, data: await source.file.arrayBuffer() }
+    : null;
+
+  const response = await manager.request(SOCKET_EVENTS.ENHANCE_IMAGE, {
+    requestId,
+    source: { imageId: source.imageId ?? null, upload },
+    steps: steps.map(({ type, options }) => ({ type, options }))
+  }, { signal });
+
+  return response?.jobId || requestId;
+};
@@ -0,0 +1,81 @@
+// src/services/imageMetadata.js - Embed generation parameters in downloads and restore them from files
+
+import { readPngText, writePngText } from '../utils/pngMetadata';
+import { generationSchema } from '../components/ImageGeneration/generationSchema';
+
+// JSON with the parameters below; "Description" and "Software" are the
+// standard PNG keywords so other viewers show something useful too
+export const METADATA_KEYWORD = 'changex-neurix:parameters';
+
+export const EMBEDDED_PARAMETERS = [
+  'prompt',
+  'negativePrompt',
+  'seed',
+  'steps',
+  'guidance',
+  'model',
+  'style',
+  'width',
+  'height'
+];
+
+const imageUrl = (imageId) => `${process.env.REACT_APP_CDN_URL}/images/${imageId}.png`;
+
+export const pickGenerationParameters = (image) => (
+  EMBEDDED_PARAMETERS.reduce((params, key) => (
+    image[key] === undefined || image[key] === null ? params : { ...params, [key]: image[key] }
+  ), {})
+);
+
+/**
+ * Fetches the CDN image and returns it as a PNG Blob with the image's
+ * generation parameters written into text chunks.
+ */
+export const createImageDownload = async (image) => {
+  const response = await fetch(imageUrl(image.id));
+  if (!response.ok) {
+    throw new Error(`Image request failed with status ${response.status}`);
+  }
+
+  const params = pickGenerationParameters(image);
+  const bytes = writePngText(await response.arrayBuffer(), {
+    [METADATA_KEYWORD]: JSON.stringify({ version: 1, imageId: image.id, ...params }),
+    Description: params.prompt || '',
+    Software: 'Changex Neurix'
+  });
+
+  return new Blob([bytes], { type: 'image/png' });
+};
+
+/**
+ * Reads the parameters back from a dropped or picked file. Resolves with
+ * `{ params, skipped }` where `skipped` lists fields that failed form
+ * validation, or `null` when the file carries no Changex Neurix metadata.
+ */
+export const readImageParameters = async (file) => {
+  if (file.type && file.type !== 'image/png') {
+    throw new Error('Only PNG images downloaded from Changex Neurix carry generation settings');
+  }
+
+  const text = readPngText(await file.arrayBuffer());
+  if (!text[METADATA_KEYWORD]) return null;
+
+  let stored;
+  try {
+    stored = JSON.parse(text[METADATA_KEYWORD]);
+  } catch (error) {
+    throw new Error('The embedded generation settings are corrupted');
+  }
+
+  const params = {};
+  const skipped = [];
+  Object.entries(pickGenerationParameters(stored)).forEach(([key, value]) => {
+    try {
+      params[key] = generationSchema.validateSyncAt(key, { [key]: value });
+    } catch (error) {
+      skipped.push(key);
+    }
+  });
+
+  return { params, skipped };
+};
@@ -0,0 +1,281 @@
+// src/services/moderation.js - Rule-based prompt moderation with admin-maintained rule sets
+
+import * as yup from 'yup';
+import { SOCKET_EVENTS } from './realtime/socketEvents';
+
+export const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+export const MODERATION_CATEGORIES = {
+  hate: 'Hate and extremism',
+  violence: 'Graphic violence',
+  sexual: 'Sexual content',
+  self_harm: 'Self-harm',
+  illegal: 'Illegal activity'
+};
+
+// `blockAt` is the lowest severity the policy rejects; critical rules
+// are rejected by every policy
+export const MODERATION_POLICIES = {
+  strict: { label: 'Safe mode', blockAt: 'low' },
+  standard: { label: 'Standard', blockAt: 'high' }
+};
+
+export const MODERATED_FIELDS = {
+  prompt: 'Prompt',
+  negativePrompt: 'Negative prompt'
+};
+
+export const policyForSafeMode = (safeMode) => (safeMode === false ? 'standard' : 'strict');
+
+const ruleSchema = yup.object({
+  id: yup.string().trim().required('Every rule needs an id'),
+  category: yup.string().oneOf(Object.keys(MODERATION_CATEGORIES), 'Unknown category ${value}').required(),
+  severity: yup.string().oneOf(SEVERITY_LEVELS, 'Unknown severity ${value}').required(),
+  // A term of only separators or "*" would compile to a pattern that matches every prompt
+  terms: yup.array(
+    yup.string().trim().required()
+      .test('has-letters', 'Term "${value}" has no letters or digits', term => (
+        !term || /[\p{L}\p{N}]/u.test(normalizeText(term.replace(/\*$/, '')))
+      ))
+  ).min(1, 'Rule ${path} has no terms').required(),
+  // "word" respects word boundaries in any script; "substring" is for
+  // languages written without spaces (e.g. Chinese, Japanese)
+  match: yup.string().oneOf(['word', 'substring']).default('word'),
+  languages: yup.array(yup.string()).default([]),
+  scope: yup.array(yup.string().oneOf(Object.keys(MODERATED_FIELDS))).min(1).default(['prompt', 'negativePrompt']),
+  reason: yup.string()
+});
+
+export const ruleSetSchema = yup.object({
+  version: yup.number().integer().min(1).required(),
+  updatedAt: yup.string(),
+  rules: yup.array(ruleSchema).required()
+    .test('unique-ids', 'Rule ids must be unique', rules => (
+      !rules || new Set(rules.map(rule => rule.id)).size === rules.length
+    ))
+});
+
+/**
+ * Shipped fallback, used until the admin-maintained set has loaded. Sexual
+ * and violence terms are not checked in negative prompts, where people list
+ * them precisely to keep that content out.
+ */
+export const DEFAULT_RULE_SET = {
+  version: 1,
+  rules: [
+    {
+      id: 'hate-symbols',
+      category: 'hate',
+      severity: 'high',
+      terms: ['swastika', 'nazi propaganda', 'ethnic cleansing', 'white power', 'hakenkreuz', 'esvástica', 'croix gammée'],
+      languages: ['en', 'de', 'es', 'fr'],
+      scope: ['prompt', 'negativePrompt']
+    },
+    {
+      id: 'hate-speech',
+      category: 'hate',
+      severity: 'medium',
+      terms: ['hate speech', 'hateful', 'racist', 'rassistisch', 'racista', 'raciste'],
+      languages: ['en', 'de', 'es', 'fr'],
+      scope: ['prompt']
+    },
+    {
+      id: 'graphic-violence',
+      category: 'violence',
+      severity: 'high',
+      terms: ['gore', 'gory', 'decapitat*', 'dismember*', 'disembowel*', 'enthaupt*', 'descuartiza*', 'démembr*'],
+      languages: ['en', 'de', 'es', 'fr'],
+      scope: ['prompt']
+    },
+    {
+      id: 'violence',
+      category: 'violence',
+      severity: 'low',
+      terms: ['violence', 'massacre', 'bloodbath', 'gewalt', 'violencia', 'sangriento', 'sanglant'],
+      languages: ['en', 'de', 'es', 'fr'],
+      scope: ['prompt']
+    },
+    {
+      id: 'explicit-sexual',
+      category: 'sexual',
+      severity: 'high',
+      terms: ['porn*', 'nsfw', 'explicit sex', 'hentai', 'pornográfic*', 'pornografisch*'],
+      languages: ['en', 'es', 'de'],
+      scope: ['prompt']
+    },
+    {
+      id: 'explicit-sexual-cjk',
+      category: 'sexual',
+      severity: 'high',
+      terms: ['ポルノ', '色情', '黄色图片'],
+      match: 'substring',
+      languages: ['ja', 'zh'],
+      scope: ['prompt']
+    },
+    {
+      id: 'nudity',
+      category: 'sexual',
+      severity: 'medium',
+      terms: ['nude', 'naked', 'topless', 'nackt', 'desnud*', 'nue', 'nu intégral'],
+      languages: ['en', 'de', 'es', 'fr'],
+      scope: ['prompt']
+    },
+    {
+      id: 'nudity-cjk',
+      category: 'sexual',
+      severity: 'medium',
+      terms: ['裸体', 'ヌード'],
+      match: 'substring',
+      languages: ['ja', 'zh'],
+      scope: ['prompt']
+    },
+    {
+      id: 'self-harm',
+      category: 'self_harm',
+      severity: 'high',
+      terms: ['self-harm', 'self harm', 'suicide', 'suicidio', 'selbstmord', 'automutilation'],
+      languages: ['en', 'es', 'de', 'fr'],
+      scope: ['prompt']
+    },
+    {
+      id: 'weapons-drugs',
+      category: 'illegal',
+      severity: 'medium',
+      terms: ['bomb making', 'pipe bomb', 'meth lab', 'cocaine', 'kokain', 'cocaína'],
+      languages: ['en', 'de', 'es'],
+      scope: ['prompt']
+    }
+  ]
+};
+
+// Folds case, accents and common character substitutions so "Gôre" and
+// "g0re" match the rule "gore". Applied to both terms and text.
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+export const normalizeText = (text) => (
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/(?<=\p{Script=Latin})\p{M}+/gu, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[013457@$]/g, char => LOOKALIKES[char])
+);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const termPattern = (term, match) => {
+  const wildcard = term.endsWith('*');
+  const words = normalizeText(wildcard ? term.slice(0, -1) : term).split(/[\s_-]+/).filter(Boolean);
+  const body = words.map(escapeRegExp).join('[\\s_\\-.]+') + (wildcard ? '[\\p{L}\\p{N}]*' : '');
+
+  return match === 'substring'
+    ? body
+    : `(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`;
+};
+
+const compiledRuleSets = new WeakMap();
+
+const compileRuleSet = (ruleSet) => {
+  if (!compiledRuleSets.has(ruleSet)) {
+    compiledRuleSets.set(ruleSet, ruleSet.rules.map(rule => ({
+      ...rule,
+      scope: rule.scope || ['prompt', 'negativePrompt'],
+      pattern: new RegExp(rule.terms.map(term => termPattern(term, rule.match)).join('|'), 'u')
+    })));
+  }
+  return compiledRuleSets.get(ruleSet);
+};
+
+// The set every check uses unless one is passed explicitly
+let activeRuleSet = DEFAULT_RULE_SET;
+
+export const getActiveRuleSet = () => activeRuleSet;
+
+export const setActiveRuleSet = (ruleSet) => {
+  activeRuleSet = ruleSet || DEFAULT_RULE_SET;
+};
+
+const isBlocking = (severity, policy) => {
+  const { blockAt } = MODERATION_POLICIES[policy] || MODERATION_POLICIES.strict;
+  return severity === 'critical' || SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(blockAt);
+};
+
+export const describeViolation = (violation) => (
+  violation.reason
+    ? `${MODERATED_FIELDS[violation.field]}: ${violation.reason}`
+    : `${MODERATED_FIELDS[violation.field]} contains "${violation.match}", which is not allowed `
+      + `(${MODERATION_CATEGORIES[violation.category]}, ${violation.severity} severity)`
+);
+
+/**
+ * Checks one text field. `violations` are the matches the policy rejects,
+ * `warnings` the ones it lets through; `message` describes the first
+ * violation and is null when the text is allowed.
+ */
+export const moderateText = (text, { field = 'prompt', policy = 'strict', ruleSet = activeRuleSet } = {}) => {
+  const normalized = normalizeText(text);
+  const violations = [];
+  const warnings = [];
+
+  if (normalized) {
+    compileRuleSet(ruleSet).forEach((rule) => {
+      if (!rule.scope.includes(field)) return;
+      const found = normalized.match(rule.pattern);
+      if (!found) return;
+
+      const result = {
+        ruleId: rule.id,
+        category: rule.category,
+        severity: rule.severity,
+        reason: rule.reason,
+        match: found[0],
+        field
+      };
+      (isBlocking(rule.severity, policy) ? violations : warnings).push(result);
+    });
+  }
+
+  violations.sort((a, b) => SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity));
+
+  return {
+    allowed: violations.length === 0,
+    violations,
+    warnings,
+    message: violations.length ? describeViolation(violations[0]) : null
+  };
+};
+
+// Checks the prompt and negative prompt of a generation request
+export const moderateParams = (params, { policy = policyForSafeMode(params.safeMode), ruleSet } = {}) => {
+  const results = Object.keys(MODERATED_FIELDS).map(field => moderateText(params[field], { field, policy, ruleSet }));
+  const violations = results.flatMap(result => result.violations);
+
+  return {
+    allowed: violations.length === 0,
+    violations,
+    warnings: results.flatMap(result => result.warnings),
+    message: results.find(result => result.message)?.message || null
+  };
+};
+
+/**
+ * Loads the admin-maintained rule set. Falls back to the shipped rules when
+ * the server has none or cannot be reached, so moderation never turns off.
+ */
+export const fetchModerationRules = async (manager) => {
+  try {
+    const { ruleSet } = await manager.request(SOCKET_EVENTS.GET_MODERATION_RULES, {});
+    return ruleSet ? ruleSetSchema.validateSync(ruleSet) : DEFAULT_RULE_SET;
+  } catch (error) {
+    console.warn('Using built-in moderation rules:', error.message);
+    return DEFAULT_RULE_SET;
+  }
+};
+
+// Admin only; the server rejects the request for everyone else
+export const saveModerationRules = async (manager, ruleSet) => {
+  const validated = ruleSetSchema.validateSync(ruleSet, { abortEarly: false });
+  const next = { ...validated, updatedAt: new Date().toISOString() };
+  await manager.request(SOCKET_EVENTS.SAVE_MODERATION_RULES, { ruleSet: next });
+  return next;
+};
@@ -0,0 +1,258 @@
+// src/services/presets.js - Built-in and user generation presets, synced to the account
+
+import * as yup from 'yup';
+import { SOCKET_EVENTS } from './realtime/socketEvents';
+import { createObjectStore } from '../utils/indexedDb';
+import { generationSchema } from '../components/ImageGeneration/generationSchema';
+
+export const MAX_PRESETS = 50;
+export const PRESET_FILE_FORMAT = 'changex-neurix-presets';
+export const PRESET_FILE_VERSION = 1;
+
+// Form fields a preset may set; batch size is deliberately left out
+export const PRESET_FIELDS = [
+  'prompt',
+  'negativePrompt',
+  'width',
+  'height',
+  'steps',
+  'guidance',
+  'style',
+  'model',
+  'quality',
+  'aspectRatio'
+];
+
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'builtin:portrait',
+    name: 'Portrait',
+    icon: '👤',
+    color: 'purple',
+    builtIn: true,
+    values: {
+      width: 1024,
+      height: 1024,
+      steps: 60,
+      guidance: 8.0,
+      style: 'photorealistic',
+      negativePrompt: 'blurry, distorted, ugly, deformed, bad anatomy',
+      aspectRatio: '1:1'
+    }
+  },
+  {
+    id: 'builtin:landscape',
+    name: 'Landscape',
+    icon: '🏞️',
+    color: 'green',
+    builtIn: true,
+    values: {
+      width: 1920,
+      height: 1080,
+      steps: 70,
+      guidance: 7.5,
+      style: 'realistic',
+      negativePrompt: 'person, human, building, text, watermark',
+      aspectRatio: '16:9'
+    }
+  },
+  {
+    id: 'builtin:anime',
+    name: 'Anime',
+    icon: '🎨',
+    color: 'pink',
+    builtIn: true,
+    values: {
+      width: 1024,
+      height: 1024,
+      steps: 50,
+      guidance: 8.5,
+      style: 'anime',
+      negativePrompt: 'realistic, photo, 3d, blurry',
+      aspectRatio: '1:1'
+    }
+  },
+  {
+    id: 'builtin:abstract',
+    name: 'Abstract',
+    icon: '🟣',
+    color: 'indigo',
+    builtIn: true,
+    values: {
+      width: 2048,
+      height: 2048,
+      steps: 80,
+      guidance: 9.0,
+      style: 'abstract',
+      negativePrompt: 'text, words, letters, signature',
+      aspectRatio: '1:1'
+    }
+  },
+  {
+    id: 'builtin:product',
+    name: 'Product',
+    icon: '📱',
+    color: 'blue',
+    builtIn: true,
+    values: {
+      width: 1080,
+      height: 1080,
+      steps: 65,
+      guidance: 8.0,
+      style: 'product',
+      negativePrompt: 'background, messy, cluttered, low quality',
+      aspectRatio: '1:1'
+    }
+  }
+];
+
+export const presetNameSchema = yup.string()
+  .trim()
+  .required('Preset name is required')
+  .max(40, 'Preset name must be 40 characters or less');
+
+// Values are checked against the generation form rules, but every field is
+// optional and form defaults are not filled in
+const presetValuesSchema = yup.object(
+  Object.fromEntries(PRESET_FIELDS.map(field => [
+    field,
+    generationSchema.fields[field].notRequired().default(undefined)
+  ]))
+).noUnknown(true, 'Unknown preset field: ${unknown}');
+
+const presetFileSchema = yup.object({
+  format: yup.string().oneOf([PRESET_FILE_FORMAT], 'Not a Changex Neurix preset file').required('Not a Changex Neurix preset file'),
+  version: yup.number().max(PRESET_FILE_VERSION, 'Preset file is from a newer version of the app').required(),
+  presets: yup.array(yup.object({
+    name: presetNameSchema,
+    icon: yup.string().max(8),
+    values: presetValuesSchema.required()
+  })).required()
+});
+
+const store = createObjectStore({
+  dbName: 'changex-neurix-presets',
+  storeName: 'accounts',
+  keyPath: 'userId'
+});
+
+const pickPresetValues = (values, includePrompt) => (
+  PRESET_FIELDS.reduce((picked, field) => {
+    if (field === 'prompt' && !includePrompt) return picked;
+    if (values[field] === undefined || values[field] === null || values[field] === '') return picked;
+    return { ...picked, [field]: values[field] };
+  }, {})
+);
+
+export const createPreset = ({ name, icon = '⭐', values, includePrompt = false }) => ({
+  id: crypto.randomUUID(),
+  name: presetNameSchema.validateSync(name),
+  icon,
+  values: pickPresetValues(values, includePrompt)
+});
+
+// Local copy of the account presets. `dirty` marks edits the server has not
+// confirmed yet (e.g. made offline); they are pushed on the next load.
+const readCache = async (userId) => (
+  (await store.get(userId)) || { userId, presets: [], revision: 0, dirty: false }
+);
+
+const writeCache = (userId, record) => store.put({ ...record, userId, updatedAt: Date.now() });
+
+/**
+ * Loads the user's presets, preferring the account copy. Unsynced local
+ * edits are pushed first; if that push conflicts, the account copy wins.
+ */
+export const loadPresets = async (manager, userId) => {
+  const cached = await readCache(userId);
+
+  try {
+    if (cached.dirty) {
+      return await savePresets(manager, userId, cached.presets, cached.revision);
+    }
+
+    const { presets, revision } = await manager.request(SOCKET_EVENTS.GET_PRESETS, {});
+    const record = { presets, revision, dirty: false };
+    await writeCache(userId, record);
+    return record;
+  } catch (error) {
+    // savePresets has already cached the account copy
+    if (error.code === 'PRESETS_CONFLICT') {
+      return { ...error.details, dirty: false };
+    }
+
+    console.warn('Using cached presets:', error.message);
+    return cached;
+  }
+};
+
+/**
+ * Replaces the user's preset list. Resolves with `{ presets, revision,
+ * dirty }`; `dirty` is true when the change is saved on this device only.
+ * Conflicts are rethrown with the account copy in `error.details`.
+ */
+export const savePresets = async (manager, userId, presets, baseRevision) => {
+  if (presets.length > MAX_PRESETS) {
+    throw new Error(`You can keep up to ${MAX_PRESETS} presets`);
+  }
+
+  await writeCache(userId, { presets, revision: baseRevision, dirty: true });
+
+  try {
+    const { revision } = await manager.request(SOCKET_EVENTS.SAVE_PRESETS, { presets, baseRevision });
+    const record = { presets, revision, dirty: false };
+    await writeCache(userId, record);
+    return record;
+  } catch (error) {
+    if (error.code === 'PRESETS_CONFLICT') {
+      await writeCache(userId, { ...error.details, dirty: false });
+      throw error;
+    }
+
+    console.warn('Presets saved locally, sync pending:', error.message);
+    return { presets, revision: baseRevision, dirty: true };
+  }
+};
+
+// Applies a PRESETS_UPDATED broadcast unless we already have that revision.
+// Unsynced local edits are kept; their push resolves the conflict instead.
+export const applyRemotePresets = async (userId, current, update) => {
+  if (current && (current.dirty || update.revision <= current.revision)) return current;
+  const record = { presets: update.presets, revision: update.revision, dirty: false };
+  await writeCache(userId, record);
+  return record;
+};
+
+export const exportPresetsFile = (presets) => new Blob([
+  JSON.stringify({
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    presets: presets.map(({ name, icon, values }) => ({ name, icon, values }))
+  }, null, 2)
+], { type: 'application/json' });
+
+/**
+ * Parses an exported preset file into new presets. Imported names that
+ * clash with `existingNames` get a numeric suffix instead of overwriting.
+ */
+export const parsePresetsFile = async (file, existingNames = []) => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error('Preset file is not valid JSON');
+  }
+
+  const { presets } = presetFileSchema.validateSync(data);
+  const taken = new Set(existingNames.map(name => name.toLowerCase()));
+
+  return presets.map((preset) => {
+    let name = preset.name;
+    for (let suffix = 2; taken.has(name.toLowerCase()); suffix++) {
+      name = `${preset.name} (${suffix})`;
+    }
+    taken.add(name.toLowerCase());
+    return { id: crypto.randomUUID(), name, icon: preset.icon || '⭐', values: preset.values };
+  });
+};
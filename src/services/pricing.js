@@ -0,0 +1,120 @@
+// src/services/pricing.js - Credit cost estimates, affordability checks and charge reconciliation
+
+import { ENHANCE_STEP_TYPES } from './imageEnhancement';
+
+export const QUALITY_OPTIONS = [
+  { value: 'standard', label: 'Standard', icon: '⭐', credits: 1 },
+  { value: 'premium', label: 'Premium', icon: '⭐⭐', credits: 2 },
+  { value: 'ultra', label: 'Ultra', icon: '⭐⭐⭐', credits: 3 }
+];
+
+// Relative to SDXL; unknown models are priced like SDXL
+export const MODEL_PRICE_MULTIPLIERS = {
+  'stable-diffusion-xl': 1,
+  'stable-diffusion-3': 1.5,
+  'stable-diffusion-1.5': 0.5
+};
+
+// The quality price covers up to one megapixel at 50 steps; larger images
+// and longer runs cost proportionally more
+const BASE_PIXELS = 1024 * 1024;
+const BASE_STEPS = 50;
+
+export const formatCredits = (credits) => `${credits} credit${credits !== 1 ? 's' : ''}`;
+
+/**
+ * Prices one generation request. `perImage` is rounded up to whole credits
+ * and never below 1; `total` covers every image in `batchCount`. `factors`
+ * holds the multipliers behind the price for display.
+ */
+export const estimateGenerationCost = (params = {}) => {
+  const quality = QUALITY_OPTIONS.find(option => option.value === params.quality) || QUALITY_OPTIONS[0];
+  const width = Number(params.width) || 1024;
+  const height = Number(params.height) || 1024;
+
+  const factors = {
+    quality: quality.credits,
+    model: MODEL_PRICE_MULTIPLIERS[params.model] ?? 1,
+    resolution: Math.max(1, (width * height) / BASE_PIXELS),
+    steps: Math.max(1, (Number(params.steps) || BASE_STEPS) / BASE_STEPS)
+  };
+
+  const raw = factors.quality * factors.model * factors.resolution * factors.steps;
+  // Tolerance keeps float noise (e.g. 2.0000000001) from adding a credit
+  const perImage = Math.max(1, Math.ceil(raw - 1e-9));
+  const images = Math.max(1, Math.floor(Number(params.batchCount) || 1));
+
+  return { perImage, images, total: perImage * images, factors };
+};
+
+export const estimateImageCredits = (params) => estimateGenerationCost({ ...params, batchCount: 1 }).perImage;
+
+// Each entry is priced on its own, so mixed sweeps and templates add up correctly
+export const estimateBatchCost = (paramsList) => paramsList.reduce(
+  (sum, params) => {
+    const { images, total } = estimateGenerationCost(params);
+    return { images: sum.images + images, total: sum.total + total };
+  },
+  { images: 0, total: 0 }
+);
+
+// Enhancement is charged per step; upscale cost depends on the factor
+const ENHANCE_STEP_CREDITS = {
+  [ENHANCE_STEP_TYPES.UPSCALE]: ({ scale }) => (scale === 4 ? 2 : 1),
+  [ENHANCE_STEP_TYPES.FACE_RESTORE]: () => 1,
+  [ENHANCE_STEP_TYPES.DENOISE]: () => 1,
+  [ENHANCE_STEP_TYPES.REMOVE_BACKGROUND]: () => 1
+};
+
+export const estimateEnhanceStepCost = (step) => ENHANCE_STEP_CREDITS[step.type](step.options);
+
+export const estimateEnhanceCost = (steps) => steps.reduce((total, step) => total + estimateEnhanceStepCost(step), 0);
+
+/**
+ * Prices an inpainting/outpainting edit. Every region, and the outpainting
+ * margins, is a separate pass priced like one standard image of the output
+ * size on the source image's model.
+ */
+export const estimateEditCost = ({ model, steps, width, height, passes }) => (
+  estimateImageCredits({ model, steps, width, height, quality: 'standard' }) * Math.max(1, passes)
+);
+
+/**
+ * Pre-flight check against the user's balance. `reserved` is what queued
+ * and running jobs are expected to cost; the server has not charged them
+ * yet, so they still count against the balance. A user without a known
+ * balance is let through and the server decides.
+ */
+export const checkAffordability = (user, cost, { reserved = 0 } = {}) => {
+  if (typeof user?.credits !== 'number') {
+    return { allowed: true, available: null, shortfall: 0, message: null };
+  }
+
+  const available = Math.max(0, user.credits - reserved);
+  const shortfall = Math.max(0, cost - available);
+
+  return {
+    allowed: shortfall === 0,
+    available,
+    shortfall,
+    message: shortfall === 0
+      ? null
+      : `This needs ${formatCredits(cost)} but you have ${available}`
+        + `${reserved > 0 ? ` after ${formatCredits(reserved)} held by queued jobs` : ''}.`
+  };
+};
+
+/**
+ * Compares an estimate with what the server charged (`creditsCharged` on
+ * the result). Servers that do not report a charge are assumed to have
+ * charged the estimate; jobs queued without an estimate never differ.
+ */
+export const reconcileCharge = (estimated, charged) => {
+  if (typeof charged !== 'number') {
+    return { estimated, charged: estimated, difference: 0, reported: false };
+  }
+  if (typeof estimated !== 'number') {
+    return { estimated: charged, charged, difference: 0, reported: true };
+  }
+  return { estimated, charged, difference: charged - estimated, reported: true };
+};
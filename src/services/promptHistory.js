@@ -0,0 +1,106 @@
+// src/services/promptHistory.js - Searching generation history and favourite prompts
+
+import { createObjectStore } from '../utils/indexedDb';
+
+export const DATE_RANGES = {
+  all: { label: 'Any time', days: null },
+  today: { label: 'Today', days: 0 },
+  week: { label: 'Past 7 days', days: 7 },
+  month: { label: 'Past 30 days', days: 30 }
+};
+
+// Parameters compared side by side, in the order handleRegenerate restores them
+export const COMPARED_PARAMETERS = [
+  ['model', 'Model'],
+  ['style', 'Style'],
+  ['width', 'Width'],
+  ['height', 'Height'],
+  ['steps', 'Steps'],
+  ['guidance', 'Guidance'],
+  ['seed', 'Seed']
+];
+
+const store = createObjectStore({
+  dbName: 'changex-neurix-prompt-favourites',
+  storeName: 'prompts',
+  keyPath: 'id'
+});
+
+// Case, accents and spacing do not make a different prompt
+const foldText = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/\p{M}+/gu, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+export const promptKey = (prompt) => foldText(prompt);
+
+export const getImageTimestamp = (image) => Date.parse(image.createdAt) || image.timestamp || null;
+
+// Words must all appear; "quoted phrases" must appear as written
+const parseQuery = (query) => [...String(query || '').matchAll(/"([^"]+)"|(\S+)/g)]
+  .map(match => foldText(match[1] || match[2]))
+  .filter(Boolean);
+
+const startOfRange = (range, now) => {
+  const { days } = DATE_RANGES[range] || DATE_RANGES.all;
+  if (days === null) return null;
+
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - days);
+  return start.getTime();
+};
+
+/**
+ * Filters history images, newest first. `favourites` is a Set of prompt
+ * keys. Images without a timestamp only pass the "any time" range, and
+ * unrated images only pass when no minimum rating is set.
+ */
+export const searchHistory = (images, {
+  query = '',
+  model = '',
+  style = '',
+  range = 'all',
+  minRating = 0,
+  favouritesOnly = false
+} = {}, favourites = new Set(), now = Date.now()) => {
+  const terms = parseQuery(query);
+  const since = startOfRange(range, now);
+
+  return images
+    .filter((image) => {
+      if (model && image.model !== model) return false;
+      if (style && image.style !== style) return false;
+      if (minRating > 0 && !(image.rating >= minRating)) return false;
+      if (favouritesOnly && !favourites.has(promptKey(image.prompt))) return false;
+      if (since !== null && !(getImageTimestamp(image) >= since)) return false;
+
+      const text = `${foldText(image.prompt)}\n${foldText(image.negativePrompt)}`;
+      return terms.every(term => text.includes(term));
+    })
+    .sort((a, b) => (getImageTimestamp(b) || 0) - (getImageTimestamp(a) || 0));
+};
+
+// Distinct values of `field`, for the filter menus
+export const collectOptions = (images, field) => (
+  [...new Set(images.map(image => image[field]).filter(Boolean))].sort()
+);
+
+export const listFavouritePrompts = async (userId) => {
+  const records = await store.getAll();
+  return records.filter(record => record.userId === userId);
+};
+
+// Stars or unstars a prompt; resolves with whether it is now a favourite
+export const toggleFavouritePrompt = async (userId, prompt) => {
+  const id = `${userId}:${promptKey(prompt)}`;
+  if (await store.get(id)) {
+    await store.delete(id);
+    return false;
+  }
+
+  await store.put({ id, userId, key: promptKey(prompt), prompt, createdAt: Date.now() });
+  return true;
+};
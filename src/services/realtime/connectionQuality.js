@@ -0,0 +1,108 @@
+// src/services/realtime/connectionQuality.js - RTT, jitter and loss estimates from ping/pong
+
+const SAMPLE_WINDOW = 10;
+export const PONG_TIMEOUT = 10000;
+
+// Thresholds for the rolling classification, checked best-first
+const QUALITY_LEVELS = [
+  { quality: 'excellent', maxRtt: 150, maxJitter: 30, maxLoss: 0.02 },
+  { quality: 'good', maxRtt: 400, maxJitter: 100, maxLoss: 0.1 }
+];
+
+export const initialConnectionQuality = {
+  rtt: null,
+  jitter: null,
+  packetLoss: 0,
+  quality: null,
+  consecutiveLosses: 0
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export const classifyQuality = ({ rtt, jitter, packetLoss }) => {
+  if (rtt === null) return null;
+
+  const level = QUALITY_LEVELS.find(({ maxRtt, maxJitter, maxLoss }) => (
+    rtt <= maxRtt && (jitter ?? 0) <= maxJitter && packetLoss <= maxLoss
+  ));
+  return level ? level.quality : 'poor';
+};
+
+/**
+ * Each ping carries its send timestamp, which the server echoes in the
+ * pong. RTT is averaged over the last SAMPLE_WINDOW pongs, jitter is the
+ * mean difference between consecutive RTTs, and a ping with no pong after
+ * PONG_TIMEOUT counts as lost.
+ */
+export const createQualityTracker = () => {
+  const outstanding = new Map(); // timestamp -> sent at
+  let outcomes = []; // rolling window of { lost, rtt }
+  let consecutiveLosses = 0;
+
+  const record = (outcome) => {
+    outcomes = [...outcomes, outcome].slice(-SAMPLE_WINDOW);
+    consecutiveLosses = outcome.lost ? consecutiveLosses + 1 : 0;
+  };
+
+  const expireOutstanding = (now) => {
+    outstanding.forEach((sentAt, timestamp) => {
+      if (now - sentAt > PONG_TIMEOUT) {
+        outstanding.delete(timestamp);
+        record({ lost: true });
+      }
+    });
+  };
+
+  const snapshot = () => {
+    const rtts = outcomes.filter(outcome => !outcome.lost).map(outcome => outcome.rtt);
+    const lost = outcomes.filter(outcome => outcome.lost).length;
+
+    const rtt = rtts.length > 0 ? Math.round(average(rtts)) : null;
+    const jitter = rtts.length > 1
+      ? Math.round(average(rtts.slice(1).map((value, index) => Math.abs(value - rtts[index]))))
+      : null;
+    const packetLoss = outcomes.length > 0 ? lost / outcomes.length : 0;
+
+    return {
+      rtt,
+      jitter,
+      packetLoss,
+      quality: classifyQuality({ rtt, jitter, packetLoss }),
+      consecutiveLosses
+    };
+  };
+
+  // Returns the payload to send with the ping
+  const ping = (now = Date.now()) => {
+    expireOutstanding(now);
+    outstanding.set(now, now);
+    return { timestamp: now };
+  };
+
+  const pong = (payload, now = Date.now()) => {
+    let timestamp = payload?.timestamp;
+
+    // Servers that do not echo the timestamp answer the oldest ping
+    if (!outstanding.has(timestamp)) {
+      timestamp = outstanding.keys().next().value;
+    }
+    if (timestamp === undefined) return;
+
+    outstanding.delete(timestamp);
+    record({ lost: false, rtt: now - timestamp });
+  };
+
+  const reset = () => {
+    outstanding.clear();
+    outcomes = [];
+    consecutiveLosses = 0;
+  };
+
+  return {
+    ping,
+    pong,
+    reset,
+    expire: (now = Date.now()) => expireOutstanding(now),
+    snapshot
+  };
+};
@@ -0,0 +1,33 @@
+// src/services/realtime/emitter.js - Tiny event emitter for socket.io-compatible transports
+
+export const createEmitter = () => {
+  const handlers = new Map();
+
+  const emitter = {
+    on(event, handler) {
+      if (!handlers.has(event)) {
+        handlers.set(event, new Set());
+      }
+      handlers.get(event).add(handler);
+      return emitter;
+    },
+    off(event, handler) {
+      handlers.get(event)?.delete(handler);
+      return emitter;
+    },
+    removeAllListeners(event) {
+      if (event === undefined) {
+        handlers.clear();
+      } else {
+        handlers.delete(event);
+      }
+      return emitter;
+    },
+    emit(event, ...args) {
+      [...(handlers.get(event) || [])].forEach(handler => handler(...args));
+      return true;
+    }
+  };
+
+  return emitter;
+};
@@ -0,0 +1,133 @@
+// src/services/realtime/errors.js - Typed errors for realtime request/response calls
+
+export class RealtimeError extends Error {
+  constructor(message, { code, details, event, requestId } = {}) {
+    super(message);
+    this.name = 'RealtimeError';
+    this.code = code;
+    this.details = details;
+    this.event = event;
+    this.requestId = requestId;
+  }
+
+  // Whether sending the same request again may succeed
+  get retryable() {
+    return false;
+  }
+}
+
+export class RealtimeAuthError extends RealtimeError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = 'RealtimeAuthError';
+  }
+}
+
+export class RealtimeQuotaError extends RealtimeError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = 'RealtimeQuotaError';
+  }
+}
+
+export class RealtimeValidationError extends RealtimeError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = 'RealtimeValidationError';
+  }
+}
+
+export class RealtimeModerationError extends RealtimeError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = 'RealtimeModerationError';
+  }
+}
+
+export class RealtimeTransientError extends RealtimeError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = 'RealtimeTransientError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// No response arrived within the caller's deadline (including time spent queued offline)
+export class RealtimeTimeoutError extends RealtimeTransientError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = 'RealtimeTimeoutError';
+  }
+}
+
+// The requestId was already answered; the outbox will not send it again
+export class RealtimeDuplicateRequestError extends RealtimeError {
+  constructor(message, info) {
+    super(message, { code: 'DUPLICATE_REQUEST', ...info });
+    this.name = 'RealtimeDuplicateRequestError';
+  }
+}
+
+const CODE_CLASSES = [
+  [/^(UNAUTHORI[SZ]ED|FORBIDDEN|AUTH_|TOKEN_|INVALID_TOKEN|SESSION_EXPIRED)/, RealtimeAuthError],
+  [/^(QUOTA_|RATE_LIMIT|INSUFFICIENT_CREDITS|DAILY_LIMIT|LIMIT_EXCEEDED)/, RealtimeQuotaError],
+  [/^(VALIDATION|INVALID_|BAD_REQUEST|MISSING_)/, RealtimeValidationError],
+  [/^(MODERATION|CONTENT_|UNSAFE_|NSFW)/, RealtimeModerationError]
+];
+
+const classForStatus = (status) => {
+  if (status === 401 || status === 403) return RealtimeAuthError;
+  if (status === 402 || status === 429) return RealtimeQuotaError;
+  if (status === 400 || status === 422) return RealtimeValidationError;
+  if (status === 451) return RealtimeModerationError;
+  return RealtimeTransientError;
+};
+
+/**
+ * Server errors arrive either as `{ error: 'message' }` or as
+ * `{ error: { code, message, status, details } }`. Unknown codes are
+ * treated as transient so callers may retry them.
+ */
+export const toRealtimeError = (response, { event, requestId } = {}) => {
+  const raw = response?.error;
+  const error = typeof raw === 'object' && raw !== null ? raw : { message: raw };
+  const code = (error.code || response?.code || '').toString().toUpperCase();
+  const status = error.status || response?.status;
+  const message = error.message || response?.message || 'Request failed';
+  const info = { code: code || undefined, details: error.details, event, requestId };
+
+  const match = CODE_CLASSES.find(([pattern]) => pattern.test(code));
+  const ErrorClass = match ? match[1] : classForStatus(status);
+
+  return new ErrorClass(message, info);
+};
+
+export const isErrorResponse = (response) => (
+  Boolean(response?.error) || response?.success === false
+);
+
+export const createAbortError = (signal) => (
+  signal?.reason instanceof Error
+    ? signal.reason
+    : new DOMException('The request was aborted', 'AbortError')
+);
+
+const AUTH_EXPIRY_CODES = /^(TOKEN_EXPIRED|AUTH_EXPIRED|INVALID_TOKEN|UNAUTHORI[SZ]ED|SESSION_EXPIRED|JWT_EXPIRED)$/;
+const AUTH_EXPIRY_MESSAGE = /(jwt|token|session).*(expired|invalid)|unauthori[sz]ed|authentication (failed|error)/i;
+
+/**
+ * Tells a rejected handshake caused by stale credentials apart from network
+ * failures. Server middleware rejections carry `data.code`; transport
+ * failures ('xhr poll error', 'websocket error') are never auth related.
+ */
+export const isAuthExpiryError = (error) => {
+  if (!error || error.type === 'TransportError') return false;
+
+  const code = (error.data?.code || error.code || '').toString().toUpperCase();
+  if (code) return AUTH_EXPIRY_CODES.test(code);
+
+  return AUTH_EXPIRY_MESSAGE.test(error.message || '');
+};
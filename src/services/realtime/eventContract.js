@@ -0,0 +1,313 @@
+// src/services/realtime/eventContract.js - Versioned payload schemas for SOCKET_EVENTS
+
+import * as yup from 'yup';
+import { SOCKET_EVENTS } from './socketEvents';
+
+// Bump when a payload shape changes incompatibly; servers stamp payloads with `v`
+export const EVENT_CONTRACT_VERSION = 1;
+
+// Validation runs in development only; production payloads pass through untouched
+const VALIDATE_EVENTS = process.env.NODE_ENV !== 'production';
+
+// Defaults double as fixture values, strict validation never applies them
+const errorPayload = yup.mixed()
+  .test('error-shape', 'error must be a string or { message }', (value) => (
+    typeof value === 'string' || (typeof value === 'object' && value !== null && 'message' in value)
+  ))
+  .required()
+  .default('Something went wrong');
+
+const progress = yup.number().min(0).max(100).required().default(42);
+const jobId = yup.string().default('job_fixture_1');
+// The client's requestId, echoed so events sent before the ack can be matched
+const requestId = yup.string();
+
+const progressSchema = yup.object({
+  jobId,
+  requestId,
+  progress,
+  stage: yup.string().default('generating'),
+  eta: yup.number().min(0).nullable().default(12)
+});
+
+const errorSchema = yup.object({
+  jobId,
+  requestId,
+  error: errorPayload,
+  code: yup.string().default('GENERATION_FAILED')
+});
+
+const imageSchema = yup.object({
+  id: yup.string().required().default('img_fixture_1'),
+  jobId,
+  requestId,
+  prompt: yup.string().required().default('A lighthouse on a cliff at sunset'),
+  negativePrompt: yup.string().default(''),
+  width: yup.number().integer().positive().required().default(1024),
+  height: yup.number().integer().positive().required().default(1024),
+  steps: yup.number().integer().positive().default(50),
+  guidance: yup.number().default(7.5),
+  seed: yup.number().nullable().default(123456),
+  style: yup.string().default('realistic'),
+  model: yup.string().default('stable-diffusion-xl'),
+  // What the server actually took from the balance for this image
+  creditsCharged: yup.number().min(0).default(1)
+});
+
+const mediaSchema = yup.object({
+  id: yup.string().required().default('media_fixture_1'),
+  jobId,
+  url: yup.string().required().default('https://cdn.changexneurix.com/media/media_fixture_1'),
+  duration: yup.number().min(0).default(8)
+});
+
+const presetSchema = yup.object({
+  id: yup.string().required().default('preset_fixture_1'),
+  name: yup.string().required().default('Moody portrait'),
+  icon: yup.string().default('⭐'),
+  values: yup.object().required().default({ steps: 60, guidance: 8, style: 'photorealistic' })
+});
+
+const presetListSchema = yup.object({
+  presets: yup.array(presetSchema).required().default([presetSchema.getDefault()]),
+  revision: yup.number().integer().min(0).required().default(1)
+});
+
+// Rules are validated in full by the moderation service; the contract only
+// checks the envelope
+const moderationRuleSetSchema = yup.object({
+  ruleSet: yup.object({
+    version: yup.number().integer().min(1).required().default(2),
+    updatedAt: yup.string().default('2024-01-01T00:00:00.000Z'),
+    rules: yup.array(yup.object({
+      id: yup.string().required(),
+      category: yup.string().required(),
+      severity: yup.string().required(),
+      terms: yup.array(yup.string()).required()
+    })).required().default([{ id: 'fixture-rule', category: 'violence', severity: 'high', terms: ['gore'] }])
+  }).required()
+});
+
+const pipeline = yup.string().oneOf(['image', 'video', 'audio']).default('image');
+
+const timestampSchema = yup.object({
+  timestamp: yup.number().required().default(1700000000000)
+});
+
+const iotDevice = yup.string().required().default('device_fixture_1');
+
+const inboundSchemas = {
+  [SOCKET_EVENTS.PONG]: timestampSchema,
+  [SOCKET_EVENTS.SESSION_RESUMED]: yup.object({
+    sessionId: yup.string().required().default('session_fixture_1'),
+    replayed: yup.number().integer().min(0).required().default(3),
+    reset: yup.boolean().default(false),
+    seq: yup.number().integer().min(0).nullable().default(120)
+  }),
+
+  // Image Generation
+  [SOCKET_EVENTS.IMAGE_GENERATED]: imageSchema,
+  [SOCKET_EVENTS.GENERATION_PROGRESS]: progressSchema,
+  [SOCKET_EVENTS.GENERATION_ERROR]: errorSchema,
+  [SOCKET_EVENTS.GENERATION_CANCELLED]: yup.object({
+    jobId: jobId.required(),
+    pipeline,
+    refundedCredits: yup.number().min(0).default(1),
+    reason: yup.string().nullable().default('user_requested')
+  }),
+
+  // Image Enhancement
+  [SOCKET_EVENTS.ENHANCE_STEP_COMPLETED]: yup.object({
+    jobId: jobId.required(),
+    requestId,
+    stepIndex: yup.number().integer().min(0).required().default(0),
+    step: yup.string().required().default('upscale'),
+    final: yup.boolean().default(false),
+    // What the whole chain cost; only sent with the final step
+    creditsCharged: yup.number().min(0),
+    image: yup.object({
+      id: yup.string().required().default('img_fixture_2'),
+      width: yup.number().integer().positive().default(2048),
+      height: yup.number().integer().positive().default(2048)
+    }).required()
+  }),
+
+  [SOCKET_EVENTS.PRESETS_UPDATED]: presetListSchema,
+  [SOCKET_EVENTS.MODERATION_RULES_UPDATED]: moderationRuleSetSchema,
+
+  // Video Generation
+  [SOCKET_EVENTS.VIDEO_GENERATED]: mediaSchema,
+  [SOCKET_EVENTS.VIDEO_PROGRESS]: progressSchema,
+  [SOCKET_EVENTS.VIDEO_ERROR]: errorSchema,
+
+  // Audio Processing
+  [SOCKET_EVENTS.AUDIO_GENERATED]: mediaSchema,
+  [SOCKET_EVENTS.AUDIO_PROCESSED]: mediaSchema,
+  [SOCKET_EVENTS.AUDIO_ERROR]: errorSchema,
+
+  // IoT
+  [SOCKET_EVENTS.IOT_MESSAGE]: yup.object({
+    deviceId: iotDevice,
+    payload: yup.mixed().default({ command: 'status' })
+  }),
+  [SOCKET_EVENTS.IOT_RESPONSE]: yup.object({
+    deviceId: iotDevice,
+    requestId: yup.string().default('req_fixture_1'),
+    data: yup.mixed().default({ ok: true })
+  }),
+  [SOCKET_EVENTS.IOT_ERROR]: yup.object({
+    deviceId: yup.string().default('device_fixture_1'),
+    error: errorPayload
+  }),
+  [SOCKET_EVENTS.IOT_STATUS_UPDATE]: yup.object({
+    deviceId: iotDevice,
+    status: yup.string().required().default('online'),
+    lastSeen: yup.number().default(1700000000000)
+  }),
+
+  // Self-Learning
+  [SOCKET_EVENTS.TRAINING_PROGRESS]: yup.object({
+    sessionId: yup.string().required().default('session_fixture_1'),
+    progress,
+    epoch: yup.number().integer().min(0).default(3),
+    loss: yup.number().nullable().default(0.12)
+  }),
+  [SOCKET_EVENTS.LEARNING_SESSION_COMPLETED]: yup.object({
+    sessionId: yup.string().required().default('session_fixture_1'),
+    metrics: yup.object().default({ accuracy: 0.94 })
+  }),
+  [SOCKET_EVENTS.LEARNING_ERROR]: yup.object({
+    sessionId: yup.string().default('session_fixture_1'),
+    error: errorPayload
+  }),
+
+  // General
+  [SOCKET_EVENTS.NOTIFICATION]: yup.object({
+    id: yup.string().default('notification_fixture_1'),
+    type: yup.string().oneOf(['info', 'success', 'warning', 'error']).default('info'),
+    title: yup.string().default('Heads up'),
+    message: yup.string().required().default('Your export is ready')
+  }),
+  [SOCKET_EVENTS.USER_UPDATED]: yup.object({
+    id: yup.string().required().default('user_fixture_1'),
+    credits: yup.number().min(0).default(100),
+    subscription: yup.object({
+      tier: yup.string().default('free'),
+      dailyLimit: yup.number().default(10),
+      // Per-account overrides of the tier's limits, e.g. { batchSize: 5 }
+      limits: yup.object().default(undefined)
+    }).default(undefined)
+  }),
+  [SOCKET_EVENTS.SYSTEM_ALERT]: yup.object({
+    level: yup.string().oneOf(['info', 'warning', 'critical']).default('info'),
+    message: yup.string().required().default('Scheduled maintenance at 02:00 UTC')
+  }),
+  [SOCKET_EVENTS.SERVER_MESSAGE]: yup.object({
+    message: yup.string().required().default('Hello from the server')
+  }),
+
+  // Custom events for frontend compatibility
+  [SOCKET_EVENTS.IMAGE_GENERATION_PROGRESS]: progressSchema,
+  [SOCKET_EVENTS.VIDEO_GENERATION_PROGRESS]: progressSchema,
+  [SOCKET_EVENTS.AUDIO_PROCESSING_PROGRESS]: progressSchema
+};
+
+const outboundSchemas = {
+  [SOCKET_EVENTS.PING]: timestampSchema,
+  [SOCKET_EVENTS.ENHANCE_IMAGE]: yup.object({
+    source: yup.object({
+      imageId: yup.string().nullable().default('img_fixture_1'),
+      upload: yup.mixed().nullable().default(null)
+    }).required(),
+    steps: yup.array(yup.object({
+      type: yup.string().oneOf(['upscale', 'face_restore', 'denoise', 'remove_background']).required(),
+      options: yup.object().default({})
+    })).min(1).required().default([{ type: 'upscale', options: { scale: 2 } }])
+  }),
+  [SOCKET_EVENTS.EDIT_IMAGE]: yup.object({
+    sourceImageId: yup.string().required().default('img_fixture_1'),
+    prompt: yup.string().default('A lighthouse on a cliff at sunset'),
+    negativePrompt: yup.string().default(''),
+    strength: yup.number().min(0).max(1).default(0.75),
+    extend: yup.object({
+      top: yup.number().integer().min(0).default(0),
+      right: yup.number().integer().min(0).default(0),
+      bottom: yup.number().integer().min(0).default(256),
+      left: yup.number().integer().min(0).default(0)
+    }).required(),
+    regions: yup.array(yup.object({
+      prompt: yup.string().default(''),
+      mask: yup.mixed().required()
+    })).min(1).required().default([{ prompt: 'a red door', mask: 'mask_fixture' }])
+  }),
+  [SOCKET_EVENTS.CANCEL_GENERATION]: yup.object({
+    jobId: jobId.required(),
+    pipeline
+  }),
+  [SOCKET_EVENTS.SAVE_PRESETS]: yup.object({
+    presets: presetListSchema.fields.presets,
+    baseRevision: yup.number().integer().min(0).required().default(1)
+  }),
+  [SOCKET_EVENTS.SAVE_MODERATION_RULES]: moderationRuleSetSchema,
+  [SOCKET_EVENTS.IOT_MESSAGE]: inboundSchemas[SOCKET_EVENTS.IOT_MESSAGE]
+};
+
+export const EVENT_CONTRACT = {
+  version: EVENT_CONTRACT_VERSION,
+  inbound: inboundSchemas,
+  outbound: outboundSchemas
+};
+
+/**
+ * Validates a payload against the contract. Events without a schema are
+ * accepted. Never throws; returns `{ valid, errors }`.
+ */
+export const validateEventPayload = (event, payload, direction = 'inbound') => {
+  const schema = EVENT_CONTRACT[direction]?.[event];
+  if (!schema) return { valid: true, errors: [] };
+
+  const errors = [];
+  if (payload?.v !== undefined && payload.v !== EVENT_CONTRACT_VERSION) {
+    errors.push(`contract version ${payload.v} does not match client version ${EVENT_CONTRACT_VERSION}`);
+  }
+
+  try {
+    schema.validateSync(payload, { strict: true, abortEarly: false });
+  } catch (error) {
+    errors.push(...(error.errors || [error.message]));
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+const reportViolation = (event, direction, errors, payload) => {
+  console.warn(`Realtime contract violation (${direction} ${event}):`, errors, payload);
+};
+
+// Development-time check used by the socket manager on every message
+export const checkEventPayload = (event, payload, direction, onViolation = reportViolation) => {
+  if (!VALIDATE_EVENTS) return true;
+
+  const { valid, errors } = validateEventPayload(event, payload, direction);
+  if (!valid) {
+    onViolation(event, direction, errors, payload);
+  }
+  return valid;
+};
+
+/**
+ * Builds a schema-valid payload for tests and mocks, e.g.
+ * createEventFixture('generation_progress', { progress: 80 }).
+ */
+export const createEventFixture = (event, overrides = {}, direction = 'inbound') => {
+  const schema = EVENT_CONTRACT[direction]?.[event];
+  if (!schema) {
+    throw new Error(`No ${direction} contract defined for ${event}`);
+  }
+
+  return {
+    ...schema.getDefault(),
+    v: EVENT_CONTRACT_VERSION,
+    ...overrides
+  };
+};
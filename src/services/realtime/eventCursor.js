@@ -0,0 +1,75 @@
+// src/services/realtime/eventCursor.js - Tracks the last seen event so reconnects can resume
+
+const SEEN_LIMIT = 500;
+
+const readStorage = (key) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(key)) || null;
+  } catch {
+    return null;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    sessionStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage full or disabled; the cursor still works for this page load
+  }
+};
+
+/**
+ * Server events carry a monotonically increasing `seq` and, optionally, an
+ * `eventId`. The cursor remembers the highest seq seen (per tab, surviving
+ * reloads) and drops anything already delivered, so events the server
+ * replays after a resume reach listeners exactly once.
+ */
+export const createEventCursor = ({ storageKey }) => {
+  const stored = readStorage(storageKey);
+  let lastSeq = stored?.lastSeq ?? null;
+  const sessionId = stored?.sessionId || crypto.randomUUID();
+  const seenIds = new Set();
+
+  const persist = () => writeStorage(storageKey, { lastSeq, sessionId });
+  persist();
+
+  const rememberId = (eventId) => {
+    seenIds.add(eventId);
+    if (seenIds.size > SEEN_LIMIT) {
+      seenIds.delete(seenIds.values().next().value);
+    }
+  };
+
+  // Returns false when the payload is a duplicate that must not be dispatched
+  const accept = (payload) => {
+    if (!payload || typeof payload !== 'object') return true;
+
+    const { seq, eventId } = payload;
+
+    if (eventId !== undefined) {
+      if (seenIds.has(eventId)) return false;
+      rememberId(eventId);
+    }
+
+    if (typeof seq === 'number') {
+      if (lastSeq !== null && seq <= lastSeq) return false;
+      lastSeq = seq;
+      persist();
+    }
+
+    return true;
+  };
+
+  // The server starts a fresh stream when it cannot replay from our cursor
+  const reset = (seq = null) => {
+    lastSeq = seq;
+    seenIds.clear();
+    persist();
+  };
+
+  return {
+    accept,
+    reset,
+    getResumeInfo: () => ({ sessionId, lastEventSeq: lastSeq })
+  };
+};
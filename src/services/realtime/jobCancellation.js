@@ -0,0 +1,46 @@
+// src/services/realtime/jobCancellation.js - Cancel running generation jobs for any pipeline
+
+import { SOCKET_EVENTS } from './socketEvents';
+import { formatCredits } from '../pricing';
+
+export const GENERATION_PIPELINES = {
+  IMAGE: 'image',
+  VIDEO: 'video',
+  AUDIO: 'audio'
+};
+
+const CANCEL_TIMEOUT = 10000;
+
+/**
+ * Asks the server to stop a job. Resolves with `{ jobId, pipeline,
+ * cancelled, refundedCredits }`; `cancelled` is false when the job had
+ * already finished. Rejects with a RealtimeError when the request fails.
+ */
+export const cancelGenerationJob = async (manager, { jobId, pipeline = GENERATION_PIPELINES.IMAGE, timeout = CANCEL_TIMEOUT }) => {
+  const response = await manager.request(
+    SOCKET_EVENTS.CANCEL_GENERATION,
+    { jobId, pipeline },
+    { timeout }
+  );
+
+  return {
+    jobId,
+    pipeline,
+    cancelled: response?.cancelled !== false,
+    refundedCredits: response?.refundedCredits ?? 0
+  };
+};
+
+// Payloads without a pipeline come from servers that only cancel images
+export const onGenerationCancelled = (manager, pipeline, handler) => (
+  manager.on(SOCKET_EVENTS.GENERATION_CANCELLED, (payload) => {
+    if ((payload?.pipeline || GENERATION_PIPELINES.IMAGE) !== pipeline) return;
+    handler(payload);
+  })
+);
+
+export const formatRefundMessage = (refundedCredits) => (
+  refundedCredits > 0
+    ? `${formatCredits(refundedCredits)} refunded`
+    : 'No credits were refunded'
+);
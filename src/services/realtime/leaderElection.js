@@ -0,0 +1,209 @@
+// src/services/realtime/leaderElection.js - Elects one tab to own the realtime connection
+
+const HEARTBEAT_INTERVAL = 1000;
+// Hidden tabs get their timers throttled to about once a minute, so a
+// hidden leader's heartbeats can be that far apart without it being gone
+const LEADER_TIMEOUT = 65000;
+const CLAIM_WINDOW = 250;
+
+/**
+ * Web Locks elect the leader where available: the tab holding the lock
+ * leads, the browser hands it to a waiting tab when the holder closes or
+ * crashes, and no timers are involved, so background throttling cannot
+ * cause a takeover.
+ */
+const createLockElection = ({ lockName, onChange }) => {
+  const tabId = crypto.randomUUID();
+  let controller = null;
+  let release = null;
+
+  const request = () => {
+    controller = new AbortController();
+    navigator.locks.request(lockName, { signal: controller.signal }, () => {
+      onChange(true);
+      return new Promise((resolve) => {
+        release = resolve;
+      });
+    }).catch((error) => {
+      if (error.name !== 'AbortError') {
+        console.error('Realtime leader lock failed:', error);
+      }
+    });
+  };
+
+  // Give the lock up for the back/forward cache and ask again on return
+  const resign = () => {
+    controller?.abort();
+    if (release) {
+      release();
+      release = null;
+      onChange(false);
+    }
+  };
+
+  const handlePageShow = (event) => {
+    if (event.persisted) request();
+  };
+
+  window.addEventListener('pagehide', resign);
+  window.addEventListener('pageshow', handlePageShow);
+  request();
+
+  return {
+    tabId,
+    isLeader: () => Boolean(release),
+    stop: () => {
+      window.removeEventListener('pagehide', resign);
+      window.removeEventListener('pageshow', handlePageShow);
+      resign();
+    }
+  };
+};
+
+/**
+ * Uses Web Locks when the browser has them. Otherwise tabs talk over a
+ * BroadcastChannel: the leader sends heartbeats; when they stop (or the
+ * leader resigns on pagehide) the remaining tabs claim the role. Competing
+ * claims resolve to the lowest tab id, and a leader that hears another
+ * leader's heartbeat steps down if its id is higher.
+ *
+ * Without either API every tab leads, which matches the old
+ * one-connection-per-tab behaviour.
+ */
+export const createLeaderElection = ({ channelName, onChange }) => {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return createLockElection({ lockName: channelName, onChange });
+  }
+
+  const tabId = crypto.randomUUID();
+
+  if (typeof BroadcastChannel === 'undefined') {
+    onChange(true);
+    return { tabId, isLeader: () => true, stop: () => {} };
+  }
+
+  const channel = new BroadcastChannel(channelName);
+  let leaderId = null;
+  let lastHeartbeat = 0;
+  let claiming = false;
+  let claimTimer = null;
+  let heartbeatTimer = null;
+
+  const post = (type) => channel.postMessage({ type, id: tabId });
+
+  const setLeader = (id) => {
+    const wasLeader = leaderId === tabId;
+    leaderId = id;
+    const isLeader = leaderId === tabId;
+
+    if (isLeader && !heartbeatTimer) {
+      post('heartbeat');
+      heartbeatTimer = setInterval(() => post('heartbeat'), HEARTBEAT_INTERVAL);
+    } else if (!isLeader && heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+
+    if (wasLeader !== isLeader) {
+      onChange(isLeader);
+    }
+  };
+
+  const abandonClaim = () => {
+    clearTimeout(claimTimer);
+    claimTimer = null;
+    claiming = false;
+  };
+
+  const claim = () => {
+    if (claiming || leaderId === tabId) return;
+
+    claiming = true;
+    post('claim');
+    claimTimer = setTimeout(() => {
+      claiming = false;
+      claimTimer = null;
+      if (Date.now() - lastHeartbeat > LEADER_TIMEOUT) {
+        setLeader(tabId);
+      }
+    }, CLAIM_WINDOW);
+  };
+
+  channel.onmessage = ({ data }) => {
+    if (!data || data.id === tabId) return;
+
+    switch (data.type) {
+      case 'heartbeat':
+        if (leaderId === tabId) {
+          // Two leaders after a race: the lower id keeps the role
+          if (data.id < tabId) {
+            lastHeartbeat = Date.now();
+            setLeader(data.id);
+          } else {
+            post('heartbeat');
+          }
+          return;
+        }
+        abandonClaim();
+        lastHeartbeat = Date.now();
+        if (leaderId !== data.id) {
+          setLeader(data.id);
+        }
+        break;
+
+      case 'claim':
+        if (leaderId === tabId) {
+          post('heartbeat');
+        } else if (claiming && data.id < tabId) {
+          // Let the lower id win; if it never asserts itself we claim again
+          abandonClaim();
+          lastHeartbeat = Date.now();
+        }
+        break;
+
+      case 'resign':
+        if (data.id === leaderId) {
+          leaderId = null;
+          lastHeartbeat = 0;
+          claim();
+        }
+        break;
+
+      default:
+        break;
+    }
+  };
+
+  const monitor = setInterval(() => {
+    if (leaderId !== tabId && Date.now() - lastHeartbeat > LEADER_TIMEOUT) {
+      claim();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  const resign = () => {
+    if (leaderId === tabId) {
+      post('resign');
+      setLeader(null);
+    }
+  };
+
+  window.addEventListener('pagehide', resign);
+  claim();
+
+  const stop = () => {
+    if (leaderId === tabId) {
+      post('resign');
+    }
+    clearInterval(heartbeatTimer);
+    abandonClaim();
+    clearInterval(monitor);
+    window.removeEventListener('pagehide', resign);
+    channel.close();
+  };
+
+  return {
+    tabId,
+    isLeader: () => leaderId === tabId,
+    stop
+  };
+};
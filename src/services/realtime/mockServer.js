@@ -0,0 +1,470 @@
+// src/services/realtime/mockServer.js - In-memory realtime server for offline development and tests
+
+import { SOCKET_EVENTS } from './socketEvents';
+import { createEmitter } from './emitter';
+import { createEventFixture } from './eventContract';
+
+const HISTORY_LIMIT = 200;
+
+/**
+ * Scenario steps run in order, each `after` ms after the previous one:
+ *   { after, emit: 'generation_progress', payload: { progress: 40 } }
+ *   { after, disconnect: 'transport close', downtime: 1000 }
+ * Emitted payloads start from the event contract fixture, then the play
+ * context (e.g. { jobId }), then the step payload.
+ */
+const progressSteps = (event, values, interval) => values.map(progress => ({
+  after: interval,
+  emit: event,
+  payload: { progress, stage: progress < 30 ? 'initializing' : progress < 70 ? 'generating' : 'finalizing' }
+}));
+
+export const MOCK_SCENARIOS = {
+  'generation-success': [
+    ...progressSteps(SOCKET_EVENTS.GENERATION_PROGRESS, [5, 25, 50, 75, 95], 300),
+    { after: 300, emit: SOCKET_EVENTS.IMAGE_GENERATED }
+  ],
+  'generation-failure': [
+    ...progressSteps(SOCKET_EVENTS.GENERATION_PROGRESS, [10, 40], 300),
+    { after: 300, emit: SOCKET_EVENTS.GENERATION_ERROR, payload: { error: 'Model worker crashed', code: 'WORKER_FAILED' } }
+  ],
+  'flaky-connection': [
+    ...progressSteps(SOCKET_EVENTS.GENERATION_PROGRESS, [10, 30], 300),
+    { after: 200, disconnect: 'transport close', downtime: 1500 },
+    ...progressSteps(SOCKET_EVENTS.GENERATION_PROGRESS, [60, 90], 300),
+    { after: 300, emit: SOCKET_EVENTS.IMAGE_GENERATED }
+  ]
+};
+
+const createMockClient = (server, options) => {
+  const emitter = createEmitter();
+  const anyHandlers = new Set();
+  let reconnecting = false;
+
+  const resolveAuth = () => new Promise((resolve) => {
+    if (typeof options.auth === 'function') {
+      options.auth(resolve);
+    } else {
+      resolve(options.auth || {});
+    }
+  });
+
+  const client = {
+    connected: false,
+    io: createEmitter(),
+
+    on: (event, handler) => {
+      emitter.on(event, handler);
+      return client;
+    },
+    off: (event, handler) => {
+      emitter.off(event, handler);
+      return client;
+    },
+    removeAllListeners: (event) => {
+      emitter.removeAllListeners(event);
+      if (event === undefined) {
+        anyHandlers.clear();
+      }
+      return client;
+    },
+    onAny: (handler) => {
+      anyHandlers.add(handler);
+      return client;
+    },
+    offAny: (handler) => {
+      anyHandlers.delete(handler);
+      return client;
+    },
+
+    connect: () => {
+      server.later(async () => {
+        const auth = await resolveAuth();
+        const rejection = server.authenticate(auth);
+
+        if (rejection) {
+          emitter.emit(SOCKET_EVENTS.CONNECT_ERROR, rejection);
+          return;
+        }
+
+        client.connected = true;
+        emitter.emit(SOCKET_EVENTS.CONNECT);
+        if (reconnecting) {
+          reconnecting = false;
+          client.io.emit(SOCKET_EVENTS.RECONNECT, 1);
+        }
+        server.attach(client, auth);
+      });
+      return client;
+    },
+
+    disconnect: () => {
+      server.detach(client);
+      if (client.connected) {
+        client.connected = false;
+        emitter.emit(SOCKET_EVENTS.DISCONNECT, 'io client disconnect');
+      }
+      return client;
+    },
+
+    emit: (event, payload, ack) => {
+      if (client.connected) {
+        server.later(() => server.receive(client, event, payload, ack));
+      }
+      return client;
+    },
+
+    timeout: (ms) => ({
+      emit: (event, payload, ack) => {
+        let done = false;
+        const timer = setTimeout(() => {
+          if (done) return;
+          done = true;
+          ack(new Error('operation has timed out'));
+        }, ms);
+
+        client.emit(event, payload, (response) => {
+          if (done) return;
+          done = true;
+          clearTimeout(timer);
+          ack(null, response);
+        });
+      }
+    }),
+
+    // Server side of the connection
+    deliver: (event, ...args) => {
+      if (!client.connected) return;
+      emitter.emit(event, ...args);
+      anyHandlers.forEach(handler => handler(event, ...args));
+    },
+
+    drop: (reason, downtime) => {
+      if (!client.connected) return;
+
+      client.connected = false;
+      server.detach(client);
+      emitter.emit(SOCKET_EVENTS.DISCONNECT, reason);
+
+      // Mirrors socket.io: only a server-initiated disconnect stops retries
+      if (reason !== 'io server disconnect' && options.reconnection !== false) {
+        reconnecting = true;
+        client.io.emit(SOCKET_EVENTS.RECONNECT_ATTEMPT, 1);
+        setTimeout(client.connect, downtime);
+      }
+    }
+  };
+
+  return client;
+};
+
+/**
+ * A socket.io stand-in that lives in the page. Pass `server.transport` to
+ * createSocketManager (or set REACT_APP_REALTIME_TRANSPORT=mock) and drive
+ * it with play(), broadcast() and simulateDisconnect(). generateImage()
+ * replaces the HTTP generation request in mock mode.
+ */
+export const createMockServer = ({ latency = 20, scenarios = MOCK_SCENARIOS } = {}) => {
+  const clients = new Set();
+  const handlers = new Map();
+  const timers = new Set();
+  const cancelledJobs = new Set();
+  let accountPresets = { presets: [], revision: 0 };
+  let moderationRuleSet = null;
+  let entitlementTiers = null;
+  let history = [];
+  let seq = 0;
+  let authError = null;
+  let generationScenario = 'generation-success';
+
+  const later = (callback, delay = latency) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      callback();
+    }, delay);
+    timers.add(timer);
+  };
+
+  // Every broadcast is sequenced so reconnecting clients can resume
+  const broadcast = (event, payload) => {
+    seq += 1;
+    const stamped = { ...payload, seq };
+    history = [...history, { event, payload: stamped }].slice(-HISTORY_LIMIT);
+    clients.forEach(client => client.deliver(event, stamped));
+  };
+
+  const authenticate = (auth) => {
+    if (authError) {
+      const error = new Error(authError === 'TOKEN_EXPIRED' ? 'jwt expired' : authError);
+      error.data = { code: authError };
+      return error;
+    }
+    if (!auth.token) {
+      const error = new Error('Unauthorized');
+      error.data = { code: 'UNAUTHORIZED' };
+      return error;
+    }
+    return null;
+  };
+
+  const attach = (client, auth) => {
+    clients.add(client);
+
+    const missed = auth.lastEventSeq == null
+      ? []
+      : history.filter(entry => entry.payload.seq > auth.lastEventSeq);
+    const canResume = auth.lastEventSeq == null || history.length === 0 || history[0].payload.seq <= auth.lastEventSeq + 1;
+
+    client.deliver(SOCKET_EVENTS.SESSION_RESUMED, {
+      sessionId: auth.sessionId || 'mock-session',
+      replayed: canResume ? missed.length : 0,
+      reset: !canResume,
+      seq
+    });
+    if (canResume) {
+      missed.forEach(({ event, payload }) => client.deliver(event, payload));
+    }
+  };
+
+  const detach = (client) => {
+    clients.delete(client);
+  };
+
+  const receive = (client, event, payload, ack) => {
+    const handler = handlers.get(event);
+    if (!handler) {
+      ack?.({ success: true });
+      return;
+    }
+    handler(payload, (response) => ack?.(response), { client, server });
+  };
+
+  const play = (name, context = {}) => new Promise((resolve) => {
+    const steps = Array.isArray(name) ? name : scenarios[name];
+    if (!steps) {
+      throw new Error(`Unknown mock scenario: ${name}`);
+    }
+
+    const runStep = (index) => {
+      if (index >= steps.length) {
+        resolve();
+        return;
+      }
+
+      const step = steps[index];
+      later(() => {
+        // A cancelled job stops its scenario before the next step
+        if (cancelledJobs.has(context.jobId)) {
+          resolve();
+          return;
+        }
+        if (step.emit) {
+          const overrides = Object.fromEntries(
+            Object.entries({ ...context, ...step.payload }).filter(([, value]) => value !== undefined)
+          );
+          broadcast(step.emit, createEventFixture(step.emit, overrides));
+        }
+        if (step.disconnect) {
+          simulateDisconnect(step.disconnect, step.downtime);
+        }
+        runStep(index + 1);
+      }, step.after ?? 0);
+    };
+
+    runStep(0);
+  });
+
+  const simulateDisconnect = (reason = 'transport close', downtime = 1000) => {
+    [...clients].forEach(client => client.drop(reason, downtime));
+  };
+
+  // Registers a request handler: (payload, ack, { client, server }) => void
+  const handle = (event, handler) => {
+    handlers.set(event, handler);
+    return () => handlers.delete(event);
+  };
+
+  /**
+   * Stands in for the HTTP generateImage service: plays the generation
+   * scenario under the request's id and settles the way the API response
+   * would, with the image or the error the scenario ended on.
+   */
+  const generateImage = async (params = {}) => {
+    const jobId = params.requestId || crypto.randomUUID();
+    const steps = scenarios[generationScenario].map(step => (
+      step.emit === SOCKET_EVENTS.IMAGE_GENERATED
+        ? { ...step, payload: { id: `img_${jobId}`, ...step.payload } }
+        : step
+    ));
+
+    await play(steps, {
+      jobId,
+      requestId: params.requestId,
+      prompt: params.prompt,
+      negativePrompt: params.negativePrompt,
+      width: params.width,
+      height: params.height,
+      steps: params.steps,
+      model: params.model
+    });
+
+    const outcome = [...history].reverse().find(({ event, payload }) => payload.jobId === jobId && (
+      event === SOCKET_EVENTS.IMAGE_GENERATED || event === SOCKET_EVENTS.GENERATION_ERROR
+    ));
+    if (outcome?.event === SOCKET_EVENTS.IMAGE_GENERATED) {
+      return outcome.payload;
+    }
+    if (outcome) {
+      const { error } = outcome.payload;
+      throw new Error(typeof error === 'string' ? error : error?.message);
+    }
+    throw new Error(cancelledJobs.has(jobId) ? 'Generation cancelled' : 'Generation did not finish');
+  };
+
+  const reset = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    cancelledJobs.clear();
+    accountPresets = { presets: [], revision: 0 };
+    moderationRuleSet = null;
+    entitlementTiers = null;
+    history = [];
+    seq = 0;
+    authError = null;
+    generationScenario = 'generation-success';
+  };
+
+  const server = {
+    transport: (url, options = {}) => createMockClient(server, options),
+    later,
+    authenticate,
+    attach,
+    detach,
+    receive,
+    broadcast,
+    play,
+    simulateDisconnect,
+    handle,
+    generateImage,
+    reset,
+    // e.g. 'TOKEN_EXPIRED' to exercise the refresh flow; null to accept again
+    setAuthError: (code) => {
+      authError = code;
+    },
+    // Scenario generateImage plays, e.g. 'generation-failure'
+    setGenerationScenario: (name) => {
+      if (!scenarios[name]) {
+        throw new Error(`Unknown mock scenario: ${name}`);
+      }
+      generationScenario = name;
+    },
+    // Tier table served by get_entitlements; null makes clients use their own
+    setEntitlementTiers: (tiers) => {
+      entitlementTiers = tiers;
+    },
+    getClients: () => [...clients]
+  };
+
+  // Default behaviour of the real backend that the app relies on
+  handle(SOCKET_EVENTS.PING, (payload, ack, { client }) => {
+    client.deliver(SOCKET_EVENTS.PONG, { timestamp: payload?.timestamp ?? Date.now() });
+  });
+
+  handle(SOCKET_EVENTS.EDIT_IMAGE, (payload, ack) => {
+    const jobId = payload?.requestId || crypto.randomUUID();
+    ack({ success: true, jobId });
+    play('generation-success', {
+      jobId,
+      prompt: payload?.prompt || payload?.regions?.[0]?.prompt,
+      parentImageId: payload?.sourceImageId
+    });
+  });
+
+  // Runs every step as a short progress scenario followed by its result
+  handle(SOCKET_EVENTS.ENHANCE_IMAGE, async (payload, ack) => {
+    const jobId = payload?.requestId || crypto.randomUUID();
+    const steps = payload?.steps || [];
+    ack({ success: true, jobId });
+
+    for (let stepIndex = 0; stepIndex < steps.length; stepIndex += 1) {
+      await play([
+        ...progressSteps(SOCKET_EVENTS.GENERATION_PROGRESS, [20, 60, 90], 250).map(step => ({
+          ...step,
+          payload: { ...step.payload, stepIndex, stage: steps[stepIndex].type }
+        })),
+        {
+          after: 250,
+          emit: SOCKET_EVENTS.ENHANCE_STEP_COMPLETED,
+          payload: {
+            stepIndex,
+            step: steps[stepIndex].type,
+            final: stepIndex === steps.length - 1,
+            image: { id: `${jobId}_step${stepIndex}`, width: 1024, height: 1024 }
+          }
+        }
+      ], { jobId });
+
+      if (cancelledJobs.has(jobId)) return;
+    }
+  });
+
+  handle(SOCKET_EVENTS.CANCEL_GENERATION, (payload, ack) => {
+    const { jobId, pipeline = 'image' } = payload || {};
+    cancelledJobs.add(jobId);
+    ack({ success: true, cancelled: true, refundedCredits: 1 });
+    broadcast(SOCKET_EVENTS.GENERATION_CANCELLED, createEventFixture(SOCKET_EVENTS.GENERATION_CANCELLED, {
+      jobId,
+      pipeline,
+      refundedCredits: 1
+    }));
+  });
+
+  handle(SOCKET_EVENTS.GET_PRESETS, (payload, ack) => {
+    ack({ success: true, ...accountPresets });
+  });
+
+  // Saves are rejected when another session saved first, like the real API
+  handle(SOCKET_EVENTS.SAVE_PRESETS, (payload, ack) => {
+    if (payload?.baseRevision !== accountPresets.revision) {
+      ack({
+        success: false,
+        error: { code: 'PRESETS_CONFLICT', status: 409, message: 'Presets were changed in another session', details: accountPresets }
+      });
+      return;
+    }
+
+    accountPresets = { presets: payload.presets, revision: accountPresets.revision + 1 };
+    ack({ success: true, revision: accountPresets.revision });
+    broadcast(SOCKET_EVENTS.PRESETS_UPDATED, accountPresets);
+  });
+
+  // A null rule set tells clients to use their built-in rules
+  handle(SOCKET_EVENTS.GET_MODERATION_RULES, (payload, ack) => {
+    ack({ success: true, ruleSet: moderationRuleSet });
+  });
+
+  handle(SOCKET_EVENTS.SAVE_MODERATION_RULES, (payload, ack) => {
+    moderationRuleSet = payload.ruleSet;
+    ack({ success: true });
+    broadcast(SOCKET_EVENTS.MODERATION_RULES_UPDATED, { ruleSet: moderationRuleSet });
+  });
+
+  handle(SOCKET_EVENTS.GET_ENTITLEMENTS, (payload, ack) => {
+    ack({ success: true, tiers: entitlementTiers });
+  });
+
+  return server;
+};
+
+let sharedServer = null;
+
+// The instance used by the app when REACT_APP_REALTIME_TRANSPORT=mock
+export const getMockServer = () => {
+  if (!sharedServer) {
+    sharedServer = createMockServer();
+    if (typeof window !== 'undefined') {
+      window.__changexMockServer = sharedServer;
+    }
+  }
+  return sharedServer;
+};
@@ -0,0 +1,108 @@
+// src/services/realtime/mockServer.test.js - Connection, queueing and progress against the mock server
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createMockServer } from './mockServer';
+import { createSocketManager } from './socketManager';
+import { createGenerationQueue, JOB_STATUS } from '../generationQueue';
+import { SOCKET_EVENTS } from './socketEvents';
+
+// The bundled scenarios pace themselves for the UI; these keep the same shape
+const progress = (values) => values.map(value => ({
+  after: 5,
+  emit: SOCKET_EVENTS.GENERATION_PROGRESS,
+  payload: { progress: value }
+}));
+
+const scenarios = {
+  'generation-success': [...progress([25, 50, 75]), { after: 5, emit: SOCKET_EVENTS.IMAGE_GENERATED }],
+  'generation-failure': [
+    ...progress([40]),
+    { after: 5, emit: SOCKET_EVENTS.GENERATION_ERROR, payload: { error: 'Model worker crashed' } }
+  ],
+  'flaky-connection': [
+    ...progress([30]),
+    { after: 5, disconnect: 'transport close', downtime: 20 },
+    ...progress([90]),
+    { after: 5, emit: SOCKET_EVENTS.IMAGE_GENERATED }
+  ]
+};
+
+const setup = () => {
+  const server = createMockServer({ latency: 1, scenarios });
+  const manager = createSocketManager({ url: 'ws://mock', transport: server.transport });
+  const settled = [];
+  const progressSeen = new Map();
+
+  const queue = createGenerationQueue({
+    run: job => server.generateImage({ ...job.params, requestId: job.id }),
+    onSettled: job => settled.push(job)
+  });
+
+  // What ImageGeneration does with progress events for its queued jobs
+  manager.on(SOCKET_EVENTS.GENERATION_PROGRESS, (data) => {
+    if (!queue.getJob(data.jobId)) return;
+    queue.setProgress(data.jobId, data.progress);
+    progressSeen.set(data.jobId, [...(progressSeen.get(data.jobId) || []), data.progress]);
+  });
+
+  manager.setAuth({ token: 'token', userId: 'user_1' });
+  manager.retain();
+
+  return { server, manager, queue, settled, progressSeen };
+};
+
+let current = null;
+
+afterEach(() => {
+  current?.manager.release();
+  current?.server.reset();
+  current = null;
+});
+
+describe('mock realtime server', () => {
+  it('connects and runs queued jobs one at a time with their progress', async () => {
+    current = setup();
+    const { manager, queue, settled, progressSeen } = current;
+
+    await vi.waitFor(() => expect(manager.getState().isConnected).toBe(true));
+
+    const [first, second] = queue.add([{ prompt: 'A lighthouse' }, { prompt: 'A harbour' }]);
+    expect(queue.getJob(first).status).toBe(JOB_STATUS.RUNNING);
+    expect(queue.getJob(second).status).toBe(JOB_STATUS.QUEUED);
+
+    await vi.waitFor(() => expect(settled).toHaveLength(2));
+
+    expect(settled.map(job => job.id)).toEqual([first, second]);
+    settled.forEach((job) => {
+      expect(job.status).toBe(JOB_STATUS.DONE);
+      expect(job.result).toMatchObject({ jobId: job.id, requestId: job.id, prompt: job.params.prompt });
+      expect(progressSeen.get(job.id)).toEqual([25, 50, 75]);
+    });
+  });
+
+  it('fails the job with the scenario error', async () => {
+    current = setup();
+    const { manager, queue, settled, server } = current;
+    server.setGenerationScenario('generation-failure');
+
+    await vi.waitFor(() => expect(manager.getState().isConnected).toBe(true));
+    queue.add([{ prompt: 'A lighthouse' }]);
+
+    await vi.waitFor(() => expect(settled).toHaveLength(1));
+    expect(settled[0]).toMatchObject({ status: JOB_STATUS.FAILED, error: 'Model worker crashed' });
+  });
+
+  it('reconnects after a dropped connection and delivers the rest of the job', async () => {
+    current = setup();
+    const { manager, queue, settled, server, progressSeen } = current;
+    server.setGenerationScenario('flaky-connection');
+
+    await vi.waitFor(() => expect(manager.getState().isConnected).toBe(true));
+    const [jobId] = queue.add([{ prompt: 'A lighthouse' }]);
+
+    await vi.waitFor(() => expect(settled).toHaveLength(1));
+    expect(manager.getState().isConnected).toBe(true);
+    expect(settled[0].status).toBe(JOB_STATUS.DONE);
+    expect(progressSeen.get(jobId)).toEqual([30, 90]);
+  });
+});
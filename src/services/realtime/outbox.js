@@ -0,0 +1,265 @@
+// src/services/realtime/outbox.js - Durable outbound message queue with server acknowledgements
+
+import { createObjectStore } from '../../utils/indexedDb';
+
+const DEFAULT_TTL = 60 * 60 * 1000; // Undelivered messages expire after an hour
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+
+const backoffDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** attempts, RETRY_MAX_DELAY);
+  // Jitter so many tabs/clients do not retry in lockstep
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+/**
+ * Messages are persisted before they are sent and removed only once the
+ * server acknowledges them, so they survive reloads and disconnects.
+ * Entries are keyed by requestId; resending reuses the same id so the
+ * server can drop duplicates, and a late second ack is ignored here.
+ *
+ * `send(entry)` must resolve with the server's ack response or reject when
+ * no ack arrives in time. `canSend()` reports whether this tab may deliver
+ * right now. The store is shared by all tabs, so `onSettle` lets the
+ * delivering tab tell the others, which call `settleRemote`.
+ *
+ * Entries belong to the user signed in when they were queued
+ * (`getUserId()`) and are only delivered on that user's connection;
+ * `purgeUser` drops them when that user signs out.
+ */
+export const createOutbox = ({ send, canSend, getUserId, onSettle, ttl = DEFAULT_TTL }) => {
+  const store = createObjectStore({
+    dbName: 'changex-neurix-outbox',
+    storeName: 'messages',
+    keyPath: 'requestId'
+  });
+
+  // Callbacks cannot be persisted; after a reload the server reply only
+  // reaches the app through the regular event listeners
+  const callbacks = new Map();
+  const inflight = new Set();
+  // requestId -> settle time, kept for one TTL so late acks and resends are ignored
+  const settled = new Map();
+  let flushTimer = null;
+  let flushing = null;
+  let flushAgain = false;
+
+  const markSettled = (requestId) => {
+    settled.set(requestId, Date.now());
+    inflight.delete(requestId);
+  };
+
+  // Past one TTL no copy of the message can still be delivered
+  const pruneSettled = (now) => {
+    settled.forEach((settledAt, requestId) => {
+      if (settledAt + ttl <= now) settled.delete(requestId);
+    });
+  };
+
+  // A second caller for a pending requestId gets the same reply
+  const addCallback = (requestId, callback) => {
+    if (!callback) return;
+
+    const previous = callbacks.get(requestId);
+    callbacks.set(requestId, previous
+      ? (response) => {
+        previous(response);
+        callback(response);
+      }
+      : callback);
+  };
+
+  const settle = (requestId, response) => {
+    markSettled(requestId);
+
+    const callback = callbacks.get(requestId);
+    callbacks.delete(requestId);
+    if (callback) {
+      callback(response);
+    }
+    onSettle?.(requestId, response);
+
+    return store.delete(requestId).catch((error) => {
+      console.error('Failed to remove outbox entry:', error);
+    });
+  };
+
+  const scheduleFlush = (delay) => {
+    clearTimeout(flushTimer);
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush();
+    }, Math.max(0, delay));
+  };
+
+  const deliver = async (entry) => {
+    inflight.add(entry.requestId);
+
+    try {
+      const response = await send(entry);
+      if (!settled.has(entry.requestId)) {
+        await settle(entry.requestId, response);
+      }
+    } catch (error) {
+      inflight.delete(entry.requestId);
+      if (settled.has(entry.requestId)) return;
+
+      const attempts = entry.attempts + 1;
+      const retryEntry = {
+        ...entry,
+        attempts,
+        nextAttemptAt: Date.now() + backoffDelay(attempts),
+        lastError: error.message
+      };
+      console.warn(`Outbox delivery of ${entry.event} failed (attempt ${attempts}):`, error.message);
+
+      await store.put(retryEntry).catch(() => {});
+      scheduleFlush(retryEntry.nextAttemptAt - Date.now());
+    }
+  };
+
+  const runFlush = async () => {
+    const now = Date.now();
+    const userId = getUserId();
+    const entries = (await store.getAll()).sort((a, b) => a.createdAt - b.createdAt);
+    let nextDue = Infinity;
+
+    pruneSettled(now);
+
+    for (const entry of entries) {
+      if (settled.has(entry.requestId) || inflight.has(entry.requestId)) continue;
+
+      if (entry.expiresAt <= now) {
+        console.warn(`Outbox entry ${entry.event} expired undelivered`);
+        await settle(entry.requestId, { error: 'Message expired before delivery', expired: true });
+        continue;
+      }
+
+      // Another account's messages wait for that account (or expire)
+      if (!userId || entry.userId !== userId) continue;
+
+      if (!canSend()) {
+        nextDue = Math.min(nextDue, entry.expiresAt);
+        continue;
+      }
+
+      if (entry.nextAttemptAt > now) {
+        nextDue = Math.min(nextDue, entry.nextAttemptAt);
+        continue;
+      }
+
+      deliver(entry);
+    }
+
+    if (nextDue !== Infinity) {
+      scheduleFlush(nextDue - Date.now());
+    }
+  };
+
+  // Send everything that is due; a call made mid-pass queues one more pass
+  const flush = () => {
+    if (flushing) {
+      flushAgain = true;
+      return flushing;
+    }
+
+    flushing = runFlush()
+      .catch((error) => console.error('Outbox flush failed:', error))
+      .finally(() => {
+        flushing = null;
+        if (flushAgain) {
+          flushAgain = false;
+          flush();
+        }
+      });
+    return flushing;
+  };
+
+  const enqueue = async (event, data, callback, options = {}) => {
+    const requestId = data?.requestId || crypto.randomUUID();
+
+    // The same requestId is only ever queued once
+    if (settled.has(requestId)) {
+      return requestId;
+    }
+    const pending = inflight.has(requestId) || callbacks.has(requestId)
+      || Boolean(await store.get(requestId).catch(() => null));
+    if (pending) {
+      addCallback(requestId, callback);
+      return requestId;
+    }
+
+    const now = Date.now();
+    const entry = {
+      requestId,
+      userId: getUserId() ?? null,
+      event,
+      payload: { ...data, timestamp: now, requestId },
+      createdAt: now,
+      expiresAt: now + (options.ttl ?? ttl),
+      attempts: 0,
+      nextAttemptAt: now
+    };
+
+    addCallback(requestId, callback);
+
+    try {
+      await store.put(entry);
+    } catch (error) {
+      // Payloads that cannot be cloned into IndexedDB are still sent once
+      console.error('Failed to persist outbox entry:', error);
+      deliver(entry);
+      return requestId;
+    }
+
+    flush();
+    return requestId;
+  };
+
+  // Another tab delivered (or expired) one of our messages
+  const settleRemote = (requestId, response) => {
+    if (settled.has(requestId)) return;
+
+    markSettled(requestId);
+
+    const callback = callbacks.get(requestId);
+    callbacks.delete(requestId);
+    if (callback) {
+      callback(response);
+    }
+  };
+
+  // Drops a message the caller no longer wants; its callback is not invoked
+  const cancel = async (requestId) => {
+    if (settled.has(requestId)) return;
+
+    markSettled(requestId);
+    callbacks.delete(requestId);
+    await store.delete(requestId).catch(() => {});
+  };
+
+  // Drops everything `userId` queued, e.g. on sign-out or an account switch,
+  // so it is never sent on someone else's connection
+  const purgeUser = async (userId) => {
+    const entries = await store.getAll().catch(() => []);
+    await Promise.all(entries
+      .filter(entry => entry.userId === userId && !settled.has(entry.requestId))
+      .map(entry => settle(entry.requestId, { error: 'Signed out before delivery', expired: true })));
+  };
+
+  const stop = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  };
+
+  return {
+    enqueue,
+    cancel,
+    settleRemote,
+    purgeUser,
+    isSettled: (requestId) => settled.has(requestId),
+    flush,
+    stop,
+    size: async () => (await store.getAll()).length
+  };
+};
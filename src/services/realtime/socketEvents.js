@@ -0,0 +1,77 @@
+// src/services/realtime/socketEvents.js - Socket event names shared by the realtime layer
+
+export const SOCKET_EVENTS = {
+  // Connection events
+  CONNECT: 'connect',
+  DISCONNECT: 'disconnect',
+  CONNECT_ERROR: 'connect_error',
+  RECONNECT: 'reconnect',
+  RECONNECT_ATTEMPT: 'reconnect_attempt',
+  RECONNECT_ERROR: 'reconnect_error',
+  RECONNECT_FAILED: 'reconnect_failed',
+  PING: 'ping',
+  PONG: 'pong',
+  SESSION_RESUMED: 'session_resumed',
+  
+  // Image Generation
+  IMAGE_GENERATED: 'image_generated',
+  GENERATION_PROGRESS: 'generation_progress',
+  GENERATION_ERROR: 'generation_error',
+  GENERATION_CANCELLED: 'generation_cancelled',
+  CANCEL_GENERATION: 'cancel_generation',
+  
+  // Image Enhancement (progress arrives as GENERATION_PROGRESS)
+  ENHANCE_IMAGE: 'enhance_image',
+  ENHANCE_STEP_COMPLETED: 'enhance_step_completed',
+  
+  // Image Editing (inpainting/outpainting; results arrive as IMAGE_GENERATED)
+  EDIT_IMAGE: 'edit_image',
+  
+  // Generation presets synced to the account
+  GET_PRESETS: 'get_presets',
+  SAVE_PRESETS: 'save_presets',
+  PRESETS_UPDATED: 'presets_updated',
+  
+  // Prompt moderation rule sets (saving is admin only)
+  GET_MODERATION_RULES: 'get_moderation_rules',
+  SAVE_MODERATION_RULES: 'save_moderation_rules',
+  MODERATION_RULES_UPDATED: 'moderation_rules_updated',
+  
+  // Subscription tier limits (per-account changes arrive as USER_UPDATED)
+  GET_ENTITLEMENTS: 'get_entitlements',
+  
+  // Video Generation
+  VIDEO_GENERATED: 'video_generated',
+  VIDEO_PROGRESS: 'video_progress',
+  VIDEO_ERROR: 'video_error',
+  
+  // Audio Processing
+  AUDIO_GENERATED: 'audio_generated',
+  AUDIO_PROCESSED: 'audio_processed',
+  AUDIO_ERROR: 'audio_error',
+  
+  // IoT
+  IOT_MESSAGE: 'iot_message',
+  IOT_RESPONSE: 'iot_response',
+  IOT_ERROR: 'iot_error',
+  IOT_STATUS_UPDATE: 'iot_status_update',
+  
+  // Self-Learning
+  TRAINING_PROGRESS: 'training_progress',
+  LEARNING_SESSION_COMPLETED: 'learning_session_completed',
+  LEARNING_ERROR: 'learning_error',
+  
+  // General
+  NOTIFICATION: 'notification',
+  USER_UPDATED: 'user_updated',
+  SYSTEM_ALERT: 'system_alert',
+  SERVER_MESSAGE: 'server_message',
+  
+  // Client-internal: leader tab shares its measured connection quality
+  CONNECTION_QUALITY: 'connection_quality',
+
+  // Custom events for frontend compatibility
+  IMAGE_GENERATION_PROGRESS: 'image_generation_progress',
+  VIDEO_GENERATION_PROGRESS: 'video_generation_progress',
+  AUDIO_PROCESSING_PROGRESS: 'audio_processing_progress'
+};
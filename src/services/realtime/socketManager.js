@@ -0,0 +1,676 @@
+// src/services/realtime/socketManager.js - One shared, ref-counted socket connection per tab
+
+import { io } from 'socket.io-client';
+import { SOCKET_EVENTS } from './socketEvents';
+import { createOutbox } from './outbox';
+import { checkEventPayload } from './eventContract';
+import { createEventCursor } from './eventCursor';
+import {
+  PONG_TIMEOUT,
+  createQualityTracker,
+  initialConnectionQuality
+} from './connectionQuality';
+import {
+  RealtimeDuplicateRequestError,
+  RealtimeTimeoutError,
+  createAbortError,
+  isAuthExpiryError,
+  isErrorResponse,
+  toRealtimeError
+} from './errors';
+
+// Reconnection events are emitted by the socket.io Manager, not by the socket itself
+const MANAGER_EVENTS = new Set([
+  SOCKET_EVENTS.RECONNECT,
+  SOCKET_EVENTS.RECONNECT_ATTEMPT,
+  SOCKET_EVENTS.RECONNECT_ERROR,
+  SOCKET_EVENTS.RECONNECT_FAILED
+]);
+
+// Events the manager always listens to in order to keep its own state current
+const LIFECYCLE_EVENTS = new Set([
+  SOCKET_EVENTS.CONNECT,
+  SOCKET_EVENTS.DISCONNECT,
+  SOCKET_EVENTS.CONNECT_ERROR,
+  SOCKET_EVENTS.PONG,
+  SOCKET_EVENTS.SESSION_RESUMED,
+  SOCKET_EVENTS.CONNECTION_QUALITY,
+  ...MANAGER_EVENTS
+]);
+
+const PING_INTERVAL = 30000;
+const HEALTH_CHECK_INTERVAL = PONG_TIMEOUT;
+// Pings lost back to back before the connection is considered dead
+const MAX_CONSECUTIVE_LOSSES = 2;
+const SERVER_DISCONNECT_RETRY_DELAY = 5000;
+const ACK_TIMEOUT = 15000;
+const REQUEST_TIMEOUT = 30000;
+
+// Keeps the socket open briefly after the last consumer unmounts, so route
+// transitions that remount a page do not tear down and rebuild the connection
+const IDLE_DISCONNECT_DELAY = 2000;
+
+const initialState = {
+  isConnected: false,
+  isConnecting: false,
+  reconnectAttempts: 0,
+  connectionError: null,
+  connectionQuality: initialConnectionQuality
+};
+
+/**
+ * `transport(url, options)` builds the socket; it defaults to socket.io and
+ * is swapped for a cross-tab relay when another tab holds the connection.
+ * Only the 'leader' role delivers the shared outbox.
+ */
+export const createSocketManager = ({
+  url,
+  options = {},
+  transport = io,
+  role: initialRole = 'leader',
+  onContractViolation
+}) => {
+  let createTransport = transport;
+  let role = initialRole;
+  let socket = null;
+  let auth = null;
+  let cursor = null;
+  let refCount = 0;
+  let state = initialState;
+  // Kept out of the published state: it changes on every inbound event
+  let lastActivity = null;
+
+  let pingInterval = null;
+  let healthInterval = null;
+  let reconnectTimeout = null;
+  let idleTimeout = null;
+
+  // { refresh, onFailure } supplied by the auth-aware provider
+  let authHandlers = {};
+  let refreshing = null;
+  let refreshedSinceConnect = false;
+
+  // event -> Set of handlers registered by consumers
+  const listeners = new Map();
+  // event -> single dispatcher bound on the socket for that event
+  const dispatchers = new Map();
+  const stateListeners = new Set();
+  const qualityTracker = createQualityTracker();
+  const anyListeners = new Set();
+  const settleListeners = new Set();
+  const trafficListeners = new Set();
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    stateListeners.forEach(listener => listener());
+  };
+
+  const dispatch = (event, args) => {
+    const handlers = listeners.get(event);
+    if (!handlers) return;
+
+    [...handlers].forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`WebSocket listener for ${event} failed:`, error);
+      }
+    });
+  };
+
+  const emitterFor = (event) => (MANAGER_EVENTS.has(event) ? socket.io : socket);
+
+  const bindDispatcher = (event) => {
+    if (!socket || dispatchers.has(event) || LIFECYCLE_EVENTS.has(event)) return;
+
+    const dispatcher = (...args) => {
+      lastActivity = Date.now();
+
+      // Replayed events we already delivered before the disconnect are dropped
+      if (cursor && !cursor.accept(args[0])) return;
+
+      checkEventPayload(event, args[0], 'inbound', onContractViolation);
+      dispatch(event, args);
+    };
+    dispatchers.set(event, dispatcher);
+    emitterFor(event).on(event, dispatcher);
+  };
+
+  const unbindDispatcher = (event) => {
+    const dispatcher = dispatchers.get(event);
+    if (!dispatcher) return;
+
+    if (socket) {
+      emitterFor(event).off(event, dispatcher);
+    }
+    dispatchers.delete(event);
+  };
+
+  const clearTimers = () => {
+    clearInterval(pingInterval);
+    clearInterval(healthInterval);
+    clearTimeout(reconnectTimeout);
+    pingInterval = null;
+    healthInterval = null;
+    reconnectTimeout = null;
+  };
+
+  // Consumers re-render on every publish, so a pong or health check that
+  // leaves every figure as it was publishes nothing. Pings go out every
+  // PING_INTERVAL, which bounds how often the figures can change
+  const updateQuality = () => {
+    const next = qualityTracker.snapshot();
+    const current = state.connectionQuality;
+    if (Object.keys(next).some(key => next[key] !== current[key])) {
+      setState({ connectionQuality: next });
+    }
+  };
+
+  // Feeds devtools; costs nothing while no one is listening
+  const recordTraffic = (direction, event, payload) => {
+    if (trafficListeners.size === 0) return;
+
+    const entry = { id: crypto.randomUUID(), direction, event, payload, timestamp: Date.now() };
+    trafficListeners.forEach(listener => listener(entry));
+  };
+
+  const sendPing = () => {
+    if (socket?.connected) {
+      const payload = qualityTracker.ping();
+      recordTraffic('outbound', SOCKET_EVENTS.PING, payload);
+      socket.emit(SOCKET_EVENTS.PING, payload);
+    }
+  };
+
+  // Only the tab that owns the socket measures it; followers receive its figures
+  const startTimers = () => {
+    clearInterval(pingInterval);
+    clearInterval(healthInterval);
+    if (role !== 'leader') return;
+
+    qualityTracker.reset();
+    sendPing();
+    pingInterval = setInterval(sendPing, PING_INTERVAL);
+
+    healthInterval = setInterval(() => {
+      if (!state.isConnected) return;
+
+      qualityTracker.expire();
+      updateQuality();
+
+      if (qualityTracker.snapshot().consecutiveLosses >= MAX_CONSECUTIVE_LOSSES) {
+        console.log(`${MAX_CONSECUTIVE_LOSSES} pings went unanswered, reconnecting...`);
+        reconnect();
+      }
+    }, HEALTH_CHECK_INTERVAL);
+  };
+
+  // Sends one outbox entry and resolves with the server's ack
+  const sendEntry = ({ event, payload }) => new Promise((resolve, reject) => {
+    if (!socket?.connected) {
+      reject(new Error('Socket not connected'));
+      return;
+    }
+
+    socket.timeout(ACK_TIMEOUT).emit(event, payload, (error, response) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      lastActivity = Date.now();
+      resolve(response);
+    });
+  });
+
+  const outbox = createOutbox({
+    send: sendEntry,
+    canSend: () => role === 'leader' && Boolean(socket?.connected),
+    getUserId: () => auth?.userId,
+    onSettle: (requestId, response) => {
+      settleListeners.forEach(listener => listener(requestId, response));
+    }
+  });
+
+  // Raw view of every inbound event, used to relay traffic to other tabs
+  const dispatchAny = (event, ...args) => {
+    recordTraffic('inbound', event, args[0]);
+
+    anyListeners.forEach(listener => {
+      try {
+        listener(event, ...args);
+      } catch (error) {
+        console.error('WebSocket catch-all listener failed:', error);
+      }
+    });
+  };
+
+  const attachLifecycle = (target) => {
+    target.on(SOCKET_EVENTS.CONNECT, () => {
+      console.log('WebSocket connected successfully');
+      setState({
+        isConnected: true,
+        isConnecting: false,
+        reconnectAttempts: 0,
+        connectionError: null
+      });
+      lastActivity = Date.now();
+      refreshedSinceConnect = false;
+      startTimers();
+      dispatch(SOCKET_EVENTS.CONNECT, []);
+      outbox.flush();
+    });
+
+    target.on(SOCKET_EVENTS.DISCONNECT, (reason) => {
+      console.log('WebSocket disconnected:', reason);
+      setState({
+        isConnected: false,
+        isConnecting: false,
+        connectionQuality: initialConnectionQuality
+      });
+      lastActivity = null;
+      clearInterval(pingInterval);
+      clearInterval(healthInterval);
+      dispatch(SOCKET_EVENTS.DISCONNECT, [reason]);
+
+      if (reason === 'io server disconnect') {
+        // The server closed the connection, socket.io will not retry on its own
+        reconnectTimeout = setTimeout(connect, SERVER_DISCONNECT_RETRY_DELAY);
+      }
+    });
+
+    target.on(SOCKET_EVENTS.CONNECT_ERROR, (error) => {
+      console.error('WebSocket connection error:', error);
+
+      if (isAuthExpiryError(error)) {
+        setState({ isConnecting: false, connectionError: error.message });
+        refreshAuth(error);
+        return;
+      }
+
+      setState({
+        isConnecting: false,
+        connectionError: error.message,
+        reconnectAttempts: state.reconnectAttempts + 1
+      });
+      dispatch(SOCKET_EVENTS.CONNECT_ERROR, [error, state.reconnectAttempts]);
+    });
+
+    target.on(SOCKET_EVENTS.PONG, (...args) => {
+      if (role === 'leader') {
+        qualityTracker.pong(args[0]);
+        lastActivity = Date.now();
+        updateQuality();
+      }
+      dispatch(SOCKET_EVENTS.PONG, args);
+    });
+
+    target.on(SOCKET_EVENTS.CONNECTION_QUALITY, (connectionQuality) => {
+      if (role === 'follower') {
+        setState({ connectionQuality });
+      }
+    });
+
+    // Sent after every handshake; says how many missed events follow, or
+    // that the cursor was too old to replay from and a new stream begins
+    target.on(SOCKET_EVENTS.SESSION_RESUMED, (info = {}) => {
+      if (info.reset) {
+        console.log('WebSocket session could not be resumed, starting a new event stream');
+        cursor?.reset(info.seq ?? null);
+      } else if (info.replayed > 0) {
+        console.log(`Replaying ${info.replayed} missed events`);
+      }
+      dispatch(SOCKET_EVENTS.SESSION_RESUMED, [info]);
+    });
+
+    target.io.on(SOCKET_EVENTS.RECONNECT, (attemptNumber) => {
+      console.log(`Reconnected after ${attemptNumber} attempts`);
+      setState({ isConnected: true, reconnectAttempts: 0, connectionError: null });
+      dispatch(SOCKET_EVENTS.RECONNECT, [attemptNumber]);
+    });
+
+    target.io.on(SOCKET_EVENTS.RECONNECT_ATTEMPT, (attemptNumber) => {
+      console.log(`Reconnection attempt: ${attemptNumber}`);
+      setState({ reconnectAttempts: attemptNumber });
+      dispatch(SOCKET_EVENTS.RECONNECT_ATTEMPT, [attemptNumber]);
+    });
+
+    target.io.on(SOCKET_EVENTS.RECONNECT_ERROR, (error) => {
+      dispatch(SOCKET_EVENTS.RECONNECT_ERROR, [error]);
+    });
+
+    target.io.on(SOCKET_EVENTS.RECONNECT_FAILED, () => {
+      console.error('Reconnection failed');
+      dispatch(SOCKET_EVENTS.RECONNECT_FAILED, []);
+    });
+  };
+
+  // Connect to WebSocket
+  const connect = () => {
+    if (!auth) {
+      console.log('No user or token, skipping WebSocket connection');
+      return;
+    }
+
+    if (socket?.connected) {
+      console.log('Socket already connected');
+      return;
+    }
+
+    if (state.isConnecting) {
+      console.log('Already connecting...');
+      return;
+    }
+
+    setState({ isConnecting: true, connectionError: null });
+
+    try {
+      teardownSocket();
+
+      // Evaluated on every handshake, including socket.io's own reconnects,
+      // so the server always receives the latest resume cursor
+      socket = createTransport(url, {
+        ...options,
+        autoConnect: false,
+        auth: (callback) => callback({ ...auth, ...cursor?.getResumeInfo() })
+      });
+
+      attachLifecycle(socket);
+      socket.onAny(dispatchAny);
+      listeners.forEach((handlers, event) => bindDispatcher(event));
+
+      socket.connect();
+    } catch (error) {
+      console.error('Failed to connect to WebSocket:', error);
+      setState({ isConnecting: false, connectionError: error.message });
+      dispatch(SOCKET_EVENTS.CONNECT_ERROR, [error, state.reconnectAttempts]);
+    }
+  };
+
+  const teardownSocket = () => {
+    if (!socket) return;
+
+    dispatchers.clear();
+    socket.removeAllListeners();
+    socket.io.removeAllListeners();
+    socket.disconnect();
+    socket = null;
+  };
+
+  // Disconnect WebSocket
+  const disconnect = () => {
+    clearTimers();
+    outbox.stop();
+    teardownSocket();
+    setState({
+      isConnected: false,
+      isConnecting: false,
+      connectionError: null,
+      connectionQuality: initialConnectionQuality
+    });
+    lastActivity = null;
+    console.log('WebSocket disconnected');
+  };
+
+  const reconnect = () => {
+    disconnect();
+    connect();
+  };
+
+  // Credentials come from the auth layer; a change forces a fresh handshake
+  const setAuth = (nextAuth) => {
+    const changed = JSON.stringify(nextAuth) !== JSON.stringify(auth);
+    if (nextAuth?.userId !== auth?.userId) {
+      cursor = nextAuth ? createEventCursor({ storageKey: `changex-neurix-event-cursor:${nextAuth.userId}` }) : null;
+
+      // Signed out or switched account: the previous user's queued messages must not follow
+      if (auth?.userId) {
+        outbox.purgeUser(auth.userId).catch((error) => {
+          console.error('Failed to clear the outbox on sign-out:', error);
+        });
+      }
+    }
+    auth = nextAuth;
+
+    if (!auth) {
+      disconnect();
+      return;
+    }
+
+    if (changed && refCount > 0) {
+      reconnect();
+    }
+  };
+
+  const setAuthHandlers = (handlers) => {
+    authHandlers = handlers || {};
+  };
+
+  /**
+   * Refreshes expired credentials once per successful connection, then
+   * reconnects; the outbox replays queued emits on the new connection.
+   * A failed refresh (or a second expiry straight after one) is final.
+   */
+  const refreshAuth = (error) => {
+    if (refreshing) return refreshing;
+
+    const fail = (reason) => {
+      console.error('WebSocket authentication failed:', reason);
+      disconnect();
+      authHandlers.onFailure?.(reason);
+    };
+
+    if (!authHandlers.refresh || refreshedSinceConnect) {
+      fail(error);
+      return Promise.resolve();
+    }
+
+    console.log('WebSocket token expired, refreshing...');
+    refreshing = (async () => {
+      try {
+        const expiredToken = auth?.token;
+        const credentials = await authHandlers.refresh();
+        if (!credentials?.token) {
+          throw new Error('Token refresh returned no token');
+        }
+
+        refreshedSinceConnect = true;
+        // setAuth may have delivered the new session already and reconnected
+        if (auth?.token !== expiredToken) return;
+        auth = {
+          ...auth,
+          ...Object.fromEntries(Object.entries(credentials).filter(([, value]) => value !== undefined))
+        };
+        reconnect();
+      } catch (refreshError) {
+        fail(refreshError);
+      } finally {
+        refreshing = null;
+      }
+    })();
+
+    return refreshing;
+  };
+
+  // Each mounted consumer holds one reference; the socket lives while any are held
+  const retain = () => {
+    refCount += 1;
+    clearTimeout(idleTimeout);
+    idleTimeout = null;
+
+    if (refCount === 1 && !socket) {
+      connect();
+    }
+  };
+
+  const release = () => {
+    refCount = Math.max(0, refCount - 1);
+    if (refCount > 0) return;
+
+    clearTimeout(idleTimeout);
+    idleTimeout = setTimeout(() => {
+      idleTimeout = null;
+      if (refCount === 0) {
+        disconnect();
+      }
+    }, IDLE_DISCONNECT_DELAY);
+  };
+
+  // Emit event; delivery goes through the durable outbox and the callback
+  // fires once, with the server's ack or with an expiry error
+  const emit = (event, data, callback, options) => {
+    checkEventPayload(event, data, 'outbound', onContractViolation);
+    recordTraffic('outbound', event, data);
+
+    if (!socket?.connected && !state.isConnecting && refCount > 0) {
+      // Try to reconnect
+      connect();
+    }
+
+    const queued = outbox.enqueue(event, data, callback, options);
+    if (role === 'follower') {
+      // The leader tab delivers the shared outbox
+      queued.then(() => socket?.requestFlush?.());
+    }
+    return queued;
+  };
+
+  // Switches between a direct connection and the cross-tab relay
+  const setTransport = (nextTransport, nextRole) => {
+    createTransport = nextTransport;
+    role = nextRole;
+
+    if (socket || refCount > 0) {
+      reconnect();
+    }
+  };
+
+  const onTraffic = (listener) => {
+    trafficListeners.add(listener);
+    return () => trafficListeners.delete(listener);
+  };
+
+  // Delivers a recorded event to this tab's listeners as if the server sent it
+  const injectEvent = (event, ...args) => {
+    checkEventPayload(event, args[0], 'inbound', onContractViolation);
+    dispatch(event, args);
+  };
+
+  const onAny = (listener) => {
+    anyListeners.add(listener);
+    return () => anyListeners.delete(listener);
+  };
+
+  const onOutboxSettled = (listener) => {
+    settleListeners.add(listener);
+    return () => settleListeners.delete(listener);
+  };
+
+  /**
+   * Request/response on top of emit. Resolves with the server's ack payload
+   * and rejects with a RealtimeError subclass, a RealtimeTimeoutError once
+   * `timeout` ms pass (queued time included), or an AbortError from `signal`.
+   * Reusing a requestId that was already answered rejects straight away.
+   */
+  const request = (event, data, { timeout = REQUEST_TIMEOUT, signal } = {}) => (
+    new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError(signal));
+        return;
+      }
+
+      const requestId = data?.requestId || crypto.randomUUID();
+      if (outbox.isSettled(requestId)) {
+        reject(new RealtimeDuplicateRequestError(`${event} ${requestId} was already answered`, { event, requestId }));
+        return;
+      }
+
+      let timer = null;
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', handleAbort);
+      };
+
+      const handleAbort = () => {
+        cleanup();
+        outbox.cancel(requestId);
+        reject(createAbortError(signal));
+      };
+
+      timer = setTimeout(() => {
+        cleanup();
+        outbox.cancel(requestId);
+        reject(new RealtimeTimeoutError(`${event} timed out after ${timeout}ms`, { event, requestId }));
+      }, timeout);
+
+      signal?.addEventListener('abort', handleAbort, { once: true });
+
+      emit(event, { ...data, requestId }, (response) => {
+        cleanup();
+
+        if (response?.expired) {
+          reject(new RealtimeTimeoutError(`${event} expired before delivery`, { event, requestId }));
+        } else if (isErrorResponse(response)) {
+          reject(toRealtimeError(response, { event, requestId }));
+        } else {
+          resolve(response);
+        }
+      }, { ttl: timeout });
+    })
+  );
+
+  // Add event listener, returns an unsubscribe function
+  const on = (event, handler) => {
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(handler);
+    bindDispatcher(event);
+
+    return () => off(event, handler);
+  };
+
+  // Remove event listener; the socket binding goes with the last handler
+  const off = (event, handler) => {
+    const handlers = listeners.get(event);
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      listeners.delete(event);
+      unbindDispatcher(event);
+    }
+  };
+
+  const subscribe = (listener) => {
+    stateListeners.add(listener);
+    return () => stateListeners.delete(listener);
+  };
+
+  return {
+    connect,
+    disconnect,
+    reconnect,
+    setAuth,
+    setAuthHandlers,
+    retain,
+    release,
+    emit,
+    request,
+    on,
+    off,
+    onAny,
+    onTraffic,
+    injectEvent,
+    onOutboxSettled,
+    settleRemote: outbox.settleRemote,
+    flushOutbox: outbox.flush,
+    setTransport,
+    getRole: () => role,
+    subscribe,
+    getState: () => state,
+    getLastActivity: () => lastActivity,
+    getSocket: () => socket,
+    getRefCount: () => refCount
+  };
+};
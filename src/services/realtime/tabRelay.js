@@ -0,0 +1,167 @@
+// src/services/realtime/tabRelay.js - Shares the leader tab's connection with follower tabs
+
+import { SOCKET_EVENTS } from './socketEvents';
+import { createEmitter } from './emitter';
+
+const RELAY_CHANNEL = 'changex-neurix-realtime-relay';
+
+/**
+ * Runs in the leader tab: forwards every inbound event and the connection
+ * status to followers, tells them when shared-outbox messages settle, and
+ * flushes the outbox when a follower queues something.
+ */
+export const createRelayHost = (manager) => {
+  if (typeof BroadcastChannel === 'undefined') {
+    return { stop: () => {} };
+  }
+
+  const channel = new BroadcastChannel(RELAY_CHANNEL);
+
+  const post = (message) => {
+    try {
+      channel.postMessage(message);
+    } catch (error) {
+      console.error(`Failed to relay ${message.event || message.type} to other tabs:`, error);
+    }
+  };
+
+  const postStatus = (reason) => {
+    const { isConnected, connectionQuality } = manager.getState();
+    post({ type: 'status', connected: isConnected, reason });
+    post({ type: 'event', event: SOCKET_EVENTS.CONNECTION_QUALITY, args: [connectionQuality] });
+  };
+
+  let lastQuality = manager.getState().connectionQuality;
+  const postQuality = () => {
+    const { connectionQuality } = manager.getState();
+    if (connectionQuality === lastQuality) return;
+
+    lastQuality = connectionQuality;
+    post({ type: 'event', event: SOCKET_EVENTS.CONNECTION_QUALITY, args: [connectionQuality] });
+  };
+
+  const unsubscribers = [
+    manager.onAny((event, ...args) => post({ type: 'event', event, args })),
+    manager.on(SOCKET_EVENTS.CONNECT, () => postStatus()),
+    manager.on(SOCKET_EVENTS.DISCONNECT, (reason) => postStatus(reason)),
+    manager.onOutboxSettled((requestId, response) => post({ type: 'settled', requestId, response })),
+    manager.subscribe(postQuality)
+  ];
+
+  channel.onmessage = ({ data }) => {
+    if (data?.type === 'hello') {
+      postStatus();
+    } else if (data?.type === 'flush') {
+      manager.flushOutbox();
+    }
+  };
+
+  postStatus();
+
+  return {
+    stop: () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      post({ type: 'status', connected: false, reason: 'transport close' });
+      channel.close();
+    }
+  };
+};
+
+/**
+ * Runs in follower tabs as a drop-in for the socket.io client: it reports
+ * the leader's connection status as its own and re-emits relayed events.
+ * It never sends messages itself; emits go to the shared outbox and the
+ * leader delivers them.
+ */
+export const createRelaySocket = ({ onSettled }) => {
+  const emitter = createEmitter();
+  const anyHandlers = new Set();
+  let channel = null;
+
+  const setConnected = (connected, reason) => {
+    if (connected === socket.connected) return;
+
+    socket.connected = connected;
+    if (connected) {
+      emitter.emit(SOCKET_EVENTS.CONNECT);
+    } else {
+      emitter.emit(SOCKET_EVENTS.DISCONNECT, reason || 'transport close');
+    }
+  };
+
+  const handleMessage = ({ data }) => {
+    switch (data?.type) {
+      case 'status':
+        setConnected(data.connected, data.reason);
+        break;
+
+      case 'event':
+        emitter.emit(data.event, ...data.args);
+        anyHandlers.forEach(handler => handler(data.event, ...data.args));
+        break;
+
+      case 'settled':
+        onSettled?.(data.requestId, data.response);
+        break;
+
+      default:
+        break;
+    }
+  };
+
+  const socket = {
+    connected: false,
+    io: createEmitter(),
+
+    on: (event, handler) => {
+      emitter.on(event, handler);
+      return socket;
+    },
+    off: (event, handler) => {
+      emitter.off(event, handler);
+      return socket;
+    },
+    removeAllListeners: (event) => {
+      emitter.removeAllListeners(event);
+      if (event === undefined) {
+        anyHandlers.clear();
+      }
+      return socket;
+    },
+    onAny: (handler) => {
+      anyHandlers.add(handler);
+      return socket;
+    },
+    offAny: (handler) => {
+      anyHandlers.delete(handler);
+      return socket;
+    },
+
+    connect: () => {
+      if (channel) return socket;
+
+      channel = new BroadcastChannel(RELAY_CHANNEL);
+      channel.onmessage = handleMessage;
+      channel.postMessage({ type: 'hello' });
+      return socket;
+    },
+    disconnect: () => {
+      setConnected(false, 'io client disconnect');
+      channel?.close();
+      channel = null;
+      return socket;
+    },
+
+    // Pings and other fire-and-forget traffic stay with the leader
+    emit: () => socket,
+    timeout: () => ({
+      emit: (event, payload, ack) => ack?.(new Error('Follower tabs do not deliver messages'))
+    }),
+
+    requestFlush: () => {
+      channel?.postMessage({ type: 'flush' });
+    }
+  };
+
+  return socket;
+};
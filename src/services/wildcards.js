@@ -0,0 +1,57 @@
+// src/services/wildcards.js - User-managed wildcard lists for prompt templates
+
+import { createObjectStore } from '../utils/indexedDb';
+import { parseWildcardFile } from '../utils/promptTemplate';
+
+const WILDCARD_NAME_PATTERN = /^[\w-]+$/;
+
+const store = createObjectStore({
+  dbName: 'changex-neurix-wildcards',
+  storeName: 'files',
+  keyPath: 'id'
+});
+
+const recordId = (userId, name) => `${userId}:${name}`;
+
+export const listWildcards = async (userId) => {
+  const records = await store.getAll();
+  return records
+    .filter(record => record.userId === userId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Wildcards keyed by name, the shape expandTemplate expects
+export const getWildcardValues = async (userId) => {
+  const records = await listWildcards(userId);
+  return Object.fromEntries(records.map(record => [record.name, record.values]));
+};
+
+export const saveWildcard = async (userId, { name, text }) => {
+  const trimmed = name.trim();
+  if (!WILDCARD_NAME_PATTERN.test(trimmed)) {
+    throw new Error('Wildcard names may only contain letters, numbers, dashes and underscores');
+  }
+
+  const values = parseWildcardFile(text);
+  if (values.length === 0) {
+    throw new Error(`Wildcard "${trimmed}" has no values`);
+  }
+
+  const record = {
+    id: recordId(userId, trimmed),
+    userId,
+    name: trimmed,
+    values,
+    updatedAt: Date.now()
+  };
+  await store.put(record);
+  return record;
+};
+
+// Imports a plain text file; the file name (without extension) becomes the wildcard name
+export const importWildcardFile = async (userId, file) => {
+  const name = file.name.replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_');
+  return saveWildcard(userId, { name, text: await file.text() });
+};
+
+export const deleteWildcard = (userId, name) => store.delete(recordId(userId, name));
@@ -0,0 +1,53 @@
+// src/utils/imageLineage.js - Parent/child trees for image variations
+
+/**
+ * Groups images into trees by `parentImageId`. Images whose parent is not
+ * in the list become roots, so a partial history page still renders.
+ * Returns `[{ image, children: [...] }]` with newest roots first.
+ */
+export const buildLineageTree = (images) => {
+  const nodes = new Map();
+  images.forEach((image) => {
+    if (image?.id && !nodes.has(image.id)) {
+      nodes.set(image.id, { image, children: [] });
+    }
+  });
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const { id, parentImageId } = node.image;
+    const parent = parentImageId && parentImageId !== id ? nodes.get(parentImageId) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const byNewest = (a, b) => new Date(b.image.createdAt || 0) - new Date(a.image.createdAt || 0);
+  const sortTree = (list) => {
+    list.sort(byNewest);
+    list.forEach(node => sortTree(node.children));
+    return list;
+  };
+
+  return sortTree(roots);
+};
+
+// Ancestors of an image from the root down, excluding the image itself
+export const getLineagePath = (images, imageId) => {
+  const byId = new Map(images.map(image => [image.id, image]));
+  const path = [];
+  const visited = new Set([imageId]);
+  let current = byId.get(imageId);
+
+  while (current?.parentImageId && !visited.has(current.parentImageId)) {
+    visited.add(current.parentImageId);
+    current = byId.get(current.parentImageId);
+    if (!current) break;
+    path.unshift(current);
+  }
+
+  return path;
+};
+
+export const countDescendants = (node) => node.children.reduce(
+  (total, child) => total + 1 + countDescendants(child),
+  0
+);
@@ -0,0 +1,81 @@
+// src/utils/indexedDb.js - Minimal promise wrapper around IndexedDB object stores
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = (dbName, storeName, keyPath) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(dbName, 1);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(storeName)) {
+      db.createObjectStore(storeName, { keyPath });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error(`IndexedDB ${dbName} is blocked by another tab`));
+});
+
+// In-memory stand-in used when IndexedDB is unavailable (private mode, SSR, old browsers)
+const createMemoryStore = (keyPath) => {
+  const records = new Map();
+
+  return {
+    persistent: false,
+    get: async (key) => records.get(key),
+    getAll: async () => [...records.values()],
+    put: async (value) => {
+      records.set(value[keyPath], value);
+      return value[keyPath];
+    },
+    delete: async (key) => {
+      records.delete(key);
+    },
+    clear: async () => {
+      records.clear();
+    }
+  };
+};
+
+/**
+ * Returns a small async key-value API over one object store.
+ * Falls back to memory when IndexedDB cannot be opened.
+ */
+export const createObjectStore = ({ dbName, storeName, keyPath = 'id' }) => {
+  if (typeof indexedDB === 'undefined') {
+    return createMemoryStore(keyPath);
+  }
+
+  const fallback = createMemoryStore(keyPath);
+  let dbPromise = null;
+
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, storeName, keyPath).catch((error) => {
+        console.warn(`IndexedDB unavailable for ${dbName}, using memory store:`, error);
+        return null;
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, operation, fallbackOperation) => {
+    const db = await getDb();
+    if (!db) return fallbackOperation(fallback);
+
+    const transaction = db.transaction(storeName, mode);
+    return requestToPromise(operation(transaction.objectStore(storeName)));
+  };
+
+  return {
+    persistent: true,
+    get: (key) => run('readonly', store => store.get(key), store => store.get(key)),
+    getAll: () => run('readonly', store => store.getAll(), store => store.getAll()),
+    put: (value) => run('readwrite', store => store.put(value), store => store.put(value)),
+    delete: (key) => run('readwrite', store => store.delete(key), store => store.delete(key)),
+    clear: () => run('readwrite', store => store.clear(), store => store.clear())
+  };
+};
@@ -0,0 +1,123 @@
+// src/utils/maskCanvas.js - Off-screen mask layers for the inpainting editor
+
+export const createMaskLayer = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// Tinted copy of each layer for the overlay, rebuilt only after the layer
+// or its colour changes rather than on every redraw
+const tintCache = new WeakMap();
+
+const markChanged = (layer) => {
+  const cached = tintCache.get(layer);
+  if (cached) cached.stale = true;
+};
+
+/**
+ * Paints (or erases) a round-capped segment. Masks are white on transparent;
+ * only alpha matters when they are exported.
+ */
+export const drawStroke = (layer, from, to, size, erase = false) => {
+  const context = layer.getContext('2d');
+  context.save();
+  context.globalCompositeOperation = erase ? 'destination-out' : 'source-over';
+  context.strokeStyle = '#ffffff';
+  context.fillStyle = '#ffffff';
+  context.lineWidth = size;
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+
+  if (from.x === to.x && from.y === to.y) {
+    context.beginPath();
+    context.arc(to.x, to.y, size / 2, 0, Math.PI * 2);
+    context.fill();
+  } else {
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(to.x, to.y);
+    context.stroke();
+  }
+  context.restore();
+  markChanged(layer);
+};
+
+export const clearMaskLayer = (layer) => {
+  layer.getContext('2d').clearRect(0, 0, layer.width, layer.height);
+  markChanged(layer);
+};
+
+// Returns a copy sized for an extended canvas, with old content shifted by dx/dy
+export const resizeMaskLayer = (layer, width, height, dx, dy) => {
+  const next = createMaskLayer(width, height);
+  next.getContext('2d').drawImage(layer, dx, dy);
+  return next;
+};
+
+export const snapshotMaskLayer = (layer) => (
+  layer.getContext('2d').getImageData(0, 0, layer.width, layer.height)
+);
+
+export const restoreMaskLayer = (layer, imageData) => {
+  layer.getContext('2d').putImageData(imageData, 0, 0);
+  markChanged(layer);
+};
+
+export const hasMaskContent = (layer) => {
+  const { data } = snapshotMaskLayer(layer);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] > 0) return true;
+  }
+  return false;
+};
+
+// Draws a mask tinted with a colour, used for the on-screen overlay
+export const drawTintedMask = (context, layer, color, alpha = 0.45) => {
+  let cached = tintCache.get(layer);
+  if (!cached) {
+    cached = { tint: createMaskLayer(layer.width, layer.height), color: null, stale: true };
+    tintCache.set(layer, cached);
+  }
+
+  const { tint } = cached;
+  if (cached.stale || cached.color !== color) {
+    const tintContext = tint.getContext('2d');
+    tintContext.save();
+    tintContext.clearRect(0, 0, tint.width, tint.height);
+    tintContext.drawImage(layer, 0, 0);
+    tintContext.globalCompositeOperation = 'source-in';
+    tintContext.fillStyle = color;
+    tintContext.fillRect(0, 0, tint.width, tint.height);
+    tintContext.restore();
+    cached.color = color;
+    cached.stale = false;
+  }
+
+  context.save();
+  context.globalAlpha = alpha;
+  context.drawImage(tint, 0, 0);
+  context.restore();
+};
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Mask export failed'))), 'image/png');
+});
+
+/**
+ * Exports a black and white PNG (white = regenerate). `extraAreas` are
+ * rectangles that are always white, e.g. the outpainting margins.
+ */
+export const exportMaskPng = async (layer, extraAreas = []) => {
+  const output = createMaskLayer(layer.width, layer.height);
+  const context = output.getContext('2d');
+  context.fillStyle = '#000000';
+  context.fillRect(0, 0, output.width, output.height);
+  context.drawImage(layer, 0, 0);
+
+  context.fillStyle = '#ffffff';
+  extraAreas.forEach(({ x, y, width, height }) => context.fillRect(x, y, width, height));
+
+  return canvasToBlob(output);
+};
@@ -0,0 +1,191 @@
+// src/utils/parameterSweep.js - X/Y/Z parameter sweeps and grid image export
+
+import { generationSchema } from '../components/ImageGeneration/generationSchema';
+
+export const SWEEP_AXES = ['x', 'y', 'z'];
+
+// Form fields that make sense to compare side by side
+export const SWEEPABLE_PARAMETERS = [
+  { key: 'steps', label: 'Steps' },
+  { key: 'guidance', label: 'Guidance' },
+  { key: 'style', label: 'Style' },
+  { key: 'model', label: 'Model' },
+  { key: 'quality', label: 'Quality' },
+  { key: 'width', label: 'Width' },
+  { key: 'height', label: 'Height' }
+];
+
+// More values than this on one axis is never a useful grid
+export const MAX_SWEEP_VALUES = 20;
+
+const isNumericField = (key) => generationSchema.fields[key]?.type === 'number';
+
+/**
+ * Parses a comma separated value list for a parameter and validates every
+ * value against the form schema. Numeric fields also accept `start-end:step`
+ * ranges, e.g. `20-60:20` for 20, 40, 60. A list is capped at
+ * MAX_SWEEP_VALUES before any range is expanded.
+ */
+export const parseSweepValues = (key, text) => {
+  const field = generationSchema.fields[key];
+  if (!field) {
+    return { values: [], errors: [`Unknown parameter: ${key}`] };
+  }
+
+  const values = [];
+  const errors = [];
+  let candidateCount = 0;
+
+  text.split(',').map(part => part.trim()).filter(Boolean).forEach((part) => {
+    if (candidateCount > MAX_SWEEP_VALUES) return;
+
+    const range = isNumericField(key) && part.match(/^(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/);
+    const candidates = [];
+
+    if (range) {
+      const [start, end, step] = range.slice(1).map(Number);
+      if (step <= 0) {
+        errors.push(`${part}: step must be positive`);
+        return;
+      }
+      const count = Math.floor((end - start) / step + 1e-9) + 1;
+      if (candidateCount + count > MAX_SWEEP_VALUES) {
+        candidateCount += count;
+        errors.push(`${part}: an axis can have at most ${MAX_SWEEP_VALUES} values`);
+        return;
+      }
+      for (let value = start; value <= end + 1e-9; value += step) {
+        candidates.push(Number(value.toFixed(4)));
+      }
+    } else {
+      candidates.push(isNumericField(key) ? Number(part) : part);
+    }
+
+    candidateCount += candidates.length;
+    if (candidateCount > MAX_SWEEP_VALUES) {
+      errors.push(`An axis can have at most ${MAX_SWEEP_VALUES} values`);
+      return;
+    }
+
+    candidates.forEach((candidate) => {
+      if (Number.isNaN(candidate)) {
+        errors.push(`${part}: not a number`);
+        return;
+      }
+      try {
+        values.push(generationSchema.validateSyncAt(key, { [key]: candidate }, { strict: true }));
+      } catch (error) {
+        errors.push(`${part}: ${error.message}`);
+      }
+    });
+  });
+
+  return { values: [...new Set(values)], errors };
+};
+
+/**
+ * Builds the cartesian set of a sweep. `axes` holds up to three
+ * `{ key, values }` entries in x, y, z order; every cell shares the seed so
+ * only the swept parameters differ between images.
+ */
+export const buildSweepCells = ({ base, axes, seed }) => {
+  const active = axes
+    .filter(axis => axis?.key && axis.values.length > 0)
+    .map(axis => ({ ...axis, label: SWEEPABLE_PARAMETERS.find(param => param.key === axis.key)?.label }));
+  const [xAxis, yAxis, zAxis] = [0, 1, 2].map(index => active[index] || { key: null, values: [null] });
+  const cells = [];
+
+  zAxis.values.forEach((zValue, z) => {
+    yAxis.values.forEach((yValue, y) => {
+      xAxis.values.forEach((xValue, x) => {
+        const params = { ...base, seed };
+        [[xAxis, xValue], [yAxis, yValue], [zAxis, zValue]].forEach(([axis, value]) => {
+          if (axis.key) params[axis.key] = value;
+        });
+        cells.push({ x, y, z, params });
+      });
+    });
+  });
+
+  return { cells, axes: { x: xAxis, y: yAxis, z: zAxis } };
+};
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error(`Failed to load ${src}`));
+  image.src = src;
+});
+
+const formatAxisValue = (axis, value) => `${axis.label || axis.key}: ${value}`;
+
+/**
+ * Renders a finished sweep into one PNG. Each z value becomes its own
+ * labelled block, stacked vertically; missing cells are left grey.
+ */
+export const exportSweepGrid = async ({ axes, cells, getImageUrl, cellSize = 256 }) => {
+  const { x: xAxis, y: yAxis, z: zAxis } = axes;
+  const labelWidth = yAxis.key ? 140 : 0;
+  const headerHeight = xAxis.key ? 32 : 0;
+  const titleHeight = zAxis.key ? 36 : 0;
+  const blockHeight = titleHeight + headerHeight + yAxis.values.length * cellSize;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = labelWidth + xAxis.values.length * cellSize;
+  canvas.height = zAxis.values.length * blockHeight;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.font = '14px sans-serif';
+  context.textBaseline = 'middle';
+
+  const images = await Promise.all(cells.map(async (cell) => {
+    const url = getImageUrl(cell);
+    if (!url) return null;
+    try {
+      return await loadImage(url);
+    } catch (error) {
+      console.warn('Sweep export skipped a cell:', error);
+      return null;
+    }
+  }));
+
+  zAxis.values.forEach((zValue, z) => {
+    const top = z * blockHeight;
+    context.fillStyle = '#111827';
+
+    if (zAxis.key) {
+      context.font = 'bold 16px sans-serif';
+      context.fillText(formatAxisValue(zAxis, zValue), 8, top + titleHeight / 2);
+      context.font = '14px sans-serif';
+    }
+    if (xAxis.key) {
+      xAxis.values.forEach((value, x) => {
+        context.fillText(formatAxisValue(xAxis, value), labelWidth + x * cellSize + 8, top + titleHeight + headerHeight / 2);
+      });
+    }
+    if (yAxis.key) {
+      yAxis.values.forEach((value, y) => {
+        context.fillText(formatAxisValue(yAxis, value), 8, top + titleHeight + headerHeight + y * cellSize + cellSize / 2, labelWidth - 16);
+      });
+    }
+  });
+
+  cells.forEach((cell, index) => {
+    const left = labelWidth + cell.x * cellSize;
+    const top = cell.z * blockHeight + titleHeight + headerHeight + cell.y * cellSize;
+
+    if (images[index]) {
+      context.drawImage(images[index], left, top, cellSize, cellSize);
+    } else {
+      context.fillStyle = '#e5e7eb';
+      context.fillRect(left + 1, top + 1, cellSize - 2, cellSize - 2);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Grid export failed'))), 'image/png');
+  });
+};
@@ -0,0 +1,146 @@
+// src/utils/pngMetadata.js - Read and write PNG text chunks (tEXt/iTXt)
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Decoded in slices: spreading a large chunk (e.g. another tool's embedded
+// workflow JSON) overflows the call stack. TextDecoder('latin1') is really
+// windows-1252, so it would misread 0x80-0x9f
+const DECODE_SLICE = 0x8000;
+
+const latin1 = {
+  encode: (text) => Uint8Array.from(text, char => char.charCodeAt(0) & 0xff),
+  decode: (bytes) => {
+    let text = '';
+    for (let start = 0; start < bytes.length; start += DECODE_SLICE) {
+      text += String.fromCharCode(...bytes.subarray(start, start + DECODE_SLICE));
+    }
+    return text;
+  }
+};
+
+export const isPng = (bytes) => PNG_SIGNATURE.every((value, index) => bytes[index] === value);
+
+const readChunks = (bytes) => {
+  if (!isPng(bytes)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (end > bytes.length) {
+      throw new Error(`PNG chunk ${type} is truncated`);
+    }
+
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length), start: offset, end });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return chunks;
+};
+
+const buildChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(latin1.encode(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+};
+
+// iTXt keeps UTF-8 prompts intact; tEXt is Latin-1 only
+const encodeITxt = (keyword, text) => {
+  const key = latin1.encode(keyword);
+  const value = new TextEncoder().encode(text);
+  // keyword \0, compression flag, compression method, language \0, translated keyword \0
+  const data = new Uint8Array(key.length + 5 + value.length);
+  data.set(key, 0);
+  data.set(value, key.length + 5);
+  return buildChunk('iTXt', data);
+};
+
+const decodeTextChunk = ({ type, data }) => {
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd < 0) return null;
+  const keyword = latin1.decode(data.subarray(0, keywordEnd));
+
+  if (type === 'tEXt') {
+    return [keyword, latin1.decode(data.subarray(keywordEnd + 1))];
+  }
+
+  // Compressed iTXt would need inflate; we only ever write uncompressed chunks
+  if (data[keywordEnd + 1] !== 0) return null;
+  const languageEnd = data.indexOf(0, keywordEnd + 3);
+  const translatedEnd = data.indexOf(0, languageEnd + 1);
+  if (languageEnd < 0 || translatedEnd < 0) return null;
+  return [keyword, new TextDecoder().decode(data.subarray(translatedEnd + 1))];
+};
+
+/**
+ * Returns every tEXt and uncompressed iTXt entry as `{ keyword: text }`.
+ * Throws if the bytes are not a PNG.
+ */
+export const readPngText = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  return readChunks(bytes)
+    .filter(chunk => chunk.type === 'tEXt' || chunk.type === 'iTXt')
+    .map(decodeTextChunk)
+    .filter(Boolean)
+    .reduce((entries, [keyword, text]) => ({ ...entries, [keyword]: text }), {});
+};
+
+/**
+ * Returns a copy of the PNG with the given `{ keyword: text }` entries
+ * written as iTXt chunks right after IHDR. Existing text chunks with the
+ * same keywords are replaced so re-downloading does not pile them up.
+ */
+export const writePngText = (buffer, entries) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const keywords = Object.keys(entries);
+  const parts = [bytes.subarray(0, PNG_SIGNATURE.length)];
+
+  readChunks(bytes).forEach((chunk) => {
+    const isReplaced = (chunk.type === 'tEXt' || chunk.type === 'iTXt')
+      && keywords.includes(decodeTextChunk(chunk)?.[0]);
+    if (!isReplaced) {
+      parts.push(bytes.subarray(chunk.start, chunk.end));
+    }
+    if (chunk.type === 'IHDR') {
+      Object.entries(entries).forEach(([keyword, text]) => parts.push(encodeITxt(keyword, text)));
+    }
+  });
+
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => {
+    output.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return output;
+};
@@ -0,0 +1,150 @@
+// src/utils/promptTemplate.js - Prompt template parsing and combinatorial expansion
+
+/**
+ * Template syntax:
+ *   {red|blue|green}  alternation, each occurrence varies independently
+ *   {$color}          named variable, one value per expansion wherever it appears
+ *   __animals__       wildcard list, one value per expansion wherever it appears
+ * Alternations cannot be nested. A `{...}` without `|` or `$` is kept as text.
+ */
+const TOKEN_PATTERN = /\{\$([\w-]+)\}|\{([^{}]*\|[^{}]*)\}|__([\w-]+)__/g;
+
+export const TOKEN_TYPES = {
+  TEXT: 'text',
+  ALTERNATION: 'alternation',
+  VARIABLE: 'variable',
+  WILDCARD: 'wildcard'
+};
+
+export const parseTemplate = (template) => {
+  const tokens = [];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: TOKEN_TYPES.TEXT, value: template.slice(lastIndex, match.index) });
+    }
+
+    const [raw, variable, alternation, wildcard] = match;
+    if (variable) {
+      tokens.push({ type: TOKEN_TYPES.VARIABLE, name: variable, raw });
+    } else if (alternation !== undefined) {
+      tokens.push({ type: TOKEN_TYPES.ALTERNATION, options: alternation.split('|'), raw });
+    } else {
+      tokens.push({ type: TOKEN_TYPES.WILDCARD, name: wildcard, raw });
+    }
+    lastIndex = match.index + raw.length;
+  }
+
+  if (lastIndex < template.length) {
+    tokens.push({ type: TOKEN_TYPES.TEXT, value: template.slice(lastIndex) });
+  }
+
+  return tokens;
+};
+
+// Parses variable definitions, one per line: `color = red | blue | green`
+export const parseVariables = (text = '') => Object.fromEntries(
+  text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && line.includes('='))
+    .map((line) => {
+      const [name, ...rest] = line.split('=');
+      const values = rest.join('=').split('|').map(value => value.trim()).filter(Boolean);
+      return [name.trim().replace(/^\$/, ''), values];
+    })
+    .filter(([name, values]) => name && values.length > 0)
+);
+
+// Wildcard files hold one value per line; blank lines and # comments are ignored
+export const parseWildcardFile = (text = '') => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'));
+
+/**
+ * Builds the dimensions a template varies over. Each alternation occurrence
+ * is its own dimension; variables and wildcards get one dimension per name.
+ */
+const buildDimensions = (tokens, variables, wildcards) => {
+  const dimensions = [];
+  const missing = [];
+  const named = new Map();
+
+  tokens.forEach((token, index) => {
+    if (token.type === TOKEN_TYPES.ALTERNATION) {
+      // Repeated alternations vary independently, so their keys need telling apart
+      const key = dimensions.some(dimension => dimension.key === token.raw) ? `${token.raw}#${index}` : token.raw;
+      dimensions.push({ key, values: token.options, tokens: [index] });
+      return;
+    }
+    if (token.type === TOKEN_TYPES.TEXT) return;
+
+    const key = token.type === TOKEN_TYPES.VARIABLE ? `$${token.name}` : `__${token.name}__`;
+    if (named.has(key)) {
+      named.get(key).tokens.push(index);
+      return;
+    }
+
+    const values = token.type === TOKEN_TYPES.VARIABLE ? variables[token.name] : wildcards[token.name];
+    if (!values || values.length === 0) {
+      missing.push(key);
+      return;
+    }
+
+    const dimension = { key, values, tokens: [index] };
+    named.set(key, dimension);
+    dimensions.push(dimension);
+  });
+
+  return { dimensions, missing };
+};
+
+export const countCombinations = (dimensions) => dimensions.reduce((total, dimension) => total * dimension.values.length, 1);
+
+/**
+ * Expands a template into concrete prompts. Returns `{ count, expansions,
+ * missing }` where `count` is the full combination count and `expansions`
+ * holds at most `limit` of them in order. Each expansion records the value
+ * chosen for every dimension so results can be traced back to it.
+ */
+export const expandTemplate = (template, { variables = {}, wildcards = {}, limit = Infinity } = {}) => {
+  const tokens = parseTemplate(template);
+  const { dimensions, missing } = buildDimensions(tokens, variables, wildcards);
+
+  if (missing.length > 0) {
+    return { count: 0, expansions: [], missing };
+  }
+
+  const count = countCombinations(dimensions);
+  const expansions = [];
+
+  for (let index = 0; index < Math.min(count, limit); index += 1) {
+    const parts = tokens.map(token => token.value ?? '');
+    const choices = {};
+
+    // Mixed-radix decode: the last dimension varies fastest
+    let remainder = index;
+    for (let d = dimensions.length - 1; d >= 0; d -= 1) {
+      const dimension = dimensions[d];
+      const value = dimension.values[remainder % dimension.values.length];
+      remainder = Math.floor(remainder / dimension.values.length);
+
+      choices[dimension.key] = value;
+      dimension.tokens.forEach((tokenIndex) => {
+        parts[tokenIndex] = value;
+      });
+    }
+
+    expansions.push({
+      prompt: parts.join('').replace(/\s{2,}/g, ' ').trim(),
+      index,
+      choices
+    });
+  }
+
+  return { count, expansions, missing };
+};
+
+export const isTemplate = (text = '') => parseTemplate(text).some(token => token.type !== TOKEN_TYPES.TEXT);
@@ -0,0 +1,193 @@
+// src/utils/resolutionResolver.js - Model-aware width/height/steps rules and snapping
+
+/**
+ * Per-model generation limits. `resolutions` lists the only sizes a model
+ * accepts (trained buckets); when it is absent any size that is a multiple
+ * of `multipleOf` within the size and pixel limits is valid.
+ */
+export const MODEL_CAPABILITIES = {
+  'stable-diffusion-xl': {
+    label: 'SDXL',
+    multipleOf: 64,
+    resolutions: [
+      [1024, 1024],
+      [1152, 896],
+      [896, 1152],
+      [1216, 832],
+      [832, 1216],
+      [1344, 768],
+      [768, 1344],
+      [1536, 640],
+      [640, 1536]
+    ],
+    steps: { min: 10, max: 150 }
+  },
+  'stable-diffusion-3': {
+    label: 'SD 3',
+    multipleOf: 64,
+    minSize: 512,
+    maxSize: 2048,
+    maxPixels: 2048 * 2048,
+    steps: { min: 10, max: 100 }
+  },
+  'stable-diffusion-1.5': {
+    label: 'SD 1.5',
+    multipleOf: 8,
+    minSize: 256,
+    maxSize: 1024,
+    maxPixels: 1024 * 1024,
+    steps: { min: 10, max: 150 }
+  }
+};
+
+// Unknown models fall back to the generation form's own limits
+export const DEFAULT_CAPABILITIES = {
+  label: 'this model',
+  multipleOf: 8,
+  minSize: 256,
+  maxSize: 4096,
+  maxPixels: 4096 * 4096,
+  steps: { min: 10, max: 200 }
+};
+
+export const getModelCapabilities = (model) => ({
+  ...DEFAULT_CAPABILITIES,
+  ...MODEL_CAPABILITIES[model]
+});
+
+export const parseAspectRatio = (aspectRatio) => {
+  const [width, height] = String(aspectRatio || '').split(':').map(Number);
+  return width > 0 && height > 0 ? width / height : null;
+};
+
+// Aspect ratios offered by the generation form
+export const ASPECT_RATIOS = ['1:1', '16:9', '9:16', '4:3', '3:4'];
+
+// The offered aspect ratio closest in shape to a size, e.g. for a restored image
+export const closestAspectRatio = (width, height) => {
+  if (!(width > 0 && height > 0)) return ASPECT_RATIOS[0];
+  const distance = value => Math.abs(Math.log(parseAspectRatio(value) / (width / height)));
+  return ASPECT_RATIOS.reduce((best, value) => (distance(value) < distance(best) ? value : best));
+};
+
+const roundTo = (value, multiple) => Math.max(multiple, Math.round(value / multiple) * multiple);
+const floorTo = (value, multiple) => Math.max(multiple, Math.floor(value / multiple) * multiple);
+const ceilTo = (value, multiple) => Math.ceil(value / multiple) * multiple;
+
+// Picks the listed resolution closest in shape, then in pixel count
+const pickListedResolution = (resolutions, ratio, area) => (
+  resolutions.reduce((best, candidate) => {
+    const score = [
+      Math.abs(Math.log((candidate[0] / candidate[1]) / ratio)),
+      Math.abs(candidate[0] * candidate[1] - area)
+    ];
+    if (!best || score[0] < best.score[0] - 1e-9 || (Math.abs(score[0] - best.score[0]) < 1e-9 && score[1] < best.score[1])) {
+      return { size: candidate, score };
+    }
+    return best;
+  }, null).size
+);
+
+const fitFreeResolution = (caps, ratio, area) => {
+  const { multipleOf, minSize, maxSize, maxPixels } = caps;
+  const minEdge = ceilTo(minSize, multipleOf);
+  const maxEdge = floorTo(maxSize, multipleOf);
+  const clamp = value => Math.min(maxEdge, Math.max(minEdge, value));
+
+  // Scale the ideal shape into the edge limits before rounding so the
+  // aspect ratio survives clamping
+  const targetArea = Math.min(maxPixels, Math.max(minSize * minSize, area));
+  let height = Math.sqrt(targetArea / ratio);
+  let width = height * ratio;
+  const shrink = Math.min(1, maxEdge / width, maxEdge / height);
+  const grow = Math.max(1, minEdge / (width * shrink), minEdge / (height * shrink));
+  width = clamp(roundTo(width * shrink * grow, multipleOf));
+  height = clamp(roundTo(height * shrink * grow, multipleOf));
+
+  if (width * height > maxPixels) {
+    const scale = Math.sqrt(maxPixels / (width * height));
+    width = clamp(floorTo(width * scale, multipleOf));
+    height = clamp(floorTo(height * scale, multipleOf));
+  }
+
+  return [width, height];
+};
+
+/**
+ * Snaps a size (and step count) to what `model` accepts. With an
+ * `aspectRatio` the result keeps roughly the current pixel count in that
+ * shape; without one the current shape is kept. `adjustments` holds a
+ * readable sentence for every value that changed.
+ */
+export const resolveResolution = ({ model, aspectRatio, width, height, steps }) => {
+  const caps = getModelCapabilities(model);
+  const ratio = parseAspectRatio(aspectRatio) || (width > 0 && height > 0 ? width / height : 1);
+  const area = width > 0 && height > 0 ? width * height : 1024 * 1024;
+
+  const [nextWidth, nextHeight] = caps.resolutions
+    ? pickListedResolution(caps.resolutions, ratio, area)
+    : fitFreeResolution(caps, ratio, area);
+
+  const adjustments = [];
+  if (nextWidth !== width || nextHeight !== height) {
+    const rule = caps.resolutions
+      ? `${caps.label} only supports its trained sizes`
+      : `${caps.label} needs multiples of ${caps.multipleOf} up to ${caps.maxSize}px`;
+    adjustments.push(
+      `Size changed from ${width}×${height} to ${nextWidth}×${nextHeight}`
+      + `${aspectRatio ? ` for ${aspectRatio}` : ''}; ${rule}.`
+    );
+  }
+
+  let nextSteps = steps;
+  if (typeof steps === 'number') {
+    nextSteps = Math.min(caps.steps.max, Math.max(caps.steps.min, steps));
+    if (nextSteps !== steps) {
+      adjustments.push(
+        `Steps changed from ${steps} to ${nextSteps}; ${caps.label} supports ${caps.steps.min}–${caps.steps.max}.`
+      );
+    }
+  }
+
+  return { width: nextWidth, height: nextHeight, steps: nextSteps, adjustments };
+};
+
+/**
+ * Returns an error message when a single dimension breaks the model's
+ * rules, or null. Used by the form schema, so it must not depend on the
+ * other dimension being valid yet.
+ */
+export const checkDimension = (model, value) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) return null;
+
+  const caps = getModelCapabilities(model);
+  if (caps.resolutions) {
+    const allowed = new Set(caps.resolutions.flat());
+    return allowed.has(value) ? null : `${caps.label} supports only its trained sizes; pick an aspect ratio to snap`;
+  }
+  if (value % caps.multipleOf !== 0) {
+    return `Must be a multiple of ${caps.multipleOf} for ${caps.label}`;
+  }
+  if (value < caps.minSize || value > caps.maxSize) {
+    return `${caps.label} supports ${caps.minSize}–${caps.maxSize}px`;
+  }
+  return null;
+};
+
+export const checkResolution = (model, width, height) => {
+  const caps = getModelCapabilities(model);
+  if (caps.resolutions) {
+    return caps.resolutions.some(([w, h]) => w === width && h === height)
+      ? null
+      : `${width}×${height} is not a supported ${caps.label} size`;
+  }
+  return width * height > caps.maxPixels
+    ? `${width}×${height} exceeds the ${caps.label} pixel limit`
+    : null;
+};
+
+export const checkSteps = (model, value) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) return null;
+  const { label, steps } = getModelCapabilities(model);
+  return value < steps.min || value > steps.max ? `${label} supports ${steps.min}–${steps.max} steps` : null;
+};
@@ -0,0 +1,65 @@
+// src/utils/wordDiff.js - Word-level diff between two prompts
+
+// Words and single punctuation marks, so "sunset," still matches "sunset"
+const TOKEN_PATTERN = /[\p{L}\p{N}'’_-]+|[^\s\p{L}\p{N}]/gu;
+
+const tokenize = (text) => {
+  const source = String(text || '');
+  return [...source.matchAll(TOKEN_PATTERN)].map(match => ({
+    value: match[0],
+    spaced: match.index > 0 && /\s/.test(source[match.index - 1])
+  }));
+};
+
+/**
+ * Diffs `before` against `after` word by word (longest common subsequence).
+ * Returns segments `{ type, leading, text }` in reading order, where `type`
+ * is 'equal', 'removed' or 'added' and `leading` is the space, if any, that
+ * belongs before the segment. Removals come before the additions that
+ * replace them.
+ */
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i].value === b[j].value
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, token) => {
+    const last = segments[segments.length - 1];
+    if (last?.type === type) {
+      last.text += `${token.spaced ? ' ' : ''}${token.value}`;
+    } else {
+      segments.push({ type, leading: token.spaced ? ' ' : '', text: token.value });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i].value === b[j].value) {
+      push('equal', b[j]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i]);
+      i += 1;
+    } else {
+      push('added', b[j]);
+      j += 1;
+    }
+  }
+  a.slice(i).forEach(token => push('removed', token));
+  b.slice(j).forEach(token => push('added', token));
+
+  return segments;
+};
+
+export const isUnchanged = (segments) => segments.every(segment => segment.type === 'equal');